@@ -17,4 +17,10 @@ curl -L -o face_recognition_model-weights_manifest.json https://github.com/justa
 curl -L -o face_recognition_model-shard1 https://github.com/justadudewhohacks/face-api.js/raw/master/weights/face_recognition_model-shard1
 curl -L -o face_recognition_model-shard2 https://github.com/justadudewhohacks/face-api.js/raw/master/weights/face_recognition_model-shard2
 
-echo "✓ Models downloaded successfully!"
\ No newline at end of file
+# SSD MobileNet v1 (optional detector, selectable in Admin > Settings)
+curl -L -o ssd_mobilenetv1_model-weights_manifest.json https://github.com/justadudewhohacks/face-api.js/raw/master/weights/ssd_mobilenetv1_model-weights_manifest.json
+curl -L -o ssd_mobilenetv1_model-shard1 https://github.com/justadudewhohacks/face-api.js/raw/master/weights/ssd_mobilenetv1_model-shard1
+curl -L -o ssd_mobilenetv1_model-shard2 https://github.com/justadudewhohacks/face-api.js/raw/master/weights/ssd_mobilenetv1_model-shard2
+
+echo "✓ Models downloaded successfully!"
+echo "Run npm run build so the service worker caches the new models."
\ No newline at end of file
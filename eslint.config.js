@@ -26,4 +26,15 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Copied to dist/sw.js with the placeholders filled in (serviceWorkerPlugin in vite.config.js)
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        __PRECACHE_MANIFEST__: 'readonly',
+        __CACHE_VERSION__: 'readonly',
+      },
+    },
+  },
 ])
@@ -6,12 +6,21 @@ import {
   Link,
   Navigate,
   useNavigate,
+  useLocation,
 } from "react-router-dom";
 import Registration from "./pages/Registration";
 import Attendance from "./pages/Attendance";
 import Admin from "./pages/Admin";
 import Login from "./pages/Login";
-import { getUser, isAdmin, logout, isAuthenticated as checkAuth } from "./utils/api";
+import Kiosk from "./pages/Kiosk";
+import GroupAttendance from "./pages/GroupAttendance";
+import Benchmark from "./pages/Benchmark";
+import MyAttendance from "./pages/MyAttendance";
+import BulkImport from "./pages/BulkImport";
+import { getUser, isAdmin, logout, isAuthenticated as checkAuth, startCheckInSync } from "./utils/api";
+import { subscribeToQueue } from "./utils/offlineQueue";
+import { startGalleryRefresh } from "./utils/localGallery";
+import { applyServiceWorkerUpdate } from "./utils/serviceWorker";
 
 // Protected Route Component
 function ProtectedRoute({ children, adminOnly = false }) {
@@ -32,7 +41,9 @@ function ProtectedRoute({ children, adminOnly = false }) {
 // Navigation Component
 function Navigation() {
   const navigate = useNavigate();
+  const location = useLocation();
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [queuedCount, setQueuedCount] = useState(0);
 
   useEffect(() => {
     // Check authentication status
@@ -56,13 +67,32 @@ function Navigation() {
     };
   }, []);
 
+  // Replay check-ins queued while offline (needs a token to reach the API)
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return startCheckInSync();
+  }, [isAuthenticated]);
+
+  // Keep the on-device face gallery current when local matching is enabled
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return startGalleryRefresh();
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    return subscribeToQueue((items) => {
+      setQueuedCount(items.filter((item) => item.status !== "synced").length);
+    });
+  }, []);
+
   const handleLogout = () => {
     logout(); // Use centralized logout function
     setIsAuthenticated(false);
     navigate("/login", { replace: true });
   };
 
-  if (!isAuthenticated) {
+  // Kiosk mode is full-screen; leaving it goes through its own PIN prompt
+  if (!isAuthenticated || location.pathname === "/kiosk") {
     return null;
   }
 
@@ -77,16 +107,36 @@ function Navigation() {
           <Link to="/" className="nav-link">
             Attendance
           </Link>
+          <Link to="/group" className="nav-link">
+            Group
+          </Link>
+          <Link to="/me" className="nav-link">
+            My Attendance
+          </Link>
           {userIsAdmin && (
             <>
               <Link to="/register" className="nav-link">
                 Registration
               </Link>
+              <Link to="/import" className="nav-link">
+                Bulk Import
+              </Link>
               <Link to="/admin" className="nav-link">
                 Admin
               </Link>
+              <Link to="/kiosk" className="nav-link">
+                Kiosk
+              </Link>
             </>
           )}
+          {queuedCount > 0 && (
+            <span
+              className="queue-badge"
+              title={`${queuedCount} check-in(s) waiting to sync`}
+            >
+              ⟳ {queuedCount} queued
+            </span>
+          )}
           <span className="user-info">
             {user?.name} ({user?.role})
           </span>
@@ -99,11 +149,41 @@ function Navigation() {
   );
 }
 
+// Shown when a new build (or new model weights) has been downloaded in the background
+// Held back in kiosk mode, where walk-up users shouldn't get a reload button; it shows once the kiosk is exited
+function UpdatePrompt() {
+  const location = useLocation();
+  const [registration, setRegistration] = useState(null);
+
+  useEffect(() => {
+    const handleUpdate = (e) => setRegistration(e.detail);
+    window.addEventListener("sw-update", handleUpdate);
+    return () => window.removeEventListener("sw-update", handleUpdate);
+  }, []);
+
+  if (!registration || location.pathname === "/kiosk") {
+    return null;
+  }
+
+  return (
+    <div className="update-prompt">
+      <span>A new version is available.</span>
+      <button onClick={() => applyServiceWorkerUpdate(registration)}>
+        Reload
+      </button>
+      <button onClick={() => setRegistration(null)} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
+
 function App() {
   return (
     <BrowserRouter>
       <div className="app">
         <Navigation />
+        <UpdatePrompt />
         <main className="main-content">
           <Routes>
             <Route path="/login" element={<Login />} />
@@ -123,6 +203,46 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/import"
+              element={
+                <ProtectedRoute adminOnly={true}>
+                  <BulkImport />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/group"
+              element={
+                <ProtectedRoute>
+                  <GroupAttendance />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/kiosk"
+              element={
+                <ProtectedRoute>
+                  <Kiosk />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/me"
+              element={
+                <ProtectedRoute>
+                  <MyAttendance />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/benchmark"
+              element={
+                <ProtectedRoute adminOnly={true}>
+                  <Benchmark />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/admin"
               element={
@@ -1,8 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { registerServiceWorker } from './utils/serviceWorker';
 import './styles/main.css';
 
+// App.jsx shows the "update available" prompt when this fires
+registerServiceWorker((registration) => {
+  window.dispatchEvent(new CustomEvent('sw-update', { detail: registration }));
+});
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
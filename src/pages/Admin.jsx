@@ -1,133 +1,668 @@
-import React, { useState, useEffect } from 'react';
-import { api, isAdmin } from '../utils/api';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { api, isAdmin, syncCheckInQueue, retryQueuedCheckIn } from '../utils/api';
+import { subscribeToQueue, clearSyncedCheckIns } from '../utils/offlineQueue';
+import {
+  getLocalMatchingSettings,
+  setLocalMatchingSettings,
+  getGalleryInfo,
+  refreshGallery,
+  clearGallery
+} from '../utils/localGallery';
+import {
+  LIVENESS_POLICIES,
+  getLivenessPolicy,
+  setLivenessPolicy
+} from '../utils/livenessPolicy';
+import { hasKioskPin, setKioskPin } from '../utils/kioskSettings';
+import {
+  DETECTOR_BACKENDS,
+  getDetectorConfig,
+  setDetectorConfig,
+  describeDetectorConfig,
+  getAvailableBackends
+} from '../utils/detectorConfig';
+import { ACCOUNT_ROLES, isValidEmail } from '../utils/accountValidation';
+import AttendanceAnalytics from './AttendanceAnalytics';
+import ShiftSettings from './ShiftSettings';
+import AttendanceSessions from './AttendanceSessions';
+import { PUNCH_TYPES } from '../utils/sessions';
+import ExportBuilder from './ExportBuilder';
+import { loadSchedule, classifyCheckIn, describeClassification } from '../utils/shiftSchedule';
+import { PAGE_SIZES, TABLE_QUERY_DEFAULTS, readTableQuery, writeTableQuery, toApiParams } from '../utils/tableQuery';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const ROW_HEIGHT = 49;           // Fixed row height (px) for virtualised tables
+const VIRTUAL_OVERSCAN = 10;     // Extra rows rendered above and below the visible ones
+
+// " (1,234)" after a tab name, or nothing while the count is still loading
+const countLabel = (count) => (count === null ? '' : ` (${count.toLocaleString()})`);
+
+// Side panel with a person's details and the actions an admin can take on them
+// Rendered with key={person.id}, so opening another person starts from fresh state
+function PersonDrawer({ person, onClose, onUpdate, onDelete }) {
+  const [details, setDetails] = useState(null);
+  const [recentAttendance, setRecentAttendance] = useState([]);
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', email: '', role: 'user', group: '' });
+  const [confirmText, setConfirmText] = useState('');
+  const [showDelete, setShowDelete] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.getPerson(person.id)
+      .then(res => setDetails(res.data))
+      .catch(err => console.error('Error fetching person:', err));
+
+    api.getPersonAttendance(person.id)
+      .then(res => setRecentAttendance(res.data))
+      .catch(err => console.error('Error fetching person attendance:', err));
+  }, [person.id]);
+
+  // The list entry is updated optimistically, so it wins over the fetched details
+  const shown = { ...details, ...person };
+  const isActive = shown.active !== false;
+
+  const startEditing = () => {
+    setForm({ name: shown.name || '', email: shown.email || '', role: shown.role || 'user', group: shown.group || '' });
+    setIsEditing(true);
+    setMessage('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      setMessage('Name is required');
+      return;
+    }
+    if (form.email.trim() && !isValidEmail(form.email)) {
+      setMessage('Email address is not valid');
+      return;
+    }
+
+    setIsEditing(false);
+    const error = await onUpdate(person.id, {
+      name: form.name.trim(),
+      email: form.email.trim() || null,
+      role: form.role,
+      group: form.group.trim() || null
+    });
+    setMessage(error ? `Failed to save: ${error}` : '✓ Changes saved');
+  };
+
+  const handleToggleActive = async () => {
+    const error = await onUpdate(person.id, { active: !isActive });
+    setMessage(error
+      ? `Failed to ${isActive ? 'deactivate' : 'reactivate'}: ${error}`
+      : `✓ ${shown.name} ${isActive ? 'deactivated' : 'reactivated'}`);
+  };
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="drawer-header">
+          <h3>{shown.name}</h3>
+          <button onClick={onClose} className="drawer-close" aria-label="Close">✕</button>
+        </div>
+
+        {!isActive && <div className="status-message error">Deactivated - cannot check in</div>}
+
+        {isEditing ? (
+          <form onSubmit={handleSave}>
+            <div className="form-group">
+              <label htmlFor="personName">Name</label>
+              <input
+                id="personName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="personEmail">Email</label>
+              <input
+                id="personEmail"
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="personRole">Role</label>
+              <select
+                id="personRole"
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value })}
+              >
+                {ACCOUNT_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="personGroup">Group</label>
+              <input
+                id="personGroup"
+                type="text"
+                value={form.group}
+                onChange={(e) => setForm({ ...form, group: e.target.value })}
+                placeholder="e.g., warehouse, night team"
+              />
+            </div>
+            <div className="modal-actions">
+              <button type="submit" className="btn btn-success">Save</button>
+              <button type="button" onClick={() => setIsEditing(false)} className="btn btn-secondary">Cancel</button>
+            </div>
+          </form>
+        ) : (
+          <div className="modal-content">
+            <p><strong>User ID:</strong> {shown.user_id}</p>
+            <p><strong>Email:</strong> {shown.email || '—'}</p>
+            <p><strong>Role:</strong> {shown.role || 'user'}</p>
+            <p><strong>Group:</strong> {shown.group || '—'}</p>
+            <p><strong>Enrolled:</strong> {new Date(shown.created_at).toLocaleString()}</p>
+            <p><strong>Face samples:</strong> {shown.sample_count ?? shown.samples?.length ?? 1}</p>
+          </div>
+        )}
+
+        {message && (
+          <div className={`status-message ${message.startsWith('✓') ? 'success' : 'error'}`}>
+            {message}
+          </div>
+        )}
+
+        {!isEditing && (
+          <div className="drawer-actions">
+            <button onClick={startEditing} className="btn btn-secondary">Edit</button>
+            <button onClick={handleToggleActive} className="btn btn-secondary">
+              {isActive ? 'Deactivate' : 'Reactivate'}
+            </button>
+            <Link to={`/register?append=${person.id}&reenroll=1`} className="btn btn-secondary">
+              Re-enrol face
+            </Link>
+            <Link to={`/register?append=${person.id}`} className="btn btn-secondary">
+              Add samples
+            </Link>
+          </div>
+        )}
+
+        <h4 className="drawer-heading">
+          Recent attendance
+          <Link to={`/admin?tab=attendance&user=${encodeURIComponent(shown.user_id)}`} onClick={onClose} className="table-link">
+            View all
+          </Link>
+        </h4>
+        {recentAttendance.length === 0 ? (
+          <p className="settings-hint">No attendance recorded yet.</p>
+        ) : (
+          <ul className="drawer-list">
+            {recentAttendance.map(record => (
+              <li key={record.id}>{new Date(record.created_at).toLocaleString()}</li>
+            ))}
+          </ul>
+        )}
+
+        <h4 className="drawer-heading danger">Delete person</h4>
+        {showDelete ? (
+          <>
+            <p className="settings-hint">
+              This removes {shown.name}, their face samples and login. Type <strong>{shown.user_id}</strong> to confirm.
+            </p>
+            <div className="settings-inline">
+              <input
+                type="text"
+                value={confirmText}
+                onChange={(e) => setConfirmText(e.target.value)}
+                placeholder={shown.user_id}
+                autoFocus
+              />
+              <button
+                onClick={() => onDelete(person)}
+                disabled={confirmText !== String(shown.user_id)}
+                className="btn btn-danger"
+              >
+                Delete
+              </button>
+            </div>
+          </>
+        ) : (
+          <button onClick={() => setShowDelete(true)} className="btn btn-danger">
+            Delete…
+          </button>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+// Value that only changes once `value` has stopped changing for `delay` ms
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timeout);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+// Column header that sorts the table by `column`, toggling the direction on repeat clicks
+function SortHeader({ column, label, query, onChange }) {
+  const isSorted = query.sort === column;
+
+  const handleClick = () => {
+    onChange({ sort: column, order: isSorted && query.order === 'desc' ? 'asc' : 'desc' });
+  };
+
+  return (
+    <th className={`sortable ${isSorted ? 'sorted' : ''}`} onClick={handleClick} aria-sort={isSorted ? `${query.order}ending` : 'none'}>
+      {label}
+      <span className="sort-indicator">{isSorted ? (query.order === 'asc' ? '▲' : '▼') : '↕'}</span>
+    </th>
+  );
+}
+
+function ShiftStatusTag({ classification }) {
+  return (
+    <span className={`shift-status ${classification.status}`} title={classification.shift?.name || ''}>
+      {describeClassification(classification)}
+    </span>
+  );
+}
+
+// Search box, optional date range and page size above a paginated table
+function TableFilters({ query, onChange, showDates = false, placeholder }) {
+  const [searchInput, setSearchInput] = useState(query.search);
+  const [syncedSearch, setSyncedSearch] = useState(query.search);
+  const debouncedSearch = useDebouncedValue(searchInput, SEARCH_DEBOUNCE_MS);
+
+  // The URL can change underneath us (tab switch, back button, "View all" link)
+  if (query.search !== syncedSearch) {
+    setSyncedSearch(query.search);
+    setSearchInput(query.search);
+  }
+
+  // Only a settled value is pushed, so a debounce still catching up with a URL change can't undo it
+  useEffect(() => {
+    if (debouncedSearch === searchInput && debouncedSearch !== query.search) onChange({ search: debouncedSearch });
+  }, [debouncedSearch, searchInput, query.search, onChange]);
+
+  return (
+    <div className="table-filters">
+      <input
+        type="search"
+        value={searchInput}
+        onChange={(e) => setSearchInput(e.target.value)}
+        placeholder={placeholder}
+      />
+      {showDates && (
+        <>
+          <input
+            type="date"
+            value={query.startDate}
+            onChange={(e) => onChange({ startDate: e.target.value })}
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={query.endDate}
+            min={query.startDate || undefined}
+            onChange={(e) => onChange({ endDate: e.target.value })}
+            aria-label="To date"
+          />
+        </>
+      )}
+      {query.userId && (
+        <button onClick={() => onChange({ userId: '' })} className="filter-chip" title="Clear user filter">
+          User {query.userId} ✕
+        </button>
+      )}
+    </div>
+  );
+}
+
+function Pagination({ query, total, onChange }) {
+  const pageCount = Math.max(1, Math.ceil(total / query.pageSize));
+  const first = total === 0 ? 0 : (query.page - 1) * query.pageSize + 1;
+  const last = Math.min(total, query.page * query.pageSize);
+
+  return (
+    <div className="pagination">
+      <span>
+        {first.toLocaleString()}–{last.toLocaleString()} of {total.toLocaleString()}
+      </span>
+      <select
+        value={query.pageSize}
+        onChange={(e) => onChange({ pageSize: Number(e.target.value) })}
+        aria-label="Rows per page"
+      >
+        {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+      </select>
+      <button onClick={() => onChange({ page: query.page - 1 })} disabled={query.page <= 1} className="btn btn-secondary">
+        ‹ Prev
+      </button>
+      <span>Page {query.page} of {pageCount}</span>
+      <button onClick={() => onChange({ page: query.page + 1 })} disabled={query.page >= pageCount} className="btn btn-secondary">
+        Next ›
+      </button>
+    </div>
+  );
+}
+
+// Table that only renders the rows scrolled into view, padded with spacer rows
+function VirtualTable({ rows, header, renderRow, columns, isLoading, resetKey }) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+
+  useEffect(() => {
+    if (containerRef.current) setViewportHeight(containerRef.current.clientHeight || 600);
+  }, [rows.length]);
+
+  // A new page or filter starts at the top
+  const [scrollResetKey, setScrollResetKey] = useState(resetKey);
+  if (resetKey !== scrollResetKey) {
+    setScrollResetKey(resetKey);
+    setScrollTop(0);
+  }
+
+  useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+  }, [resetKey]);
+
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - VIRTUAL_OVERSCAN);
+  const end = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + VIRTUAL_OVERSCAN);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`table-container virtual-table ${isLoading ? 'loading' : ''}`}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <table>
+        <thead>{header}</thead>
+        <tbody>
+          {start > 0 && <tr style={{ height: start * ROW_HEIGHT }} />}
+          {rows.slice(start, end).map(renderRow)}
+          {end < rows.length && <tr style={{ height: (rows.length - end) * ROW_HEIGHT }} />}
+          {rows.length === 0 && !isLoading && (
+            <tr>
+              <td colSpan={columns} className="empty-row">No matching records</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
 function Admin() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [people, setPeople] = useState([]);
+  const [peopleTotal, setPeopleTotal] = useState(0);
   const [attendance, setAttendance] = useState([]);
-  const [activeTab, setActiveTab] = useState('people');
-  const [exportFilter, setExportFilter] = useState('all');
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
+  const [attendanceTotal, setAttendanceTotal] = useState(0);
+  const [tabTotals, setTabTotals] = useState({ people: null, attendance: null }); // Unfiltered, for the tab labels
+  const [reviewListsLoaded, setReviewListsLoaded] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [falseMatches, setFalseMatches] = useState([]);
+  const [pendingMatches, setPendingMatches] = useState([]);
+  const [matchesMessage, setMatchesMessage] = useState('');
+  const [corrections, setCorrections] = useState([]);
+  const [correctionsMessage, setCorrectionsMessage] = useState('');
+  const [schedule, setSchedule] = useState(null);
+  const [livenessPolicy, setLivenessPolicyState] = useState(getLivenessPolicy());
+  const [kioskPin, setKioskPinInput] = useState('');
+  const [kioskPinSet, setKioskPinSet] = useState(hasKioskPin());
+  const [kioskPinMessage, setKioskPinMessage] = useState('');
+  const [queue, setQueue] = useState([]);
+  const [detectorConfig, setDetectorConfigState] = useState(getDetectorConfig());
+  const [availableBackends, setAvailableBackends] = useState(['tiny']);
+  const [localMatching, setLocalMatchingState] = useState(getLocalMatchingSettings());
+  const [galleryInfo, setGalleryInfo] = useState(null);
+  const [galleryMessage, setGalleryMessage] = useState('');
+  const [selectedPersonId, setSelectedPersonId] = useState(null);
+  const [peopleMessage, setPeopleMessage] = useState('');
+  const requestRef = useRef(0);
+
+  const activeTab = searchParams.get('tab') || 'people';
+  const tableQuery = readTableQuery(searchParams);
+  const queryKey = searchParams.toString();
 
   useEffect(() => {
     fetchData();
-  }, [activeTab]);
+  }, [queryKey]);
+
+  useEffect(() => {
+    return subscribeToQueue(setQueue);
+  }, []);
+
+  // Tab counts are loaded up front, so they are right before their tab is opened
+  useEffect(() => {
+    let cancelled = false;
+    const countParams = toApiParams({ ...TABLE_QUERY_DEFAULTS, pageSize: 1 });
+
+    Promise.all([api.queryPeople(countParams), api.queryAttendance(countParams)])
+      .then(([peopleRes, attendanceRes]) => {
+        if (!cancelled) setTabTotals({ people: peopleRes.data.total, attendance: attendanceRes.data.total });
+      })
+      .catch(err => console.error('Error loading tab counts:', err));
+
+    Promise.all([api.getFalseMatches(), api.getPendingMatches(), api.getCorrections()])
+      .then(([falseRes, pendingRes, correctionsRes]) => {
+        if (cancelled) return;
+        setFalseMatches(falseRes.data);
+        setPendingMatches(pendingRes.data);
+        setCorrections(correctionsRes.data);
+        setReviewListsLoaded(true);
+      })
+      .catch(err => console.error('Error loading review lists:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Each tab starts with its own default filters
+  const setActiveTab = (tab) => {
+    setSearchParams(tab === 'people' ? {} : { tab });
+  };
+
+  const handleTableQueryChange = (changes) => {
+    setSearchParams(writeTableQuery(searchParams, changes));
+  };
 
   const fetchData = async () => {
+    // Only the latest request may update the table when filters change quickly
+    const request = ++requestRef.current;
+
     try {
-      if (activeTab === 'people') {
-        const res = await api.getPeople();
-        setPeople(res.data);
-      } else {
-        const res = await api.getAttendance();
-        setAttendance(res.data);
+      if (activeTab === 'people' || activeTab === 'attendance') {
+        setIsLoading(true);
+        const params = toApiParams(tableQuery);
+        if (activeTab === 'attendance') {
+          loadSchedule()
+            .then(setSchedule)
+            .catch(err => console.error('Error loading shift schedule:', err));
+        }
+        const res = activeTab === 'people'
+          ? await api.queryPeople(params)
+          : await api.queryAttendance(params);
+        if (request !== requestRef.current) return;
+
+        if (activeTab === 'people') {
+          setPeople(res.data.items);
+          setPeopleTotal(res.data.total);
+        } else {
+          setAttendance(res.data.items);
+          setAttendanceTotal(res.data.total);
+        }
+      } else if (activeTab === 'falseMatches') {
+        const [falseRes, pendingRes] = await Promise.all([api.getFalseMatches(), api.getPendingMatches()]);
+        setFalseMatches(falseRes.data);
+        setPendingMatches(pendingRes.data);
+        setReviewListsLoaded(true);
+      } else if (activeTab === 'corrections') {
+        const res = await api.getCorrections();
+        setCorrections(res.data);
+      } else if (activeTab === 'settings') {
+        setGalleryInfo(await getGalleryInfo());
+        setAvailableBackends(await getAvailableBackends());
       }
     } catch (err) {
       console.error('Error fetching data:', err);
       if (err.response?.status === 403) {
         alert('Admin access required');
       }
+    } finally {
+      if (request === requestRef.current) setIsLoading(false);
     }
   };
 
-  const handleExport = async () => {
+  const handleLivenessPolicyChange = (name) => {
+    setLivenessPolicy(name);
+    setLivenessPolicyState(name);
+  };
+
+  const handleSetKioskPin = async (e) => {
+    e.preventDefault();
     try {
-      let startDateParam = null;
-      let endDateParam = null;
-      
-      if (exportFilter === 'day') {
-        const today = new Date().toISOString().split('T')[0];
-        startDateParam = today;
-        endDateParam = today;
-      } else if (exportFilter === 'month') {
-        const now = new Date();
-        startDateParam = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-        endDateParam = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0];
-      } else if (exportFilter === 'custom') {
-        if (!startDate || !endDate) {
-          alert('Please select both start and end dates');
-          return;
-        }
-        startDateParam = startDate;
-        endDateParam = endDate;
-      }
+      await setKioskPin(kioskPin);
+      setKioskPinSet(true);
+      setKioskPinInput('');
+      setKioskPinMessage('✓ Kiosk PIN saved on this device');
+    } catch (err) {
+      setKioskPinMessage(err.message);
+    }
+  };
 
-      const res = await api.exportAttendance(startDateParam, endDateParam);
-      const data = res.data;
+  // Apply the change to the list straight away and put the old values back if the server refuses
+  // Only fields still showing this change are rolled back, so a later edit isn't undone
+  // Resolves with an error message, or null on success
+  const handleUpdatePerson = async (id, changes) => {
+    const previous = people.find(p => p.id === id);
+    setPeople(list => list.map(p => (p.id === id ? { ...p, ...changes } : p)));
 
-      if (data.length === 0) {
-        alert('No attendance records found for the selected period');
-        return;
-      }
+    try {
+      await api.updatePerson(id, changes);
+      return null;
+    } catch (err) {
+      console.error('Error updating person:', err);
+      setPeople(list => list.map(p => {
+        if (p.id !== id) return p;
+        const rollback = Object.keys(changes).filter(key => p[key] === changes[key]);
+        return { ...p, ...Object.fromEntries(rollback.map(key => [key, previous[key]])) };
+      }));
+      return err.response?.data?.error || err.message;
+    }
+  };
 
-      // Convert to CSV
-      const csv = convertToCSV(data);
-      
-      // Download CSV
-      const blob = new Blob([csv], { type: 'text/csv' });
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = `attendance_${exportFilter}_${new Date().toISOString().split('T')[0]}.csv`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
+  const handleDeletePerson = async (person) => {
+    const index = people.findIndex(p => p.id === person.id);
+    setSelectedPersonId(null);
+    setPeople(list => list.filter(p => p.id !== person.id));
+    setPeopleTotal(total => total - 1);
+    setTabTotals(totals => ({ ...totals, people: totals.people === null ? null : totals.people - 1 }));
+    setPeopleMessage('');
+
+    try {
+      await api.deletePerson(person.id);
+      setPeopleMessage(`✓ Deleted ${person.name} (${person.user_id})`);
+    } catch (err) {
+      console.error('Error deleting person:', err);
+      setPeople(list => [...list.slice(0, index), person, ...list.slice(index)]);
+      setPeopleTotal(total => total + 1);
+      setTabTotals(totals => ({ ...totals, people: totals.people === null ? null : totals.people + 1 }));
+      setPeopleMessage(`Failed to delete ${person.name}: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const selectedPerson = people.find(p => p.id === selectedPersonId);
+
+  // Take the request off the queue straight away and put it back if the server refuses
+  const handleReviewCorrection = async (correction, approved) => {
+    let note = null;
+    if (!approved) {
+      note = window.prompt('Reason for rejecting (shown to the requester):', '');
+      if (note === null) return;
+    }
+
+    const index = corrections.findIndex(c => c.id === correction.id);
+    setCorrections(list => list.filter(c => c.id !== correction.id));
+    setCorrectionsMessage('');
+
+    try {
+      await api.reviewCorrection(correction.id, approved, note || null);
+      setCorrectionsMessage(`✓ ${approved ? 'Approved' : 'Rejected'} ${correction.name}'s correction for ${correction.date}`);
     } catch (err) {
-      console.error('Error exporting data:', err);
-      alert('Failed to export data');
+      console.error('Error reviewing correction:', err);
+      setCorrections(list => [...list.slice(0, index), correction, ...list.slice(index)]);
+      setCorrectionsMessage(`Failed to update the correction: ${err.response?.data?.error || err.message}`);
     }
   };
 
-  const convertToCSV = (data) => {
-    const headers = ['ID', 'User ID', 'Name', 'Date', 'Time'];
-    
-    // Helper function to escape CSV values
-    const escapeCSV = (value) => {
-      if (value === null || value === undefined) return '';
-      const stringValue = String(value);
-      // Wrap in quotes if contains comma, quote, or newline
-      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
+  // Replayed offline check-ins only count once an admin confirms the match
+  const handleReviewMatch = async (match, approved) => {
+    const index = pendingMatches.findIndex(m => m.provisionalToken === match.provisionalToken);
+    setPendingMatches(list => list.filter(m => m.provisionalToken !== match.provisionalToken));
+    setMatchesMessage('');
+
+    try {
+      if (approved) {
+        await api.confirmAttendance(match.provisionalToken);
+      } else {
+        await api.rejectAttendance(match.provisionalToken, 'Rejected at review of an offline check-in');
+        const res = await api.getFalseMatches();
+        setFalseMatches(res.data);
       }
-      return stringValue;
-    };
-    
-    const rows = data.map(record => {
-      const date = new Date(record.created_at);
-      
-      // Format date with leading apostrophe to force text format in Excel
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const dateStr = `'${year}-${month}-${day}`; // Leading apostrophe forces text format
-      
-      // Format time as readable string with proper padding
-      let hours = date.getHours();
-      const minutes = String(date.getMinutes()).padStart(2, '0');
-      const seconds = String(date.getSeconds()).padStart(2, '0');
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      hours = hours % 12 || 12;
-      hours = String(hours).padStart(2, ' '); // Pad with space for alignment
-      const timeStr = `'${hours}:${minutes}:${seconds} ${ampm}`; // Leading apostrophe for text format
-      
-      return [
-        escapeCSV(record.id),
-        escapeCSV(record.user_id),
-        escapeCSV(record.matched_name || 'Unknown'),
-        escapeCSV(dateStr),
-        escapeCSV(timeStr)
-      ];
-    });
+      setMatchesMessage(`✓ ${approved ? 'Confirmed' : 'Rejected'} the match for ${match.name}`);
+    } catch (err) {
+      console.error('Error reviewing match:', err);
+      setPendingMatches(list => [...list.slice(0, index), match, ...list.slice(index)]);
+      setMatchesMessage(`Failed to update the match: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const handleDetectorChange = (changes) => {
+    if (changes === null) {
+      setDetectorConfig(null);
+    } else {
+      const next = { ...detectorConfig, ...changes };
+      // Switching to the tiny detector needs an input size again
+      if (DETECTOR_BACKENDS[next.backend].inputSizes && !next.inputSize) {
+        next.inputSize = 416;
+      }
+      setDetectorConfig(next);
+    }
+    setDetectorConfigState(getDetectorConfig());
+  };
+
+  const handleLocalMatchingChange = async (changes) => {
+    try {
+      const settings = setLocalMatchingSettings(changes);
+      setLocalMatchingState(settings);
+      setGalleryMessage('');
 
-    // Add BOM for proper Excel UTF-8 encoding
-    const BOM = '\uFEFF';
-    const csvContent = BOM + [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
+      if (changes.enabled === false) {
+        await clearGallery();
+        setGalleryInfo(null);
+      }
+    } catch (err) {
+      setGalleryMessage(err.message);
+    }
+  };
 
-    return csvContent;
+  const handleRefreshGallery = async (full) => {
+    setGalleryMessage('Downloading face gallery...');
+    try {
+      const res = await refreshGallery(full);
+      setGalleryInfo(await getGalleryInfo());
+      setGalleryMessage(res.changed
+        ? `✓ Gallery updated (${res.count} people, version ${res.version})`
+        : '✓ Gallery is already up to date');
+    } catch (err) {
+      console.error('Error refreshing face gallery:', err);
+      setGalleryMessage('Failed to download face gallery: ' + (err.response?.data?.error || err.message));
+    }
   };
 
   return (
@@ -140,123 +675,531 @@ function Admin() {
             className={`tab ${activeTab === 'people' ? 'active' : ''}`}
             onClick={() => setActiveTab('people')}
           >
-            Registered People ({people.length})
+            Registered People{countLabel(tabTotals.people)}
           </button>
           <button 
             className={`tab ${activeTab === 'attendance' ? 'active' : ''}`}
             onClick={() => setActiveTab('attendance')}
           >
-            Attendance Logs ({attendance.length})
+            Attendance Logs{countLabel(tabTotals.attendance)}
+          </button>
+          <button 
+            className={`tab ${activeTab === 'sessions' ? 'active' : ''}`}
+            onClick={() => setActiveTab('sessions')}
+          >
+            Sessions
+          </button>
+          <button 
+            className={`tab ${activeTab === 'shifts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('shifts')}
+          >
+            Shifts
+          </button>
+          <button 
+            className={`tab ${activeTab === 'analytics' ? 'active' : ''}`}
+            onClick={() => setActiveTab('analytics')}
+          >
+            Analytics
+          </button>
+          <button 
+            className={`tab ${activeTab === 'falseMatches' ? 'active' : ''}`}
+            onClick={() => setActiveTab('falseMatches')}
+          >
+            False Matches{reviewListsLoaded && ` (${falseMatches.length}${pendingMatches.length > 0 ? `, ${pendingMatches.length} to review` : ''})`}
+          </button>
+          <button 
+            className={`tab ${activeTab === 'corrections' ? 'active' : ''}`}
+            onClick={() => setActiveTab('corrections')}
+          >
+            Corrections{reviewListsLoaded && countLabel(corrections.length)}
+          </button>
+          <button 
+            className={`tab ${activeTab === 'queue' ? 'active' : ''}`}
+            onClick={() => setActiveTab('queue')}
+          >
+            Offline Queue ({queue.filter(item => item.status !== 'synced').length})
+          </button>
+          <button 
+            className={`tab ${activeTab === 'settings' ? 'active' : ''}`}
+            onClick={() => setActiveTab('settings')}
+          >
+            Settings
           </button>
         </div>
 
-        {activeTab === 'people' ? (
-          <div className="table-container">
-            <table>
-              <thead>
-                <tr>
-                  <th>ID</th>
-                  <th>User ID</th>
-                  <th>Name</th>
-                  <th>Registered</th>
-                </tr>
-              </thead>
-              <tbody>
-                {people.map(person => (
-                  <tr key={person.id}>
-                    <td>{person.id}</td>
-                    <td>{person.user_id}</td>
-                    <td>{person.name}</td>
-                    <td>{new Date(person.created_at).toLocaleString()}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ) : (
-          <>
-            {/* Export Section - Moved to Top */}
-            <div className="export-section">
-              <h3>Export Attendance</h3>
-              
-              <div className="export-filters">
-                <div className="form-group">
-                  <label htmlFor="exportFilter">Filter By</label>
+        {activeTab === 'settings' ? (
+          <div className="settings-section">
+            <h3>Liveness Policy</h3>
+            <p className="settings-hint">
+              Applies to attendance check-ins on this device. Overrides the VITE_LIVENESS_POLICY default.
+            </p>
+            {Object.entries(LIVENESS_POLICIES).map(([key, policy]) => (
+              <label key={key} className="settings-option">
+                <input
+                  type="radio"
+                  name="livenessPolicy"
+                  value={key}
+                  checked={livenessPolicy === key}
+                  onChange={() => handleLivenessPolicyChange(key)}
+                />
+                <span>
+                  <strong>{policy.label}</strong>
+                  <small>{policy.description}</small>
+                </span>
+              </label>
+            ))}
+
+            <h3 className="settings-heading">Face Detector</h3>
+            <p className="settings-hint">
+              Using <strong>{describeDetectorConfig(detectorConfig)}</strong>
+              {detectorConfig.source === 'admin' ? ' (set by an admin on this device).' : ' (picked from this device\'s CPU and memory).'}
+              {' '}<Link to="/benchmark" className="table-link">Run the benchmark</Link> to compare options on this device.
+            </p>
+            <div className="settings-inline">
+              <label>
+                Detector
+                <select
+                  value={detectorConfig.backend}
+                  onChange={(e) => handleDetectorChange({ backend: e.target.value })}
+                >
+                  {Object.entries(DETECTOR_BACKENDS).map(([key, backend]) => (
+                    <option key={key} value={key} disabled={!availableBackends.includes(key)}>
+                      {backend.label}{availableBackends.includes(key) ? '' : ' (run download-models.sh first)'}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {DETECTOR_BACKENDS[detectorConfig.backend].inputSizes && (
+                <label>
+                  Input size
                   <select
-                    id="exportFilter"
-                    value={exportFilter}
-                    onChange={(e) => setExportFilter(e.target.value)}
-                    style={{
-                      width: '100%',
-                      padding: '0.5rem',
-                      border: '2px solid #e2e8f0',
-                      borderRadius: '8px',
-                      fontSize: '1rem'
-                    }}
+                    value={detectorConfig.inputSize}
+                    onChange={(e) => handleDetectorChange({ inputSize: parseInt(e.target.value, 10) })}
                   >
-                    <option value="all">All Records</option>
-                    <option value="day">Today</option>
-                    <option value="month">This Month</option>
-                    <option value="custom">Custom Date Range</option>
+                    {DETECTOR_BACKENDS[detectorConfig.backend].inputSizes.map(size => (
+                      <option key={size} value={size}>{size}</option>
+                    ))}
                   </select>
-                </div>
+                </label>
+              )}
+              <label>
+                Score threshold
+                <input
+                  type="number"
+                  min="0.1"
+                  max="0.9"
+                  step="0.05"
+                  value={detectorConfig.scoreThreshold}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    if (value > 0 && value < 1) handleDetectorChange({ scoreThreshold: value });
+                  }}
+                />
+              </label>
+            </div>
+            <p className="settings-hint">{DETECTOR_BACKENDS[detectorConfig.backend].description}</p>
+            {detectorConfig.source === 'admin' && (
+              <button onClick={() => handleDetectorChange(null)} className="btn btn-secondary">
+                Use device default
+              </button>
+            )}
 
-                {exportFilter === 'custom' && (
-                  <>
-                    <div className="form-group">
-                      <label htmlFor="startDate">Start Date</label>
-                      <input
-                        type="date"
-                        id="startDate"
-                        value={startDate}
-                        onChange={(e) => setStartDate(e.target.value)}
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="endDate">End Date</label>
-                      <input
-                        type="date"
-                        id="endDate"
-                        value={endDate}
-                        onChange={(e) => setEndDate(e.target.value)}
-                      />
-                    </div>
-                  </>
-                )}
+            <h3 className="settings-heading">Kiosk PIN</h3>
+            <p className="settings-hint">
+              Required to enter and leave kiosk mode on this device. {kioskPinSet ? 'A PIN is set.' : 'No PIN is set yet.'}
+            </p>
+            <form className="settings-inline" onSubmit={handleSetKioskPin}>
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="new-password"
+                placeholder="4-8 digits"
+                value={kioskPin}
+                onChange={(e) => setKioskPinInput(e.target.value.replace(/\D/g, ''))}
+              />
+              <button type="submit" className="btn btn-secondary" disabled={!kioskPin}>
+                {kioskPinSet ? 'Change PIN' : 'Set PIN'}
+              </button>
+            </form>
+            {kioskPinMessage && (
+              <div className={`status-message ${kioskPinMessage.startsWith('✓') ? 'success' : 'error'}`}>
+                {kioskPinMessage}
               </div>
+            )}
 
-              <button 
-                onClick={handleExport}
+            <h3 className="settings-heading">On-device Matching</h3>
+            <p className="settings-hint">
+              Downloads the enrolled faces for this site, stores them encrypted on this device and matches locally.
+              Check-ins are still recorded by the server, or queued while offline.
+            </p>
+            <label className="settings-option">
+              <input
+                type="checkbox"
+                checked={localMatching.enabled}
+                onChange={(e) => handleLocalMatchingChange({ enabled: e.target.checked })}
+              />
+              <span>
+                <strong>Match faces on this device</strong>
+                <small>Turning this off deletes the downloaded gallery.</small>
+              </span>
+            </label>
+            <div className="settings-inline">
+              <label>
+                Threshold
+                <input
+                  type="number"
+                  min="0.1"
+                  max="0.9"
+                  step="0.05"
+                  value={localMatching.threshold}
+                  onChange={(e) => handleLocalMatchingChange({ threshold: parseFloat(e.target.value) })}
+                />
+              </label>
+              <label>
+                Site ID
+                <input
+                  type="text"
+                  placeholder="All sites"
+                  value={localMatching.siteId}
+                  onChange={(e) => handleLocalMatchingChange({ siteId: e.target.value.trim() })}
+                />
+              </label>
+            </div>
+            {localMatching.enabled && (
+              <>
+                <p className="settings-hint">
+                  {galleryInfo
+                    ? `${galleryInfo.count} people, version ${galleryInfo.version}, updated ${new Date(galleryInfo.updatedAt).toLocaleString()}`
+                    : 'No gallery downloaded yet.'}
+                </p>
+                <div className="settings-inline">
+                  <button onClick={() => handleRefreshGallery(false)} className="btn btn-secondary">
+                    Refresh now
+                  </button>
+                  <button onClick={() => handleRefreshGallery(true)} className="btn btn-secondary">
+                    Download everything again
+                  </button>
+                </div>
+              </>
+            )}
+            {galleryMessage && (
+              <div className={`status-message ${galleryMessage.startsWith('✓') ? 'success' : galleryMessage.endsWith('...') ? '' : 'error'}`}>
+                {galleryMessage}
+              </div>
+            )}
+          </div>
+        ) : activeTab === 'queue' ? (
+          <>
+            <p className="settings-hint">
+              Check-ins saved on this device while the server was unreachable. They are sent automatically when the connection returns.
+            </p>
+            <div className="settings-inline">
+              <button onClick={() => syncCheckInQueue(true)} className="btn btn-secondary">
+                Sync now
+              </button>
+              <button
+                onClick={clearSyncedCheckIns}
+                disabled={!queue.some(item => item.status === 'synced')}
                 className="btn btn-secondary"
               >
-                📥 Export to CSV
+                Clear synced
               </button>
             </div>
-
-            {/* Attendance Table */}
             <div className="table-container">
               <table>
                 <thead>
                   <tr>
-                    <th>ID</th>
-                    <th>User ID</th>
-                    <th>Name</th>
+                    <th>Captured</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Details</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {queue.map(item => (
+                    <tr key={item.id}>
+                      <td>{new Date(item.deviceTimestamp).toLocaleString()}</td>
+                      <td>
+                        <span className={`queue-status ${item.status}`}>{item.status}</span>
+                      </td>
+                      <td>{item.attempts}</td>
+                      <td>
+                        {item.status === 'synced'
+                          ? `${item.result?.name} (${item.result?.userId}) - held for review`
+                          : item.status === 'pending' && item.attempts > 0
+                            ? `${item.lastError} - next try ${new Date(item.nextAttemptAt).toLocaleTimeString()}`
+                            : item.lastError || '—'}
+                      </td>
+                      <td>
+                        {item.status === 'failed' && (
+                          <button onClick={() => retryQueuedCheckIn(item)} className="btn btn-secondary">
+                            Retry
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : activeTab === 'sessions' ? (
+          <AttendanceSessions />
+        ) : activeTab === 'shifts' ? (
+          <ShiftSettings onChange={setSchedule} />
+        ) : activeTab === 'analytics' ? (
+          <AttendanceAnalytics />
+        ) : activeTab === 'corrections' ? (
+          <>
+            <p className="settings-hint">
+              Missed check-ins that people have asked to be recorded. Approving adds the check-in to their attendance.
+            </p>
+            {correctionsMessage && (
+              <div className={`status-message ${correctionsMessage.startsWith('✓') ? 'success' : 'error'}`}>
+                {correctionsMessage}
+              </div>
+            )}
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Person</th>
+                    <th>Date</th>
                     <th>Time</th>
+                    <th>Reason</th>
+                    <th>Requested</th>
+                    <th></th>
                   </tr>
                 </thead>
                 <tbody>
-                  {attendance.map(record => (
-                    <tr key={record.id}>
-                      <td>{record.id}</td>
-                      <td>{record.user_id}</td>
-                      <td>{record.matched_name || 'Unknown'}</td>
-                      <td>{new Date(record.created_at).toLocaleString()}</td>
+                  {corrections.map(correction => (
+                    <tr key={correction.id}>
+                      <td>{correction.name} ({correction.user_id})</td>
+                      <td>{correction.date}</td>
+                      <td>{correction.time}</td>
+                      <td>{correction.reason}</td>
+                      <td>{new Date(correction.created_at).toLocaleString()}</td>
+                      <td>
+                        <span className="row-actions">
+                          <button
+                            onClick={() => handleReviewCorrection(correction, true)}
+                            className="row-action confirm"
+                            title="Approve"
+                          >
+                            ✓
+                          </button>
+                          <button
+                            onClick={() => handleReviewCorrection(correction, false)}
+                            className="row-action reject"
+                            title="Reject"
+                          >
+                            ✗
+                          </button>
+                        </span>
+                      </td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
           </>
+        ) : activeTab === 'falseMatches' ? (
+          <>
+            {matchesMessage && (
+              <div className={`status-message ${matchesMessage.startsWith('✓') ? 'success' : 'error'}`}>
+                {matchesMessage}
+              </div>
+            )}
+            {pendingMatches.length > 0 && (
+              <>
+                <h3>Awaiting Review</h3>
+                <p className="settings-hint">
+                  Check-ins saved offline and matched after the device reconnected. Nobody confirmed them at the camera.
+                </p>
+                <div className="table-container">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Captured</th>
+                        <th>Matched As</th>
+                        <th>Confidence</th>
+                        <th>Punch</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pendingMatches.map(match => (
+                        <tr key={match.provisionalToken}>
+                          <td>{new Date(match.deviceTimestamp).toLocaleString()}</td>
+                          <td>{match.name} ({match.userId})</td>
+                          <td>{match.confidence != null ? `${(match.confidence * 100).toFixed(1)}%` : '—'}</td>
+                          <td>{PUNCH_TYPES[match.punchType] || '—'}</td>
+                          <td>
+                            <span className="row-actions">
+                              <button
+                                onClick={() => handleReviewMatch(match, true)}
+                                className="row-action confirm"
+                                title="Confirm"
+                              >
+                                ✓
+                              </button>
+                              <button
+                                onClick={() => handleReviewMatch(match, false)}
+                                className="row-action reject"
+                                title="Reject"
+                              >
+                                ✗
+                              </button>
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <h3>False Matches</h3>
+              </>
+            )}
+            <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Matched As</th>
+                  <th>Confidence</th>
+                  <th>Reason</th>
+                  <th>Reported By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {falseMatches.map(event => (
+                  <tr key={event.id}>
+                    <td>{new Date(event.created_at).toLocaleString()}</td>
+                    <td>{event.matched_name || 'Unknown'} ({event.user_id})</td>
+                    <td>{event.confidence != null ? `${(event.confidence * 100).toFixed(1)}%` : '—'}</td>
+                    <td>{event.reason || '—'}</td>
+                    <td>{event.reported_by || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            </div>
+          </>
+        ) : activeTab === 'people' ? (
+          <>
+            {peopleMessage && (
+              <div className={`status-message ${peopleMessage.startsWith('✓') ? 'success' : 'error'}`}>
+                {peopleMessage}
+              </div>
+            )}
+            <TableFilters
+              query={tableQuery}
+              onChange={handleTableQueryChange}
+              placeholder="Search name or user ID"
+            />
+            <VirtualTable
+              rows={people}
+              columns={6}
+              isLoading={isLoading}
+              resetKey={queryKey}
+              header={(
+                <tr>
+                  <SortHeader column="id" label="ID" query={tableQuery} onChange={handleTableQueryChange} />
+                  <SortHeader column="user_id" label="User ID" query={tableQuery} onChange={handleTableQueryChange} />
+                  <SortHeader column="name" label="Name" query={tableQuery} onChange={handleTableQueryChange} />
+                  <th>Samples</th>
+                  <SortHeader column="created_at" label="Registered" query={tableQuery} onChange={handleTableQueryChange} />
+                  <th></th>
+                </tr>
+              )}
+              renderRow={person => (
+                <tr
+                  key={person.id}
+                  onClick={() => setSelectedPersonId(person.id)}
+                  className={`clickable-row ${person.active === false ? 'inactive' : ''}`}
+                >
+                  <td>{person.id}</td>
+                  <td>{person.user_id}</td>
+                  <td>
+                    {person.name}
+                    {person.active === false && <span className="inactive-tag">Inactive</span>}
+                  </td>
+                  <td>{person.sample_count ?? person.samples?.length ?? 1}</td>
+                  <td>{new Date(person.created_at).toLocaleString()}</td>
+                  <td>
+                    <Link
+                      to={`/register?append=${person.id}`}
+                      onClick={(e) => e.stopPropagation()}
+                      className="table-link"
+                    >
+                      + Add samples
+                    </Link>
+                  </td>
+                </tr>
+              )}
+            />
+            <Pagination query={tableQuery} total={peopleTotal} onChange={handleTableQueryChange} />
+            {selectedPerson && (
+              <PersonDrawer
+                key={selectedPerson.id}
+                person={selectedPerson}
+                onClose={() => setSelectedPersonId(null)}
+                onUpdate={handleUpdatePerson}
+                onDelete={handleDeletePerson}
+              />
+            )}
+          </>
+        ) : (
+          <>
+            <ExportBuilder />
+
+            {/* Attendance Table */}
+            <TableFilters
+              query={tableQuery}
+              onChange={handleTableQueryChange}
+              placeholder="Search name or user ID"
+              showDates
+            />
+            <VirtualTable
+              rows={attendance}
+              columns={7}
+              isLoading={isLoading}
+              resetKey={queryKey}
+              header={(
+                <tr>
+                  <SortHeader column="id" label="ID" query={tableQuery} onChange={handleTableQueryChange} />
+                  <SortHeader column="user_id" label="User ID" query={tableQuery} onChange={handleTableQueryChange} />
+                  <SortHeader column="name" label="Name" query={tableQuery} onChange={handleTableQueryChange} />
+                  <th>Liveness</th>
+                  <SortHeader column="created_at" label="Time" query={tableQuery} onChange={handleTableQueryChange} />
+                  <th>Punch</th>
+                  <th>Status</th>
+                </tr>
+              )}
+              renderRow={record => (
+                <tr key={record.id}>
+                  <td>{record.id}</td>
+                  <td>{record.user_id}</td>
+                  <td>{record.matched_name || 'Unknown'}</td>
+                  <td title={record.liveness_breakdown ? JSON.stringify(record.liveness_breakdown, null, 2) : ''}>
+                    {record.liveness_score != null ? `${(record.liveness_score * 100).toFixed(0)}%` : '—'}
+                  </td>
+                  <td>{new Date(record.created_at).toLocaleString()}</td>
+                  <td title={record.note || ''}>
+                    {record.punch_type === 'in' ? 'In' : record.punch_type === 'out' ? 'Out' : '—'}
+                    {record.manual && <span className="inactive-tag">Manual</span>}
+                  </td>
+                  <td>
+                    {schedule && (
+                      <ShiftStatusTag classification={classifyCheckIn(schedule, record.user_id, record.created_at, record.punch_type)} />
+                    )}
+                  </td>
+                </tr>
+              )}
+            />
+            <Pagination query={tableQuery} total={attendanceTotal} onChange={handleTableQueryChange} />
+          </>
         )}
       </div>
     </div>
@@ -1,7 +1,64 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { loadModels, detectFaceAndGetDescriptor } from '../utils/faceDetection';
-import { runSimpleLivenessCheck } from '../utils/livenessDetection';
-import { api } from '../utils/api';
+import { runLivenessPolicy, getLivenessPolicy, LIVENESS_POLICIES } from '../utils/livenessPolicy';
+import { api, submitCheckIn } from '../utils/api';
+import { QUEUE_CONFIG, removeQueuedCheckIn, releaseQueuedCheckIn } from '../utils/offlineQueue';
+import { getLocalMatchingSettings, matchLocally } from '../utils/localGallery';
+import { loadSchedule, classifyCheckIn } from '../utils/shiftSchedule';
+import { PUNCH_TYPES } from '../utils/sessions';
+
+// Shows how the liveness score was built up from each measured signal
+function LivenessBreakdown({ score, breakdown }) {
+  if (!breakdown) return null;
+
+  const pct = (value) => `${(value * 100).toFixed(0)}%`;
+
+  return (
+    <div className="liveness-breakdown">
+      <p><strong>Liveness Score:</strong> {pct(score)}</p>
+      <ul>
+        <li>
+          Motion: {pct(breakdown.motion.score)} × {breakdown.motion.weight}
+          {breakdown.motion.avgMovement !== null && ` (avg ${breakdown.motion.avgMovement}px/frame)`}
+        </li>
+        <li>
+          Challenge: {pct(breakdown.challenge.score)} × {breakdown.challenge.weight}
+          {breakdown.challenge.items.length > 0 && ` (${breakdown.challenge.items.map(item => `${item.id} ${pct(item.score)}`).join(', ')})`}
+        </li>
+        <li>
+          Tracking: {pct(breakdown.tracking.score)} × {breakdown.tracking.weight}
+          {` (${breakdown.tracking.validFrames}/${breakdown.tracking.totalFrames} frames)`}
+        </li>
+        {breakdown.antiSpoof && (
+          <li>
+            Spoof risk: {pct(breakdown.antiSpoof.spoofProbability)}
+            {` (${Object.entries(breakdown.antiSpoof.checks).map(([name, value]) => `${name} ${pct(value)}`).join(', ')})`}
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+// Sentence for the success card, e.g. "You are 12 minutes late"
+const shiftMessage = (classification) => {
+  const minutes = (n) => `${n} minute${n === 1 ? '' : 's'}`;
+  switch (classification.status) {
+    case 'late':
+      return `You are ${minutes(classification.minutesLate)} late`;
+    case 'early_leave':
+      return `You are leaving ${minutes(classification.minutesEarly)} early`;
+    case 'on_time':
+      return `You are on time for ${classification.shift.name}`;
+    case 'holiday':
+      return `Today is a holiday (${classification.holiday})`;
+    default:
+      return null;
+  }
+};
+
+// Used when the server doesn't say when a provisional record expires
+const DEFAULT_CONFIRM_WINDOW_MS = 60 * 1000;
 
 function Attendance() {
   const [status, setStatus] = useState('');
@@ -10,6 +67,10 @@ function Attendance() {
   const [modelsLoaded, setModelsLoaded] = useState(false);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [pendingAttendance, setPendingAttendance] = useState(null);
+  const [livenessSteps, setLivenessSteps] = useState([]);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [isResolving, setIsResolving] = useState(false);
+  const [punchType, setPunchType] = useState('auto');
   
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -26,6 +87,29 @@ function Attendance() {
       });
   }, []);
 
+  // Provisional records expire on the server; close the modal when that happens
+  useEffect(() => {
+    if (!pendingAttendance) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((pendingAttendance.expiresAt - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        if (pendingAttendance.queuedId) {
+          removeQueuedCheckIn(pendingAttendance.queuedId).catch(err => console.error('Error removing queued check-in:', err));
+        }
+        setShowConfirmModal(false);
+        setPendingAttendance(null);
+        setResult({ success: false, reason: 'Confirmation timed out. Attendance was not recorded.' });
+        setStatus('Failed: Confirmation timed out');
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [pendingAttendance]);
+
   const startCamera = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ 
@@ -55,16 +139,29 @@ function Attendance() {
 
     setIsChecking(true);
     setResult(null);
+    setLivenessSteps([]);
     setStatus('Starting liveness check...');
 
     await startCamera();
     await new Promise(resolve => setTimeout(resolve, 1000));
 
-    // Run liveness detection
-    const livenessResult = await runSimpleLivenessCheck(videoRef.current, canvasRef.current, setStatus);
+    // Run liveness detection with the policy configured for this device
+    const livenessResult = await runLivenessPolicy(
+      getLivenessPolicy(),
+      videoRef.current,
+      canvasRef.current,
+      setStatus,
+      setLivenessSteps
+    );
     
     if (!livenessResult.passed) {
-      setStatus('Liveness check failed: ' + livenessResult.reason);
+      setResult({
+        success: false,
+        reason: livenessResult.reason,
+        livenessScore: livenessResult.score,
+        livenessBreakdown: livenessResult.breakdown
+      });
+      setStatus('Failed: Liveness check - ' + livenessResult.reason);
       stopCamera();
       setIsChecking(false);
       return;
@@ -85,53 +182,157 @@ function Attendance() {
     stopCamera();
     setStatus('Matching face...');
 
-    // Send to backend for matching
+    // Match against the on-device gallery first when enabled; it's skipped if no gallery is downloaded yet
+    let localMatch = null;
+    if (getLocalMatchingSettings().enabled) {
+      try {
+        localMatch = await matchLocally(descriptor);
+      } catch (err) {
+        console.error('Error matching on device:', err);
+      }
+
+      if (localMatch && !localMatch.matched) {
+        setResult({ success: false, reason: 'No match found on this device' });
+        setStatus('Failed: No match found on this device');
+        setIsChecking(false);
+        return;
+      }
+    }
+
+    // Send to backend for matching (queued on this device if the server is unreachable)
     try {
-      const response = await api.markAttendance(
+      const submission = await submitCheckIn(
         Array.from(descriptor),
-        livenessResult.score
+        livenessResult.score,
+        livenessResult.breakdown,
+        localMatch ? { userId: localMatch.userId, distance: localMatch.distance } : null,
+        punchType,
+        Boolean(localMatch)
       );
 
-      const data = response.data;
+      if (submission.queued && localMatch) {
+        // Identified on this device: held in the queue until confirmed, then sent later
+        setPendingAttendance({
+          queuedId: submission.item.id,
+          capturedAt: submission.item.deviceTimestamp,
+          expiresAt: Date.now() + QUEUE_CONFIG.confirmWindowMs,
+          name: localMatch.name,
+          userId: localMatch.userId,
+          distance: localMatch.distance,
+          punchType: punchType === 'auto' ? null : punchType,
+          livenessScore: livenessResult.score,
+          livenessBreakdown: livenessResult.breakdown
+        });
+        setShowConfirmModal(true);
+        setStatus('Please confirm user identity');
+        setIsChecking(false);
+        return;
+      }
+
+      if (submission.queued) {
+        setResult({
+          queued: true,
+          capturedAt: submission.item.deviceTimestamp,
+          livenessScore: livenessResult.score,
+          livenessBreakdown: livenessResult.breakdown
+        });
+        setStatus('✓ Saved offline. Attendance will be sent when the connection returns.');
+        setIsChecking(false);
+        return;
+      }
+
+      const data = submission.response.data;
       
       if (data.success) {
-        // Show confirmation modal instead of directly marking attendance
+        // The match is provisional until confirmed in the modal
         setPendingAttendance({
+          provisionalToken: data.provisionalToken,
+          expiresAt: data.expiresAt ? new Date(data.expiresAt).getTime() : Date.now() + DEFAULT_CONFIRM_WINDOW_MS,
           name: data.name,
           userId: data.userId,
           confidence: data.confidence,
-          distance: data.distance
+          distance: data.distance,
+          punchType: data.punchType || (punchType === 'auto' ? null : punchType),
+          livenessScore: livenessResult.score,
+          livenessBreakdown: livenessResult.breakdown
         });
         setShowConfirmModal(true);
         setStatus('Please confirm user identity');
       } else {
-        setResult({ success: false });
+        setResult({ success: false, reason: data.error || 'No match found' });
         setStatus(`Failed: ${data.error || 'No match found'}`);
       }
     } catch (err) {
       const errorMsg = err.response?.data?.error || err.message;
-      setResult({ success: false });
+      setResult({ success: false, reason: errorMsg });
       setStatus('Failed: ' + errorMsg);
     }
 
     setIsChecking(false);
   };
 
-  const handleConfirmAttendance = () => {
-    // User confirmed the identity
-    setResult({
-      success: true,
-      ...pendingAttendance
-    });
-    setStatus(`✓ Attendance confirmed for ${pendingAttendance.name}!`);
+  const handleConfirmAttendance = async () => {
+    // User confirmed the identity - commit the provisional record
+    setIsResolving(true);
+    if (pendingAttendance.queuedId) {
+      try {
+        await releaseQueuedCheckIn(pendingAttendance.queuedId);
+        setResult({ queued: true, ...pendingAttendance });
+        setStatus(`✓ Saved offline for ${pendingAttendance.name}. Attendance will be sent when the connection returns.`);
+      } catch (err) {
+        console.error('Error releasing queued check-in:', err);
+        setResult({ success: false, reason: err.message });
+        setStatus('Failed: Could not save the check-in on this device - ' + err.message);
+      }
+      setIsResolving(false);
+      setShowConfirmModal(false);
+      setPendingAttendance(null);
+      return;
+    }
+    try {
+      await api.confirmAttendance(pendingAttendance.provisionalToken);
+      // The check-in is recorded either way; without a schedule the card just has no shift line
+      const classification = await loadSchedule()
+        .then(schedule => classifyCheckIn(schedule, pendingAttendance.userId, new Date(), pendingAttendance.punchType))
+        .catch(err => {
+          console.error('Error loading shift schedule:', err);
+          return null;
+        });
+      setResult({
+        success: true,
+        ...pendingAttendance,
+        classification
+      });
+      setStatus(`✓ Attendance confirmed for ${pendingAttendance.name}!`);
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || err.message;
+      setResult({ success: false, reason: errorMsg });
+      setStatus('Failed: Could not confirm attendance - ' + errorMsg);
+    }
+    setIsResolving(false);
     setShowConfirmModal(false);
     setPendingAttendance(null);
   };
 
-  const handleRejectAttendance = () => {
-    // User rejected the identity - reset everything for a fresh attempt
-    setResult(null);
-    setStatus('Attendance rejected. Ready to try again.');
+  const handleRejectAttendance = async () => {
+    // User rejected the identity - reverse the provisional record and report the false match
+    setIsResolving(true);
+    try {
+      if (pendingAttendance.queuedId) {
+        await removeQueuedCheckIn(pendingAttendance.queuedId);
+      } else {
+        await api.rejectAttendance(pendingAttendance.provisionalToken, 'Rejected at confirmation');
+      }
+      setResult(null);
+      setStatus(pendingAttendance.queuedId
+        ? 'Attendance rejected. Ready to try again.'
+        : 'Attendance rejected and reported. Ready to try again.');
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || err.message;
+      setStatus('Failed: Could not reject attendance - ' + errorMsg);
+    }
+    setIsResolving(false);
+    setLivenessSteps([]);
     setShowConfirmModal(false);
     setPendingAttendance(null);
     setIsChecking(false);
@@ -144,13 +345,28 @@ function Attendance() {
     <div className="page">
       <div className="card">
         <h2>Mark Attendance</h2>
+
+        {/* Auto lets the server pick: the opposite of this person's last punch today */}
+        <div className="punch-toggle" role="group" aria-label="Punch type">
+          {Object.entries(PUNCH_TYPES).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => setPunchType(type)}
+              className={punchType === type ? 'active' : ''}
+              aria-pressed={punchType === type}
+              disabled={isChecking}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         
         <button 
           onClick={markAttendance} 
           disabled={isChecking || !modelsLoaded}
           className="btn btn-primary"
         >
-          {isChecking ? 'Checking...' : 'Mark Attendance'}
+          {isChecking ? 'Checking...' : punchType === 'auto' ? 'Mark Attendance' : PUNCH_TYPES[punchType]}
         </button>
 
         {status && (
@@ -159,20 +375,50 @@ function Attendance() {
           </div>
         )}
 
+        {livenessSteps.length > 0 && (
+          <ul className="liveness-steps">
+            {livenessSteps.map(step => (
+              <li key={step.id} className={`liveness-step ${step.status}`}>
+                <span className="liveness-step-icon">
+                  {step.status === 'passed' ? '✓' : step.status === 'failed' ? '✗' : step.status === 'running' ? '…' : '○'}
+                </span>
+                <span className="liveness-step-label">{step.label}</span>
+                {step.reason && <span className="liveness-step-reason">{step.reason}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+
         {result && (
-          <div className={`result-card ${result.success ? 'success' : 'error'}`}>
-            {result.success ? (
+          <div className={`result-card ${result.success || result.queued ? 'success' : 'error'}`}>
+            {result.queued ? (
+              <>
+                <h3>⟳ Check-in Queued</h3>
+                {result.name && <p><strong>Name:</strong> {result.name} ({result.userId})</p>}
+                <p>The server could not be reached. Your check-in was saved on this device at {new Date(result.capturedAt).toLocaleTimeString()} and will be matched automatically once the connection returns.</p>
+                <LivenessBreakdown score={result.livenessScore} breakdown={result.livenessBreakdown} />
+              </>
+            ) : result.success ? (
               <>
-                <h3>✓ Attendance Marked</h3>
+                <h3>
+                  {result.punchType === 'in' ? '✓ Checked In' : result.punchType === 'out' ? '✓ Checked Out' : '✓ Attendance Marked'}
+                </h3>
+                {result.classification && shiftMessage(result.classification) && (
+                  <p className={`shift-status ${result.classification.status}`}>
+                    {shiftMessage(result.classification)}
+                  </p>
+                )}
                 <p><strong>Name:</strong> {result.name}</p>
                 <p><strong>User ID:</strong> {result.userId}</p>
                 <p><strong>Distance:</strong> {result.distance.toFixed(3)}</p>
                 <p><strong>Confidence:</strong> {(result.confidence * 100).toFixed(1)}%</p>
+                <LivenessBreakdown score={result.livenessScore} breakdown={result.livenessBreakdown} />
               </>
             ) : (
               <>
                 <h3>✗ Recognition Failed</h3>
-                <p>No matching user found or liveness check failed.</p>
+                <p>{result.reason || 'No matching user found or liveness check failed.'}</p>
+                <LivenessBreakdown score={result.livenessScore} breakdown={result.livenessBreakdown} />
               </>
             )}
           </div>
@@ -184,9 +430,9 @@ function Attendance() {
         </div>
 
         <div className="info-box">
-          <h4>Liveness Check:</h4>
+          <h4>Liveness Check ({LIVENESS_POLICIES[getLivenessPolicy()].label}):</h4>
           <ul>
-            <li>Follow on-screen instructions (blink or turn head)</li>
+            <li>Follow on-screen instructions (blink, turn, nod or tilt your head)</li>
             <li>Keep your face visible and centered</li>
             <li>Ensure good lighting</li>
             <li>Don't use photos or videos</li>
@@ -202,20 +448,27 @@ function Attendance() {
             <div className="modal-content">
               <p><strong>Name:</strong> {pendingAttendance.name}</p>
               <p><strong>User ID:</strong> {pendingAttendance.userId}</p>
-              <p><strong>Confidence:</strong> {(pendingAttendance.confidence * 100).toFixed(1)}%</p>
+              {pendingAttendance.queuedId ? (
+                <p><strong>Matched on this device:</strong> distance {pendingAttendance.distance.toFixed(3)}</p>
+              ) : (
+                <p><strong>Confidence:</strong> {(pendingAttendance.confidence * 100).toFixed(1)}%</p>
+              )}
               <p style={{ marginTop: '1rem', fontSize: '1rem' }}>
                 Is this the correct user?
+                {secondsLeft !== null && ` (${secondsLeft}s left)`}
               </p>
             </div>
             <div className="modal-actions">
               <button 
                 onClick={handleConfirmAttendance} 
+                disabled={isResolving}
                 className="btn btn-success"
               >
                 ✓ Confirm
               </button>
               <button 
                 onClick={handleRejectAttendance} 
+                disabled={isResolving}
                 className="btn btn-danger"
               >
                 ✗ Reject
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { api } from '../utils/api';
+import {
+  WEEKDAY_NAMES,
+  toDateKey,
+  computeAnalytics,
+  getAnalyticsSettings,
+  setAnalyticsSettings,
+  withFallbackShift
+} from '../utils/attendanceAnalytics';
+import { loadSchedule, classifyDays } from '../utils/shiftSchedule';
+import { drawBarChart, drawHeatmap, downloadCanvasPng } from '../utils/charts';
+
+const LIST_LIMIT = 50;  // Late and absent lists only show the most recent entries
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDateKey(date);
+};
+
+const RANGE_PRESETS = {
+  week: { label: 'Last 7 days', range: () => ({ startDate: daysAgo(6), endDate: daysAgo(0) }) },
+  month: { label: 'Last 30 days', range: () => ({ startDate: daysAgo(29), endDate: daysAgo(0) }) },
+  quarter: { label: 'Last 90 days', range: () => ({ startDate: daysAgo(89), endDate: daysAgo(0) }) }
+};
+
+// Canvas chart that redraws when its data or width changes, with a PNG download
+function ChartCard({ filename, draw }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const redraw = () => canvasRef.current && draw(canvasRef.current);
+    redraw();
+    window.addEventListener('resize', redraw);
+    return () => window.removeEventListener('resize', redraw);
+  }, [draw]);
+
+  return (
+    <div className="chart-card">
+      <canvas ref={canvasRef} className="chart-canvas" />
+      <button
+        onClick={() => downloadCanvasPng(canvasRef.current, filename)}
+        className="btn btn-secondary chart-download"
+      >
+        Download PNG
+      </button>
+    </div>
+  );
+}
+
+function AttendanceAnalytics() {
+  const [preset, setPreset] = useState('month');
+  const [range, setRange] = useState(RANGE_PRESETS.month.range());
+  const [records, setRecords] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [settings, setSettingsState] = useState(getAnalyticsSettings());
+  const [settingsMessage, setSettingsMessage] = useState('');
+  const [status, setStatus] = useState('');
+  const [loadedKey, setLoadedKey] = useState(null);
+
+  // Loading until the response for the current range has arrived
+  const isValidRange = Boolean(range.startDate && range.endDate && range.startDate <= range.endDate);
+  const requestKey = `${range.startDate}_${range.endDate}`;
+  const isLoading = isValidRange && loadedKey !== requestKey;
+
+  useEffect(() => {
+    if (!isValidRange) return;
+
+    let cancelled = false;
+
+    Promise.all([api.exportAttendance(range.startDate, range.endDate), api.getPeople(), loadSchedule()])
+      .then(([attendanceRes, peopleRes, loadedSchedule]) => {
+        if (cancelled) return;
+        setRecords(attendanceRes.data);
+        setPeople(peopleRes.data);
+        setSchedule(loadedSchedule);
+        setStatus('');
+      })
+      .catch(err => {
+        console.error('Error fetching analytics data:', err);
+        if (!cancelled) setStatus('Failed to load attendance: ' + (err.response?.data?.error || err.message));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadedKey(requestKey);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isValidRange, requestKey, range.startDate, range.endDate]);
+
+  // Late and absent follow each person's shift, the same as the attendance table and exports;
+  // without a default shift, people with none are judged against the start time set here
+  const hasDefaultShift = Boolean(schedule?.shifts.some(shift => shift.isDefault));
+  const analytics = useMemo(() => {
+    const days = schedule
+      ? classifyDays(withFallbackShift(schedule, settings), records, people, range.startDate, range.endDate)
+      : [];
+    return computeAnalytics(records, days, range);
+  }, [records, people, schedule, settings, range]);
+
+  const handlePreset = (key) => {
+    setPreset(key);
+    if (RANGE_PRESETS[key]) setRange(RANGE_PRESETS[key].range());
+  };
+
+  const handleSettingsChange = (changes) => {
+    try {
+      setSettingsState(setAnalyticsSettings(changes));
+      setSettingsMessage('');
+    } catch (err) {
+      setSettingsMessage(err.message);
+    }
+  };
+
+  const rangeSuffix = `${range.startDate}_${range.endDate}`;
+
+  const drawDaily = useCallback((canvas) => drawBarChart(canvas, {
+    title: 'People checked in per day',
+    bars: analytics.daily.map(day => ({ label: day.date.slice(5), value: day.count }))
+  }), [analytics]);
+
+  const drawArrivals = useCallback((canvas) => drawBarChart(canvas, {
+    title: 'Arrival times (red: mostly late for their shift)',
+    bars: analytics.arrivals.map(bucket => ({
+      label: bucket.time,
+      value: bucket.count,
+      color: bucket.late ? '#f56565' : '#48bb78'
+    }))
+  }), [analytics]);
+
+  const drawRates = useCallback((canvas) => drawBarChart(canvas, {
+    title: 'Attendance rate on scheduled working days',
+    bars: analytics.perPerson.map(person => ({ label: person.name, value: person.rate * 100 })),
+    formatValue: (value) => `${Math.round(value)}%`
+  }), [analytics]);
+
+  const drawWeekHeatmap = useCallback((canvas) => drawHeatmap(canvas, {
+    title: 'Check-ins by weekday and hour',
+    rowLabels: WEEKDAY_NAMES,
+    columnLabels: HOUR_LABELS,
+    values: analytics.heatmap
+  }), [analytics]);
+
+  return (
+    <div className="analytics">
+      <div className="settings-inline">
+        <label>
+          Range
+          <select value={preset} onChange={(e) => handlePreset(e.target.value)}>
+            {Object.entries(RANGE_PRESETS).map(([key, option]) => (
+              <option key={key} value={key}>{option.label}</option>
+            ))}
+            <option value="custom">Custom range</option>
+          </select>
+        </label>
+        {preset === 'custom' && (
+          <>
+            <label>
+              From
+              <input
+                type="date"
+                value={range.startDate}
+                onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={range.endDate}
+                min={range.startDate}
+                onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+              />
+            </label>
+          </>
+        )}
+        {schedule && !hasDefaultShift && (
+          <>
+            <label>
+              Start time
+              <input
+                type="time"
+                value={settings.startTime}
+                onChange={(e) => handleSettingsChange({ startTime: e.target.value })}
+              />
+            </label>
+            <label>
+              Grace (min)
+              <input
+                type="number"
+                min="0"
+                max="120"
+                value={settings.graceMinutes}
+                onChange={(e) => handleSettingsChange({ graceMinutes: parseInt(e.target.value, 10) || 0 })}
+              />
+            </label>
+          </>
+        )}
+      </div>
+      <p className="settings-hint">
+        {schedule && !hasDefaultShift
+          ? 'No default shift is set up in Admin > Shifts, so people without a shift are judged against the start time above on weekdays.'
+          : 'Late arrivals and absences are judged against each person\'s shift in Admin > Shifts.'}
+      </p>
+
+      {settingsMessage && <div className="status-message error">{settingsMessage}</div>}
+
+      {status && <div className="status-message error">{status}</div>}
+      {isLoading && <div className="status-message">Loading attendance...</div>}
+
+      <div className={`analytics-charts ${isLoading ? 'loading' : ''}`}>
+        <ChartCard filename={`daily_checkins_${rangeSuffix}.png`} draw={drawDaily} />
+        <ChartCard filename={`arrival_times_${rangeSuffix}.png`} draw={drawArrivals} />
+        <ChartCard filename={`attendance_rate_${rangeSuffix}.png`} draw={drawRates} />
+        <ChartCard filename={`weekday_hour_heatmap_${rangeSuffix}.png`} draw={drawWeekHeatmap} />
+      </div>
+
+      <h3 className="settings-heading">Attendance rate</h3>
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Person</th>
+              <th>Days present</th>
+              <th>Late</th>
+              <th>Rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analytics.perPerson.map(person => (
+              <tr key={person.userId}>
+                <td>{person.name} ({person.userId})</td>
+                <td>{person.daysPresent} / {person.workdays}</td>
+                <td>{person.lateDays}</td>
+                <td>
+                  <span className="rate-bar">
+                    <span style={{ width: `${person.rate * 100}%` }} />
+                  </span>
+                  {(person.rate * 100).toFixed(0)}%
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="analytics-lists">
+        <div>
+          <h3 className="settings-heading">Late arrivals ({analytics.late.length})</h3>
+          <ul className="drawer-list">
+            {analytics.late.slice(0, LIST_LIMIT).map(entry => (
+              <li key={`${entry.userId}-${entry.date}`}>
+                {entry.date} {entry.time} - {entry.name || entry.userId} ({entry.minutesLate} min late)
+              </li>
+            ))}
+          </ul>
+          {analytics.late.length > LIST_LIMIT && (
+            <p className="settings-hint">and {analytics.late.length - LIST_LIMIT} more</p>
+          )}
+        </div>
+        <div>
+          <h3 className="settings-heading">Absentees ({analytics.absentees.length})</h3>
+          <ul className="drawer-list">
+            {analytics.absentees.slice(0, LIST_LIMIT).map(entry => (
+              <li key={`${entry.userId}-${entry.date}`}>
+                {entry.date} - {entry.name} ({entry.userId})
+              </li>
+            ))}
+          </ul>
+          {analytics.absentees.length > LIST_LIMIT && (
+            <p className="settings-hint">and {analytics.absentees.length - LIST_LIMIT} more</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AttendanceAnalytics;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { api } from '../utils/api';
+import { toDateKey } from '../utils/attendanceAnalytics';
+import { loadSchedule, shiftForUser } from '../utils/shiftSchedule';
+import { SESSION_STATUS_LABELS, pairSessions, totalWorked, formatDuration } from '../utils/sessions';
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDateKey(date);
+};
+
+const formatTime = (at) => (at ? new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '-');
+
+// Record the missing check-out for an open session, with a note for the audit trail
+function CloseSessionModal({ session, defaultTime, onSubmit, onCancel }) {
+  const [time, setTime] = useState(defaultTime);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const checkOutAt = new Date(`${session.date}T${time}`);
+    if (checkOutAt <= new Date(session.checkIn)) {
+      setError('Check-out must be after the check-in');
+      return;
+    }
+    if (!note.trim()) {
+      setError('Please add a note explaining the check-out time');
+      return;
+    }
+    setIsSaving(true);
+    const failure = await onSubmit(session, checkOutAt.toISOString(), note.trim());
+    setIsSaving(false);
+    if (failure) setError(failure);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal" onSubmit={handleSubmit}>
+        <h3>Close session</h3>
+        <p>
+          {session.name} ({session.userId}) checked in at {formatTime(session.checkIn)} on{' '}
+          {new Date(`${session.date}T00:00`).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}
+        </p>
+        <div className="form-group">
+          <label htmlFor="closeTime">Check-out time</label>
+          <input
+            type="time"
+            id="closeTime"
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="closeNote">Audit note</label>
+          <textarea
+            id="closeNote"
+            rows={3}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="e.g., left with the night team, confirmed by supervisor"
+            autoFocus
+          />
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        <div className="modal-actions">
+          <button type="submit" className="btn btn-primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Close session'}
+          </button>
+          <button type="button" className="btn btn-danger" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Admin > Sessions: check-ins paired with check-outs, worked hours and missing punches
+function AttendanceSessions() {
+  const [range, setRange] = useState({ startDate: daysAgo(6), endDate: daysAgo(0) });
+  const [records, setRecords] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [closing, setClosing] = useState(null);
+  const [status, setStatus] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loadedKey, setLoadedKey] = useState(null);
+
+  // Loading until the response for the current range (and reload) has arrived
+  const isValidRange = Boolean(range.startDate && range.endDate && range.startDate <= range.endDate);
+  const requestKey = `${range.startDate}_${range.endDate}_${reloadKey}`;
+  const isLoading = isValidRange && loadedKey !== requestKey;
+
+  useEffect(() => {
+    loadSchedule()
+      .then(setSchedule)
+      .catch(err => console.error('Error loading shift schedule:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!isValidRange) return;
+
+    let cancelled = false;
+
+    api.exportAttendance(range.startDate, range.endDate)
+      .then(res => {
+        if (cancelled) return;
+        setRecords(res.data);
+        // A close-session confirmation stays; only an earlier load failure is cleared
+        setStatus(current => (current.startsWith('Failed to load') ? '' : current));
+      })
+      .catch(err => {
+        console.error('Error fetching sessions:', err);
+        if (!cancelled) setStatus('Failed to load attendance: ' + (err.response?.data?.error || err.message));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadedKey(requestKey);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isValidRange, requestKey, range.startDate, range.endDate]);
+
+  const sessions = useMemo(() => pairSessions(records), [records]);
+  const totals = useMemo(() => totalWorked(sessions), [sessions]);
+  const flaggedCount = sessions.filter(s => s.status === 'missing_out' || s.status === 'missing_in').length;
+  const shown = flaggedOnly
+    ? sessions.filter(s => s.status === 'missing_out' || s.status === 'missing_in')
+    : sessions;
+
+  // Suggest the end of the person's shift as the check-out time
+  const defaultCloseTime = (session) => (schedule && shiftForUser(schedule, session.userId)?.endTime) || '17:00';
+
+  const handleClose = async (session, checkOutAt, note) => {
+    try {
+      await api.closeSession(session.checkInId, checkOutAt, note);
+      setClosing(null);
+      setStatus(`✓ Closed ${session.name}'s session on ${session.date}`);
+      setReloadKey(key => key + 1);
+      return null;
+    } catch (err) {
+      console.error('Error closing session:', err);
+      return err.response?.data?.error || err.message;
+    }
+  };
+
+  return (
+    <div className="sessions">
+      <p className="settings-hint">
+        Check-ins are paired with the next check-out on the same day. Sessions missing a check-out
+        don't count towards worked hours until they are closed.
+      </p>
+
+      <div className="settings-inline">
+        <label>
+          From
+          <input
+            type="date"
+            value={range.startDate}
+            onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={range.endDate}
+            min={range.startDate}
+            onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+          />
+        </label>
+        <label className="settings-option">
+          <input
+            type="checkbox"
+            checked={flaggedOnly}
+            onChange={(e) => setFlaggedOnly(e.target.checked)}
+          />
+          <span>Only missing punches ({flaggedCount})</span>
+        </label>
+      </div>
+
+      {status && (
+        <div className={`status-message ${status.startsWith('✓') ? 'success' : 'error'}`}>
+          {status}
+        </div>
+      )}
+      {isLoading && <div className="status-message">Loading attendance...</div>}
+
+      <h3 className="settings-heading">Worked hours</h3>
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Person</th>
+              <th>Sessions</th>
+              <th>Worked</th>
+              <th>Missing punches</th>
+            </tr>
+          </thead>
+          <tbody>
+            {totals.map(total => (
+              <tr key={total.userId}>
+                <td>{total.name || 'Unknown'} ({total.userId})</td>
+                <td>{total.sessions}</td>
+                <td>{formatDuration(total.minutes)}</td>
+                <td>{total.flagged || ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="settings-heading">Sessions</h3>
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Person</th>
+              <th>Check-in</th>
+              <th>Check-out</th>
+              <th>Worked</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(session => (
+              <tr key={session.id}>
+                <td>{session.date}</td>
+                <td>{session.name || 'Unknown'} ({session.userId})</td>
+                <td>{formatTime(session.checkIn)}</td>
+                <td title={session.note}>
+                  {formatTime(session.checkOut)}
+                  {session.manual && <span className="inactive-tag">Manual</span>}
+                </td>
+                <td>{formatDuration(session.minutes)}</td>
+                <td>
+                  <span className={`session-status ${session.status}`}>{SESSION_STATUS_LABELS[session.status]}</span>
+                </td>
+                <td>
+                  {(session.status === 'missing_out' || session.status === 'open') && (
+                    <button onClick={() => setClosing(session)} className="btn btn-secondary">Close</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {closing && (
+        <CloseSessionModal
+          session={closing}
+          defaultTime={defaultCloseTime(closing)}
+          onSubmit={handleClose}
+          onCancel={() => setClosing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default AttendanceSessions;
@@ -0,0 +1,235 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { loadDetector, detectFaceBox, isUsingFaceWorker } from '../utils/faceDetection';
+import {
+  DETECTOR_BACKENDS,
+  getDetectorConfig,
+  setDetectorConfig,
+  describeDetectorConfig,
+  getAvailableBackends
+} from '../utils/detectorConfig';
+
+const WARMUP_FRAMES = 2; // First runs include shader compilation, so they're not timed
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+// Every detector/input size combination at one score threshold, for detectors whose weights are present
+const buildOptions = (scoreThreshold, backends) =>
+  Object.entries(DETECTOR_BACKENDS).filter(([backend]) => backends.includes(backend)).flatMap(([backend, info]) =>
+    info.inputSizes
+      ? info.inputSizes.map(inputSize => ({ backend, inputSize, scoreThreshold }))
+      : [{ backend, inputSize: null, scoreThreshold }]
+  );
+
+const sameConfig = (a, b) =>
+  a.backend === b.backend && a.inputSize === b.inputSize && a.scoreThreshold === b.scoreThreshold;
+
+function Benchmark() {
+  const [frames, setFrames] = useState(20);
+  const [scoreThreshold, setScoreThreshold] = useState(getDetectorConfig().scoreThreshold);
+  const [results, setResults] = useState([]);
+  const [status, setStatus] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [current, setCurrent] = useState(getDetectorConfig());
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  // Release the camera if the page is left mid-run
+  useEffect(() => {
+    return () => {
+      streamRef.current?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  const startCamera = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: { width: 640, height: 480 }
+    });
+    videoRef.current.srcObject = stream;
+    streamRef.current = stream;
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  };
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const runBenchmark = async () => {
+    setIsRunning(true);
+    setResults([]);
+
+    try {
+      setStatus('Starting camera...');
+      await startCamera();
+    } catch (err) {
+      setStatus('Failed: Camera access denied - ' + err.message);
+      setIsRunning(false);
+      return;
+    }
+
+    const video = videoRef.current;
+    const rows = [];
+    const backends = await getAvailableBackends();
+
+    for (const config of buildOptions(scoreThreshold, backends)) {
+      const name = describeDetectorConfig(config);
+
+      try {
+        setStatus(`Loading ${name}...`);
+        await loadDetector(config);
+
+        for (let i = 0; i < WARMUP_FRAMES; i++) {
+          await detectFaceBox(video, config);
+        }
+
+        const latencies = [];
+        const scores = [];
+        for (let i = 0; i < frames; i++) {
+          setStatus(`Measuring ${name} (${i + 1}/${frames})... keep your face in view`);
+          const start = performance.now();
+          const face = await detectFaceBox(video, config);
+          latencies.push(performance.now() - start);
+          if (face) scores.push(face.score);
+        }
+
+        rows.push({
+          config,
+          avgMs: latencies.reduce((sum, v) => sum + v, 0) / latencies.length,
+          p95Ms: percentile(latencies, 0.95),
+          hitRate: scores.length / frames,
+          avgScore: scores.length ? scores.reduce((sum, v) => sum + v, 0) / scores.length : null
+        });
+      } catch (err) {
+        console.error(`Benchmark failed for ${name}:`, err);
+        rows.push({ config, error: err.message });
+      }
+
+      setResults([...rows]);
+    }
+
+    stopCamera();
+    setStatus(`✓ Benchmark finished (${isUsingFaceWorker() ? 'Web Worker' : 'main thread'})`);
+    setIsRunning(false);
+  };
+
+  const handleUse = (config) => {
+    setDetectorConfig(config);
+    setCurrent(getDetectorConfig());
+  };
+
+  return (
+    <div className="page">
+      <div className="card">
+        <h2>Detector Benchmark</h2>
+        <p className="settings-hint">
+          Measures face detection latency and hit rate on this device for every detector option.
+          Sit in front of the camera in your usual lighting while it runs.
+          Current detector: <strong>{describeDetectorConfig(current)}</strong> ({current.source === 'admin' ? 'admin setting' : 'picked for this device'}).
+        </p>
+
+        <div className="settings-inline">
+          <label>
+            Frames per option
+            <input
+              type="number"
+              min="5"
+              max="100"
+              value={frames}
+              onChange={(e) => setFrames(Math.max(5, parseInt(e.target.value, 10) || 5))}
+              disabled={isRunning}
+            />
+          </label>
+          <label>
+            Score threshold
+            <input
+              type="number"
+              min="0.1"
+              max="0.9"
+              step="0.05"
+              value={scoreThreshold}
+              onChange={(e) => setScoreThreshold(parseFloat(e.target.value) || 0.5)}
+              disabled={isRunning}
+            />
+          </label>
+        </div>
+
+        <button onClick={runBenchmark} disabled={isRunning} className="btn btn-primary">
+          {isRunning ? 'Running...' : 'Run Benchmark'}
+        </button>
+
+        {status && (
+          <div className={`status-message ${status.startsWith('✓') ? 'success' : status.startsWith('Failed') ? 'error' : ''}`}>
+            {status}
+          </div>
+        )}
+
+        <div className="video-container">
+          <video ref={videoRef} autoPlay muted />
+        </div>
+
+        {results.length > 0 && (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Detector</th>
+                  <th>Avg latency</th>
+                  <th>p95 latency</th>
+                  <th>Hit rate</th>
+                  <th>Avg score</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(row => (
+                  <tr key={describeDetectorConfig(row.config)}>
+                    <td>{describeDetectorConfig(row.config)}</td>
+                    {row.error ? (
+                      <td colSpan={4} className="error-text">{row.error}</td>
+                    ) : (
+                      <>
+                        <td>{row.avgMs.toFixed(0)} ms</td>
+                        <td>{row.p95Ms.toFixed(0)} ms</td>
+                        <td>{(row.hitRate * 100).toFixed(0)}%</td>
+                        <td>{row.avgScore !== null ? row.avgScore.toFixed(2) : '—'}</td>
+                      </>
+                    )}
+                    <td>
+                      {sameConfig(row.config, current) ? (
+                        <strong>In use</strong>
+                      ) : !row.error && (
+                        <button onClick={() => handleUse(row.config)} className="btn btn-secondary">
+                          Use
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="info-box">
+          <h4>Choosing a detector:</h4>
+          <ul>
+            <li>Pick the fastest option with a hit rate close to 100%</li>
+            <li>Liveness checks run 8-15 detections back to back, so latency adds up</li>
+            <li>SSD MobileNet needs its model files; run download-models.sh if it fails to load</li>
+            <li>The chosen detector is used the next time a check-in page opens</li>
+            <li>Go back to the device default in <Link to="/admin" className="table-link">Admin &gt; Settings</Link></li>
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Benchmark;
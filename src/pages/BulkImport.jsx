@@ -0,0 +1,465 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { loadModels } from '../utils/faceDetection';
+import { toSamplePayload } from '../utils/faceQuality';
+import { generateTemporaryPassword } from '../utils/accountValidation';
+import { api } from '../utils/api';
+import { toCSV, downloadCSV } from '../utils/csv';
+import { toDateKey } from '../utils/attendanceAnalytics';
+import {
+  IMPORT_BATCH_SIZE,
+  parsePeopleCSV,
+  collectPhotos,
+  analysePhoto,
+  findDuplicateFaces,
+  hashImportFile,
+  getImportProgress,
+  saveImportProgress,
+  clearImportProgress
+} from '../utils/bulkImport';
+
+const ROW_STATUS_LABELS = {
+  ready: 'Ready',
+  error: 'Problem',
+  registered: 'Registered',
+  failed: 'Failed'
+};
+
+const REVIEW_FILTERS = {
+  all: 'All',
+  ready: 'Ready',
+  problems: 'Problems',
+  registered: 'Registered'
+};
+
+// Same wording as a failed registration in the camera flow
+const registrationError = (err, row) => {
+  const data = err.response?.data;
+  if (!err.response) return 'Network error: ' + err.message;
+  if (err.response.status === 409) {
+    if (data.error === 'User ID already taken') return `User ID already taken by ${data.existingUser}`;
+    if (data.error === 'Email already registered') return `${row.email} is the login of ${data.existingUser} (${data.existingUserId})`;
+    if (data.error === 'Face already registered') return `Face already registered to ${data.existingUser} (${data.existingUserId})`;
+  }
+  return data?.error || 'Registration failed';
+};
+
+// One person in the review grid
+function ImportCard({ row, onToggle, disabled }) {
+  return (
+    <div className={`import-card ${row.status}`}>
+      {row.thumbnail ? (
+        <img src={row.thumbnail} alt={row.name} />
+      ) : (
+        <div className="enroll-placeholder">No face</div>
+      )}
+      <div className="import-card-info">
+        <strong>{row.name || '(no name)'}</strong>
+        <span>{row.userId || `CSV line ${row.line}`}</span>
+        {row.email && <span>{row.email} · {row.role}</span>}
+        <span className={`import-status ${row.status}`}>{ROW_STATUS_LABELS[row.status]}</span>
+        {row.error && <span className="import-error">{row.error}</span>}
+        {!row.error && row.warning && <span className="import-warning">{row.warning}</span>}
+      </div>
+      {(row.status === 'ready' || row.status === 'failed') && (
+        <label className="import-include">
+          <input
+            type="checkbox"
+            checked={row.include}
+            onChange={() => onToggle(row)}
+            disabled={disabled}
+          />
+          Include
+        </label>
+      )}
+    </div>
+  );
+}
+
+function BulkImport() {
+  const [csvFile, setCsvFile] = useState(null);
+  const [csvHash, setCsvHash] = useState(null);
+  const [photoFiles, setPhotoFiles] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [unmatchedPhotos, setUnmatchedPhotos] = useState([]);
+  const [phase, setPhase] = useState('select'); // select | analysing | review | importing
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [filter, setFilter] = useState('all');
+  const [status, setStatus] = useState('');
+  const [issuedPasswords, setIssuedPasswords] = useState([]); // Invitations from this session, until downloaded
+  const [modelsLoaded, setModelsLoaded] = useState(false);
+
+  const stopRef = useRef(false);
+
+  // Undownloaded passwords are only held in this page, so warn before it is closed
+  const mustWarnOnLeave = phase === 'importing' || issuedPasswords.length > 0;
+  useEffect(() => {
+    if (!mustWarnOnLeave) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [mustWarnOnLeave]);
+
+  useEffect(() => {
+    loadModels()
+      .then(() => setModelsLoaded(true))
+      .catch(err => setStatus('Error loading models: ' + err.message));
+  }, []);
+
+  const updateRow = (index, changes) => {
+    setRows(current => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleAnalyse = async () => {
+    if (!csvFile || photoFiles.length === 0) {
+      setStatus('Choose a CSV file and the photos first');
+      return;
+    }
+
+    setPhase('analysing');
+    setStatus('');
+    stopRef.current = false;
+
+    try {
+      const text = await csvFile.text();
+      const parsed = parsePeopleCSV(text);
+      const hash = await hashImportFile(text);
+      const { photos, skipped } = await collectPhotos(photoFiles);
+      const peopleRes = await api.getPeople();
+      const existing = new Map(peopleRes.data.map(person => [person.user_id.toLowerCase(), person]));
+      const alreadyImported = getImportProgress(hash);
+
+      const analysed = [];
+      setProgress({ done: 0, total: parsed.length });
+
+      for (const entry of parsed) {
+        if (stopRef.current) break;
+
+        const key = entry.userId.toLowerCase();
+        const candidates = photos.get(key) || [];
+        const row = { ...entry, thumbnail: null, sample: null, warning: null, photoName: candidates[0]?.name || null };
+
+        if (row.error) {
+          row.status = 'error';
+        } else if (existing.has(key)) {
+          // Registered by an interrupted run of this import: nothing left to do
+          row.status = alreadyImported.has(entry.userId) ? 'registered' : 'error';
+          row.error = alreadyImported.has(entry.userId) ? null : `User ID already taken by ${existing.get(key).name}`;
+        } else if (candidates.length === 0) {
+          row.status = 'error';
+          row.error = `No photo named ${entry.userId}.jpg (or .png)`;
+        } else if (candidates.length > 1) {
+          row.status = 'error';
+          row.error = `${candidates.length} photos named ${entry.userId}: ${candidates.map(c => c.name).join(', ')}`;
+        } else {
+          try {
+            const result = await analysePhoto(await candidates[0].read());
+            Object.assign(row, result);
+            row.error = result.error || null;
+            row.status = result.error ? 'error' : 'ready';
+          } catch (err) {
+            console.error(`Error reading photo ${candidates[0].name}:`, err);
+            row.status = 'error';
+            row.error = `Could not read ${candidates[0].name}: ${err.message}`;
+          }
+        }
+
+        analysed.push(row);
+        setProgress({ done: analysed.length, total: parsed.length });
+      }
+
+      const duplicates = await findDuplicateFaces(analysed);
+      duplicates.forEach((message, index) => {
+        analysed[index] = { ...analysed[index], status: 'error', error: message };
+      });
+
+      const csvIds = new Set(parsed.map(entry => entry.userId.toLowerCase()));
+      setUnmatchedPhotos([
+        ...Array.from(photos.entries())
+          .filter(([key]) => !csvIds.has(key))
+          .flatMap(([, list]) => list.map(photo => photo.name)),
+        ...skipped
+      ]);
+
+      setCsvHash(hash);
+      setRows(analysed.map(row => ({ ...row, include: row.status === 'ready' })));
+      setFilter('all');
+      setPhase('review');
+      setStatus(stopRef.current ? `Stopped after checking ${analysed.length} of ${parsed.length} rows` : '');
+    } catch (err) {
+      console.error('Error preparing import:', err);
+      setStatus('Failed: ' + (err.response?.data?.error || err.message));
+      setPhase('select');
+    }
+  };
+
+  // Resolves to { password } when registered (null without an email), or null when it failed
+  const registerRow = async (row, index) => {
+    // With an email the person gets an invitation and a temporary password, as in Registration
+    const email = row.email || null;
+    const password = email ? generateTemporaryPassword() : null;
+    try {
+      await api.register(
+        row.userId,
+        row.name,
+        [toSamplePayload(row.sample)],
+        email,
+        password,
+        row.role,
+        Boolean(email)
+      );
+      updateRow(index, { status: 'registered', error: null, include: false });
+      return { password };
+    } catch (err) {
+      console.error(`Error registering ${row.userId}:`, err);
+      updateRow(index, { status: 'failed', error: registrationError(err, row) });
+      return null;
+    }
+  };
+
+  const handleImport = async () => {
+    const queue = rows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => row.include && (row.status === 'ready' || row.status === 'failed'));
+    if (queue.length === 0) return;
+
+    setPhase('importing');
+    setStatus('');
+    stopRef.current = false;
+    setProgress({ done: 0, total: queue.length });
+
+    const imported = getImportProgress(csvHash);
+    let registered = 0;
+    let done = 0;
+
+    for (let start = 0; start < queue.length; start += IMPORT_BATCH_SIZE) {
+      if (stopRef.current) break;
+
+      const batch = queue.slice(start, start + IMPORT_BATCH_SIZE);
+
+      // Progress and passwords are kept as each registration returns, so closing the tab
+      // mid-batch loses nothing the server has already accepted
+      const results = await Promise.all(batch.map(({ row, index }) => registerRow(row, index).then(result => {
+        if (result) {
+          imported.add(row.userId);
+          saveImportProgress(csvHash, imported);
+        }
+        if (result?.password) {
+          const issued = { userId: row.userId, name: row.name, email: row.email, password: result.password };
+          setIssuedPasswords(current => [...current, issued]);
+        }
+        return result;
+      })));
+
+      registered += results.filter(Boolean).length;
+      done += batch.length;
+      setProgress({ done, total: queue.length });
+    }
+
+    const failed = done - registered;
+    if (done === queue.length && failed === 0) clearImportProgress(csvHash);
+
+    setPhase('review');
+    setStatus(done < queue.length
+      ? `Paused after ${done} of ${queue.length}. ✓ ${registered} registered so far; press Register to continue.`
+      : failed > 0
+        ? `Failed: ${failed} of ${queue.length} could not be registered. ${registered} registered.`
+        : `✓ Registered ${registered} ${registered === 1 ? 'person' : 'people'}`);
+  };
+
+  const toggleRow = (target) => {
+    setRows(current => current.map(row => (row === target ? { ...row, include: !row.include } : row)));
+  };
+
+  const setAllIncluded = (include) => {
+    setRows(current => current.map(row => (
+      row.status === 'ready' || row.status === 'failed' ? { ...row, include } : row
+    )));
+  };
+
+  // The passwords exist nowhere else, so the file can be saved once and they are then dropped
+  const handleDownloadPasswords = () => {
+    downloadCSV(
+      toCSV(
+        ['User ID', 'Name', 'Email', 'Temporary Password'],
+        issuedPasswords.map(issued => [issued.userId, issued.name, issued.email, issued.password])
+      ),
+      `bulk_import_passwords_${toDateKey(new Date())}.csv`
+    );
+    setIssuedPasswords([]);
+  };
+
+  const handleStartOver = () => {
+    if (issuedPasswords.length > 0
+      && !window.confirm('The temporary passwords have not been downloaded and will be lost. Start over anyway?')) return;
+    setIssuedPasswords([]);
+    setCsvHash(null);
+    setRows([]);
+    setUnmatchedPhotos([]);
+    setCsvFile(null);
+    setPhotoFiles([]);
+    setStatus('');
+    setPhase('select');
+  };
+
+  const counts = {
+    ready: rows.filter(row => row.status === 'ready').length,
+    problems: rows.filter(row => row.status === 'error' || row.status === 'failed').length,
+    registered: rows.filter(row => row.status === 'registered').length,
+    selected: rows.filter(row => row.include && (row.status === 'ready' || row.status === 'failed')).length
+  };
+
+  const shown = rows.filter(row => (
+    filter === 'all'
+    || (filter === 'ready' && row.status === 'ready')
+    || (filter === 'problems' && (row.status === 'error' || row.status === 'failed'))
+    || (filter === 'registered' && row.status === 'registered')
+  ));
+
+  const isBusy = phase === 'analysing' || phase === 'importing';
+
+  return (
+    <div className="page">
+      <div className="card">
+        <h2>Bulk Import</h2>
+        <p className="settings-hint">
+          Register many people at once from a CSV with <code>userId,name,email,role</code> columns and a photo of
+          each person named by user ID (e.g. <code>emp001.jpg</code>), as a ZIP or a folder. Email and role are
+          optional; people with an email get an invitation to log in.
+          {' '}<Link to="/register" className="table-link">Register one person with the camera</Link> instead.
+        </p>
+
+        {status && (
+          <div className={`status-message ${status.startsWith('✓') ? 'success' : status.startsWith('Failed') ? 'error' : ''}`}>
+            {status}
+          </div>
+        )}
+
+        {issuedPasswords.length > 0 && (
+          <div className="temp-password">
+            <p>
+              Temporary passwords for <strong>{issuedPasswords.length}</strong> invited
+              {issuedPasswords.length === 1 ? ' person' : ' people'}. They can be downloaded only once; share them
+              securely if an invitation email doesn't arrive.
+            </p>
+            <div className="modal-actions">
+              <button onClick={handleDownloadPasswords} className="btn btn-primary" disabled={isBusy}>
+                📥 Download passwords (CSV)
+              </button>
+            </div>
+          </div>
+        )}
+
+        {phase === 'select' && (
+          <>
+            <div className="form-group">
+              <label htmlFor="importCsv">People (CSV)</label>
+              <input
+                type="file"
+                id="importCsv"
+                accept=".csv,text/csv"
+                onChange={(e) => setCsvFile(e.target.files[0] || null)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="importPhotos">Photos (ZIP or images)</label>
+              <input
+                type="file"
+                id="importPhotos"
+                accept=".zip,image/*"
+                multiple
+                onChange={(e) => setPhotoFiles(Array.from(e.target.files))}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="importFolder">...or a folder of photos</label>
+              <input
+                type="file"
+                id="importFolder"
+                webkitdirectory=""
+                onChange={(e) => setPhotoFiles(Array.from(e.target.files))}
+              />
+            </div>
+            {photoFiles.length > 0 && (
+              <p className="settings-hint">{photoFiles.length} file{photoFiles.length === 1 ? '' : 's'} selected</p>
+            )}
+            <button
+              onClick={handleAnalyse}
+              className="btn btn-primary"
+              disabled={!modelsLoaded || !csvFile || photoFiles.length === 0}
+            >
+              {modelsLoaded ? 'Check photos' : 'Loading models...'}
+            </button>
+          </>
+        )}
+
+        {isBusy && (
+          <div className="import-progress">
+            <p>
+              {phase === 'analysing' ? 'Checking photos' : 'Registering'}: {progress.done} of {progress.total}
+            </p>
+            <span className="rate-bar">
+              <span style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }} />
+            </span>
+            <button onClick={() => { stopRef.current = true; }} className="btn btn-secondary">
+              {phase === 'analysing' ? 'Stop' : 'Pause'}
+            </button>
+          </div>
+        )}
+
+        {(phase === 'review' || phase === 'importing') && (
+          <>
+            <div className="import-toolbar">
+              <div className="tabs">
+                {Object.entries(REVIEW_FILTERS).map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`tab ${filter === key ? 'active' : ''}`}
+                    onClick={() => setFilter(key)}
+                  >
+                    {label} ({key === 'all' ? rows.length : counts[key]})
+                  </button>
+                ))}
+              </div>
+              <span className="row-actions">
+                <button onClick={() => setAllIncluded(true)} className="btn btn-secondary" disabled={isBusy}>Select all</button>
+                <button onClick={() => setAllIncluded(false)} className="btn btn-secondary" disabled={isBusy}>Select none</button>
+              </span>
+            </div>
+
+            {unmatchedPhotos.length > 0 && (
+              <p className="settings-hint">
+                Not used (no matching CSV row, or not an image): {unmatchedPhotos.slice(0, 10).join(', ')}
+                {unmatchedPhotos.length > 10 && ` and ${unmatchedPhotos.length - 10} more`}
+              </p>
+            )}
+
+            <div className="import-grid">
+              {shown.map(row => (
+                <ImportCard key={`${row.line}-${row.userId}`} row={row} onToggle={toggleRow} disabled={isBusy} />
+              ))}
+            </div>
+
+            <div className="modal-actions">
+              <button
+                onClick={handleImport}
+                className="btn btn-success"
+                disabled={isBusy || counts.selected === 0}
+              >
+                Register {counts.selected} {counts.selected === 1 ? 'person' : 'people'}
+              </button>
+              <button onClick={handleStartOver} className="btn btn-secondary" disabled={isBusy}>
+                Start over
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkImport;
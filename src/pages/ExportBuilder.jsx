@@ -0,0 +1,290 @@
+import React, { useState } from 'react';
+import { api } from '../utils/api';
+import { downloadBlob } from '../utils/csv';
+import { toDateKey, toZonedParts } from '../utils/attendanceAnalytics';
+import { loadSchedule } from '../utils/shiftSchedule';
+import {
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+  DATE_FORMATS,
+  TIME_FORMATS,
+  CHECKIN_COLUMNS,
+  getExportSettings,
+  setExportSettings,
+  isValidTimeZone,
+  buildExport,
+  rangeOfRecords,
+  widenRange,
+  recordsInRange
+} from '../utils/exportBuilder';
+
+// Period choices, with today taken in the export timezone; null means everything on record
+const exportRange = (filter, startDate, endDate, timeZone) => {
+  const today = toZonedParts(new Date(), timeZone).dateKey;
+  if (filter === 'day') return { startDate: today, endDate: today };
+  if (filter === 'month') {
+    const [year, month] = today.split('-').map(Number);
+    return {
+      startDate: `${today.slice(0, 7)}-01`,
+      endDate: toDateKey(new Date(year, month, 0))
+    };
+  }
+  if (filter === 'custom') return { startDate, endDate };
+  return null;
+};
+
+// Admin > Attendance: choose rows, columns, formats and file type, then download
+function ExportBuilder() {
+  const [settings, setSettingsState] = useState(getExportSettings());
+  const [exportFilter, setExportFilter] = useState('all');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [timeZoneInput, setTimeZoneInput] = useState(settings.timeZone);
+  const [message, setMessage] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const isRegister = settings.format === 'pdf';
+
+  const handleSettingsChange = (changes) => {
+    try {
+      setSettingsState(setExportSettings(changes));
+      setMessage('');
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const toggleColumn = (id) => {
+    const columns = settings.columns.includes(id)
+      ? settings.columns.filter(c => c !== id)
+      : CHECKIN_COLUMNS.map(c => c.id).filter(c => c === id || settings.columns.includes(c));
+    handleSettingsChange({ columns });
+  };
+
+  const handleTimeZoneChange = (value) => {
+    setTimeZoneInput(value);
+    if (isValidTimeZone(value.trim())) handleSettingsChange({ timeZone: value.trim() });
+  };
+
+  const handleExport = async () => {
+    const range = exportRange(exportFilter, startDate, endDate, settings.timeZone);
+    if (range && (!range.startDate || !range.endDate)) {
+      setMessage('Please select both start and end dates');
+      return;
+    }
+    if (!isRegister && settings.layout === 'checkins' && settings.columns.length === 0) {
+      setMessage('Pick at least one column');
+      return;
+    }
+
+    setIsExporting(true);
+    setMessage('');
+    try {
+      const fetchRange = range ? widenRange(range) : null;
+      const res = await api.exportAttendance(fetchRange?.startDate, fetchRange?.endDate);
+      const records = range ? recordsInRange(res.data, range, settings.timeZone) : res.data;
+      const needsDays = isRegister || settings.layout === 'daily' || settings.layout === 'pivot';
+
+      // Without a schedule the check-in status columns are left empty rather than failing the export
+      const schedule = await loadSchedule().catch(err => {
+        console.error('Error loading shift schedule:', err);
+        return null;
+      });
+      if (needsDays && !schedule) {
+        setMessage('Failed to load the shift schedule needed for daily status');
+        return;
+      }
+      const people = needsDays || settings.columns.some(c => c === 'email' || c === 'role' || c === 'group')
+        ? (await api.getPeople()).data
+        : [];
+
+      if (!needsDays && records.length === 0) {
+        setMessage('No attendance records found for the selected period');
+        return;
+      }
+
+      const { blob, extension, count } = buildExport(
+        { records, people, schedule, range: range || rangeOfRecords(records, settings.timeZone) },
+        settings
+      );
+      if (count === 0) {
+        setMessage('Nothing to export for the selected period');
+        return;
+      }
+
+      const name = isRegister ? 'attendance_register' : `attendance_${settings.layout}`;
+      downloadBlob(blob, `${name}_${exportFilter}_${toDateKey(new Date())}.${extension}`);
+      setMessage(`✓ Exported ${count.toLocaleString()} ${isRegister ? 'page' : 'row'}${count === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setMessage('Failed to export data: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-section">
+      <h3>Export Attendance</h3>
+
+      <div className="export-filters">
+        <div className="form-group">
+          <label htmlFor="exportFormat">Format</label>
+          <select
+            id="exportFormat"
+            value={settings.format}
+            onChange={(e) => handleSettingsChange({ format: e.target.value })}
+          >
+            {Object.entries(EXPORT_FORMATS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {!isRegister && (
+          <div className="form-group">
+            <label htmlFor="exportLayout">Rows</label>
+            <select
+              id="exportLayout"
+              value={settings.layout}
+              onChange={(e) => handleSettingsChange({ layout: e.target.value })}
+            >
+              {Object.entries(EXPORT_LAYOUTS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="exportFilter">Filter By</label>
+          <select
+            id="exportFilter"
+            value={exportFilter}
+            onChange={(e) => setExportFilter(e.target.value)}
+          >
+            <option value="all">All Records</option>
+            <option value="day">Today</option>
+            <option value="month">This Month</option>
+            <option value="custom">Custom Date Range</option>
+          </select>
+        </div>
+
+        {exportFilter === 'custom' && (
+          <>
+            <div className="form-group">
+              <label htmlFor="startDate">Start Date</label>
+              <input
+                type="date"
+                id="startDate"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="endDate">End Date</label>
+              <input
+                type="date"
+                id="endDate"
+                value={endDate}
+                min={startDate || undefined}
+                onChange={(e) => setEndDate(e.target.value)}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="export-filters">
+        <div className="form-group">
+          <label htmlFor="exportDateFormat">Date format</label>
+          <select
+            id="exportDateFormat"
+            value={settings.dateFormat}
+            onChange={(e) => handleSettingsChange({ dateFormat: e.target.value })}
+          >
+            {Object.entries(DATE_FORMATS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="exportTimeFormat">Time format</label>
+          <select
+            id="exportTimeFormat"
+            value={settings.timeFormat}
+            onChange={(e) => handleSettingsChange({ timeFormat: e.target.value })}
+          >
+            {Object.entries(TIME_FORMATS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="exportTimeZone">Timezone</label>
+          <input
+            type="text"
+            id="exportTimeZone"
+            value={timeZoneInput}
+            onChange={(e) => handleTimeZoneChange(e.target.value)}
+            placeholder={`This device (${Intl.DateTimeFormat().resolvedOptions().timeZone})`}
+          />
+        </div>
+      </div>
+      {!isValidTimeZone(timeZoneInput.trim()) && (
+        <p className="settings-hint">Unknown timezone; use a name like Europe/Berlin or America/New_York.</p>
+      )}
+
+      {isRegister ? (
+        <p className="settings-hint">
+          One page per person per month in the period, with each day's status, check-in, check-out and worked hours.
+        </p>
+      ) : settings.layout === 'checkins' ? (
+        <div className="export-columns">
+          {CHECKIN_COLUMNS.map(column => (
+            <label key={column.id} className={settings.columns.includes(column.id) ? 'selected' : ''}>
+              <input
+                type="checkbox"
+                checked={settings.columns.includes(column.id)}
+                onChange={() => toggleColumn(column.id)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <p className="settings-hint">Days are grouped and shifts judged in the export timezone.</p>
+      )}
+
+      {settings.format === 'csv' && (
+        <label className="settings-option">
+          <input
+            type="checkbox"
+            checked={settings.excelText}
+            onChange={(e) => handleSettingsChange({ excelText: e.target.checked })}
+          />
+          <span>
+            <strong>Keep dates as text in Excel</strong>
+            <small>Prefixes dates and times with an apostrophe so Excel doesn't reformat them.</small>
+          </span>
+        </label>
+      )}
+
+      {message && (
+        <div className={`status-message ${message.startsWith('✓') ? 'success' : 'error'}`}>
+          {message}
+        </div>
+      )}
+
+      <button
+        onClick={handleExport}
+        className="btn btn-secondary"
+        disabled={isExporting}
+      >
+        {isExporting ? 'Exporting...' : `📥 Export ${EXPORT_FORMATS[settings.format]}`}
+      </button>
+    </div>
+  );
+}
+
+export default ExportBuilder;
@@ -0,0 +1,405 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  loadModels,
+  detectAllFacesWithDetails,
+  drawLabelledBoxes
+} from '../utils/faceDetection';
+import { runGroupMotionCheck } from '../utils/livenessDetection';
+import { LIVENESS_POLICIES, getLivenessPolicy } from '../utils/livenessPolicy';
+import { api, submitCheckIn, isRetryableError } from '../utils/api';
+
+const MIN_FACE_RATIO = 0.08;       // Face width / frame width below this = too far away
+const MIN_DETECTION_SCORE = 0.6;   // Detector confidence below this = too unclear to match
+
+const FACE_COLORS = {
+  matched: '#4299e1',
+  confirmed: '#48bb78',
+  rejected: '#a0aec0',
+  unknown: '#f56565',
+  too_far: '#ecc94b',
+  not_live: '#ed8936',
+  queued: '#d69e2e',
+  pending: '#667eea'
+};
+
+const boxCenter = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+// Pair a face with the motion track whose last box is closest to it
+const findMotionResult = (box, motionResults) => {
+  const center = boxCenter(box);
+  let best = null;
+  let bestDistance = box.width / 2;
+  for (const result of motionResults) {
+    const other = boxCenter(result.box);
+    const distance = Math.hypot(other.x - center.x, other.y - center.y);
+    if (distance < bestDistance) {
+      best = result;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+const faceLabel = (face) => {
+  switch (face.state) {
+    case 'matched':
+      return `${face.name}?`;
+    case 'confirmed':
+      return `${face.name} ✓`;
+    case 'rejected':
+      return 'Rejected';
+    case 'unknown':
+      return face.error || 'Unknown';
+    case 'too_far':
+      return 'Come closer';
+    case 'not_live':
+      return 'Liveness failed';
+    case 'queued':
+      return 'Saved offline';
+    default:
+      return 'Checking...';
+  }
+};
+
+function GroupAttendance() {
+  const [status, setStatus] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [faces, setFaces] = useState([]);
+  const [modelsLoaded, setModelsLoaded] = useState(false);
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+
+  useEffect(() => {
+    loadModels()
+      .then(() => {
+        setModelsLoaded(true);
+        setStatus('Ready for group check-in');
+      })
+      .catch(err => {
+        setStatus('Error loading models: ' + err.message);
+      });
+
+    // Camera is kept on after a check-in to show the labelled frame
+    return () => {
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+      }
+    };
+  }, []);
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { width: 1280, height: 720 }
+      });
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+        streamRef.current = stream;
+      }
+    } catch (err) {
+      setStatus('Camera access denied: ' + err.message);
+    }
+  };
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const drawFaces = (list) => {
+    drawLabelledBoxes(
+      canvasRef.current,
+      videoRef.current,
+      list.map(face => ({ box: face.box, label: faceLabel(face), color: FACE_COLORS[face.state] }))
+    );
+  };
+
+  const checkInGroup = async () => {
+    if (!modelsLoaded) {
+      setStatus('Models still loading, please wait...');
+      return;
+    }
+
+    setIsChecking(true);
+    setFaces([]);
+    setStatus('Starting camera...');
+
+    stopCamera();
+    await startCamera();
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const video = videoRef.current;
+    // Same anti-spoofing as the single check-in whenever the device policy asks for it
+    const policy = LIVENESS_POLICIES[getLivenessPolicy()];
+    const motionResults = await runGroupMotionCheck(video, setStatus, {
+      antiSpoof: policy.steps.includes('antispoof')
+    });
+
+    setStatus('Capturing faces...');
+    const detected = await detectAllFacesWithDetails(video);
+
+    if (detected.length === 0) {
+      setStatus('Failed: No faces detected. Please stand in front of the camera.');
+      stopCamera();
+      setIsChecking(false);
+      return;
+    }
+
+    // Classify every face before anything is sent
+    const classified = detected.map(face => {
+      const motion = findMotionResult(face.box, motionResults);
+      const base = { box: face.box, descriptor: face.descriptor, motion };
+
+      if (face.box.width / video.videoWidth < MIN_FACE_RATIO || face.score < MIN_DETECTION_SCORE) {
+        return { ...base, state: 'too_far' };
+      }
+      if (!motion || !motion.passed) {
+        return { ...base, state: 'not_live', error: motion?.reason || 'Not tracked' };
+      }
+      return { ...base, state: 'pending' };
+    });
+
+    setFaces(classified);
+    drawFaces(classified);
+
+    const eligible = classified.filter(face => face.state === 'pending');
+
+    if (eligible.length === 0) {
+      setStatus('Failed: Nobody could be checked in. Please come closer and move naturally.');
+      stopCamera();
+      setIsChecking(false);
+      return;
+    }
+
+    setStatus(`Matching ${eligible.length} face(s)...`);
+
+    let finished;
+    try {
+      const response = await api.markAttendanceBatch(
+        eligible.map(face => ({
+          embedding: Array.from(face.descriptor),
+          livenessScore: face.motion.score,
+          livenessBreakdown: face.motion.breakdown
+        }))
+      );
+
+      const results = response.data.results || [];
+      finished = classified.map(face => {
+        const index = eligible.indexOf(face);
+        if (index === -1) return face;
+
+        const result = results.find(r => r.index === index) || results[index];
+        if (result?.success) {
+          return {
+            ...face,
+            state: 'matched',
+            name: result.name,
+            userId: result.userId,
+            confidence: result.confidence,
+            provisionalToken: result.provisionalToken
+          };
+        }
+        return { ...face, state: 'unknown', error: result?.error || 'No match found' };
+      });
+
+      const matched = finished.filter(face => face.state === 'matched').length;
+      setStatus(matched > 0
+        ? `Matched ${matched} of ${classified.length} people. Please confirm or reject each match.`
+        : 'Failed: No matching users found');
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || err.message;
+
+      if (isRetryableError(err)) {
+        // Server unreachable: queue each face on its own so they sync individually later
+        finished = [];
+        for (const face of classified) {
+          if (face.state !== 'pending') {
+            finished.push(face);
+            continue;
+          }
+          try {
+            const submission = await submitCheckIn(
+              Array.from(face.descriptor),
+              face.motion.score,
+              face.motion.breakdown
+            );
+            const data = submission.response?.data;
+            if (submission.queued) {
+              finished.push({ ...face, state: 'queued' });
+            } else if (data.success) {
+              finished.push({
+                ...face,
+                state: 'matched',
+                name: data.name,
+                userId: data.userId,
+                confidence: data.confidence,
+                provisionalToken: data.provisionalToken
+              });
+            } else {
+              finished.push({ ...face, state: 'unknown', error: data.error || 'No match found' });
+            }
+          } catch {
+            finished.push({ ...face, state: 'unknown', error: 'Not sent' });
+          }
+        }
+        const queued = finished.filter(face => face.state === 'queued').length;
+        const matched = finished.filter(face => face.state === 'matched').length;
+        setStatus(queued > 0
+          ? `✓ Saved ${queued} check-in(s) offline. They will be sent when the connection returns.`
+          : matched > 0
+            ? `Matched ${matched} of ${classified.length} people. Please confirm or reject each match.`
+            : 'Failed: ' + errorMsg);
+      } else {
+        finished = classified.map(face =>
+          face.state === 'pending' ? { ...face, state: 'unknown', error: 'Not sent' } : face
+        );
+        setStatus('Failed: ' + errorMsg);
+      }
+    }
+
+    // Freeze the frame under the labelled boxes until the next check-in
+    video.pause();
+    setFaces(finished);
+    drawFaces(finished);
+    setIsChecking(false);
+  };
+
+  // Matches are provisional until confirmed; rejecting reverses them and reports a false match
+  const resolveFaces = async (indexes, action) => {
+    setIsChecking(true);
+    let failed = 0;
+    const updated = [...faces];
+
+    for (const index of indexes) {
+      const face = updated[index];
+      try {
+        if (action === 'confirm') {
+          await api.confirmAttendance(face.provisionalToken);
+          updated[index] = { ...face, state: 'confirmed' };
+        } else {
+          await api.rejectAttendance(face.provisionalToken, 'Rejected at group check-in');
+          updated[index] = { ...face, state: 'rejected' };
+        }
+      } catch (err) {
+        console.error('Error resolving match:', err);
+        failed++;
+      }
+    }
+
+    setFaces(updated);
+    drawFaces(updated);
+    setIsChecking(false);
+
+    const confirmed = updated.filter(face => face.state === 'confirmed').length;
+    if (failed > 0) {
+      setStatus(`Failed: ${failed} match(es) could not be updated. They may have expired.`);
+    } else if (updated.every(face => face.state !== 'matched')) {
+      setStatus(`✓ Checked in ${confirmed} of ${updated.length} people`);
+    }
+  };
+
+  const pendingIndexes = faces
+    .map((face, i) => (face.state === 'matched' ? i : -1))
+    .filter(i => i !== -1);
+
+  return (
+    <div className="page">
+      <div className="card">
+        <h2>Group Check-in</h2>
+        <p className="settings-hint">
+          Everyone is checked for movement and photo or screen replays, but there are no blink or head-turn
+          challenges here, so liveness is weaker than a single check-in.
+        </p>
+
+        <button
+          onClick={checkInGroup}
+          disabled={isChecking || !modelsLoaded}
+          className="btn btn-primary"
+        >
+          {isChecking ? 'Checking...' : 'Check In Group'}
+        </button>
+
+        {status && (
+          <div className={`status-message ${status.startsWith('✓') ? 'success' : status.startsWith('Failed') ? 'error' : ''}`}>
+            {status}
+          </div>
+        )}
+
+        <div className="video-container">
+          <video ref={videoRef} autoPlay muted />
+          <canvas ref={canvasRef} />
+        </div>
+
+        {faces.length > 0 && (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Status</th>
+                  <th>Name</th>
+                  <th>Confidence</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {faces.map((face, i) => (
+                  <tr key={i}>
+                    <td>{i + 1}</td>
+                    <td>
+                      <span className="face-state" style={{ background: FACE_COLORS[face.state] }}>
+                        {faceLabel(face)}
+                      </span>
+                    </td>
+                    <td>{face.name ? `${face.name} (${face.userId})` : '—'}</td>
+                    <td>{face.confidence != null ? `${(face.confidence * 100).toFixed(1)}%` : '—'}</td>
+                    <td>
+                      {face.state === 'matched' && (
+                        <span className="row-actions">
+                          <button onClick={() => resolveFaces([i], 'confirm')} disabled={isChecking} className="row-action confirm">
+                            ✓
+                          </button>
+                          <button onClick={() => resolveFaces([i], 'reject')} disabled={isChecking} className="row-action reject">
+                            ✗
+                          </button>
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pendingIndexes.length > 0 && (
+              <button
+                onClick={() => resolveFaces(pendingIndexes, 'confirm')}
+                disabled={isChecking}
+                className="btn btn-success group-confirm-all"
+              >
+                ✓ Confirm all {pendingIndexes.length} matches
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="info-box">
+          <h4>Group Check-in:</h4>
+          <ul>
+            <li>Everyone should face the camera at the same time</li>
+            <li>Move naturally for a moment; still photos are rejected</li>
+            <li>Faces marked "Come closer" are too small or unclear to match</li>
+            <li>Blue boxes are matches waiting for confirmation; reject any that are wrong</li>
+            <li>Green boxes are checked in, red boxes were not recognised</li>
+            <li>If the server is unreachable, check-ins are saved on this device and sent later</li>
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GroupAttendance;
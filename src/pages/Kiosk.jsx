@@ -0,0 +1,423 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  loadModels,
+  detectFaceBox,
+  detectFaceAndGetDescriptor,
+  descriptorDistance
+} from '../utils/faceDetection';
+import { runLivenessPolicy, getLivenessPolicy } from '../utils/livenessPolicy';
+import {
+  KIOSK_CONFIG,
+  hasKioskPin,
+  verifyKioskPin,
+  getKioskPinLockout,
+  isKioskSessionActive,
+  startKioskSession,
+  endKioskSession
+} from '../utils/kioskSettings';
+import { getLocalMatchingSettings, matchLocally } from '../utils/localGallery';
+import { api, submitCheckIn } from '../utils/api';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Numeric PIN entry used to enter and leave kiosk mode
+function PinPrompt({ title, onSubmit, onCancel }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsChecking(true);
+    const ok = await onSubmit(pin);
+    setIsChecking(false);
+    if (!ok) {
+      const lockout = getKioskPinLockout();
+      setError(lockout > 0
+        ? `Too many incorrect PINs. Try again in ${Math.ceil(lockout / 1000)} seconds`
+        : 'Incorrect PIN');
+      setPin('');
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal" onSubmit={handleSubmit}>
+        <h3>{title}</h3>
+        <div className="form-group">
+          <label htmlFor="kioskPin">Admin PIN</label>
+          <input
+            type="password"
+            id="kioskPin"
+            inputMode="numeric"
+            autoComplete="off"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+            autoFocus
+          />
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        <div className="modal-actions">
+          <button type="submit" className="btn btn-primary" disabled={!pin || isChecking}>
+            {isChecking ? 'Checking...' : 'Unlock'}
+          </button>
+          <button type="button" className="btn btn-danger" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function Kiosk() {
+  const navigate = useNavigate();
+  const [isUnlocked, setIsUnlocked] = useState(isKioskSessionActive);
+  const [phase, setPhase] = useState('watching'); // watching | checking | result
+  const [showExitPrompt, setShowExitPrompt] = useState(false);
+  const [isScreensaver, setIsScreensaver] = useState(false);
+  const [status, setStatus] = useState('');
+  const [livenessSteps, setLivenessSteps] = useState([]);
+  const [outcome, setOutcome] = useState(null);
+  const [modelsLoaded, setModelsLoaded] = useState(false);
+  const [clock, setClock] = useState(new Date());
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const pausedRef = useRef(false);
+  const recentRef = useRef([]); // [{ userId, name, descriptor, at }] for the cooldown
+
+  useEffect(() => {
+    loadModels()
+      .then(() => setModelsLoaded(true))
+      .catch(err => setStatus('Error loading models: ' + err.message));
+  }, []);
+
+  useEffect(() => {
+    if (!isScreensaver) return;
+    const interval = setInterval(() => setClock(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [isScreensaver]);
+
+  useEffect(() => {
+    pausedRef.current = showExitPrompt;
+  }, [showExitPrompt]);
+
+  // Watch loop: wait for an approaching face, check it in, show the result, repeat
+  useEffect(() => {
+    if (!isUnlocked || !modelsLoaded) return;
+
+    let cancelled = false;
+
+    const startCamera = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { width: 640, height: 480 }
+        });
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          streamRef.current = stream;
+        }
+      } catch (err) {
+        setStatus('Camera access denied: ' + err.message);
+      }
+    };
+
+    const stopCamera = () => {
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+      }
+    };
+
+    const clearCanvas = () => {
+      const canvas = canvasRef.current;
+      if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    };
+
+    const checkIn = async (video) => {
+      setPhase('checking');
+      setLivenessSteps([]);
+      setOutcome(null);
+
+      const liveness = await runLivenessPolicy(
+        getLivenessPolicy(),
+        video,
+        canvasRef.current,
+        setStatus,
+        setLivenessSteps
+      );
+      if (cancelled) return;
+
+      let result;
+
+      if (!liveness.passed) {
+        result = { type: 'denied', title: 'Check-in denied', message: liveness.reason };
+      } else {
+        setStatus('Capturing face...');
+        const descriptor = await detectFaceAndGetDescriptor(video, canvasRef.current);
+
+        if (!descriptor) {
+          result = { type: 'denied', title: 'Check-in denied', message: 'Face not captured, please try again' };
+        } else {
+          const now = Date.now();
+          recentRef.current = recentRef.current.filter(r => now - r.at < KIOSK_CONFIG.cooldownMs);
+          const recent = recentRef.current.find(
+            r => descriptorDistance(r.descriptor, descriptor) < KIOSK_CONFIG.cooldownDistance
+          );
+
+          if (recent) {
+            // Same person within the cooldown: don't record another check-in
+            const minutes = Math.max(1, Math.round((now - recent.at) / 60000));
+            result = {
+              type: 'cooldown',
+              title: recent.name ? `Welcome back, ${recent.name}` : 'Welcome back',
+              message: `Already checked in ${minutes} min ago`
+            };
+          } else {
+            setStatus('Matching face...');
+            try {
+              const localMatch = getLocalMatchingSettings().enabled
+                ? await matchLocally(descriptor).catch(() => null)
+                : null;
+
+              const submission = localMatch && !localMatch.matched
+                ? null
+                : await submitCheckIn(
+                  Array.from(descriptor),
+                  liveness.score,
+                  liveness.breakdown,
+                  localMatch ? { userId: localMatch.userId, distance: localMatch.distance } : null
+                );
+              const data = submission?.response?.data;
+
+              if (!submission) {
+                result = { type: 'denied', title: 'Not recognised', message: 'No match found' };
+              } else if (submission.queued) {
+                // Server unreachable: the check-in is replayed later, so still apply the cooldown
+                const name = localMatch?.name || null;
+                recentRef.current.push({ userId: localMatch?.userId || null, name, descriptor, at: now });
+                result = {
+                  type: 'queued',
+                  title: name ? `Welcome, ${name}` : 'Check-in saved',
+                  message: 'Offline right now. It will be sent automatically.'
+                };
+              } else if (data.success) {
+                // Nobody is at the kiosk to confirm, so commit the match straight away
+                await api.confirmAttendance(data.provisionalToken);
+                recentRef.current.push({ userId: data.userId, name: data.name, descriptor, at: now });
+                // Kiosk punches are always auto, so the server decides between in and out
+                const isOut = data.punchType === 'out';
+                result = {
+                  type: 'welcome',
+                  title: isOut ? `Goodbye, ${data.name}` : `Welcome, ${data.name}`,
+                  message: `${isOut ? 'Checked out' : 'Checked in'} at ${new Date().toLocaleTimeString()}`
+                };
+              } else {
+                result = { type: 'denied', title: 'Not recognised', message: data.error || 'No match found' };
+              }
+            } catch (err) {
+              const errorMsg = err.response?.data?.error || err.message;
+              result = { type: 'denied', title: 'Not recognised', message: errorMsg };
+            }
+          }
+        }
+      }
+
+      if (cancelled) return;
+      clearCanvas();
+      setOutcome(result);
+      setPhase('result');
+      await sleep(KIOSK_CONFIG.resultMs);
+      if (cancelled) return;
+
+      setOutcome(null);
+      setLivenessSteps([]);
+      setStatus('');
+      setPhase('watching');
+    };
+
+    const run = async () => {
+      await startCamera();
+
+      let closeFrames = 0;
+      let lastSeen = Date.now();
+      let sleeping = false;
+
+      while (!cancelled) {
+        const video = videoRef.current;
+
+        if (pausedRef.current || !video || video.readyState < 2) {
+          await sleep(KIOSK_CONFIG.pollMs);
+          continue;
+        }
+
+        // A failed detection or check-in must not end the loop, or the kiosk stops watching for good
+        try {
+          const face = await detectFaceBox(video);
+          if (cancelled) return;
+          const now = Date.now();
+
+          if (face) {
+            lastSeen = now;
+          }
+
+          const shouldSleep = !face && now - lastSeen > KIOSK_CONFIG.idleMs;
+          if (shouldSleep !== sleeping) {
+            sleeping = shouldSleep;
+            setIsScreensaver(sleeping);
+          }
+
+          // Only start once a face is close enough for a few frames in a row
+          const isClose = face && face.box.width / video.videoWidth >= KIOSK_CONFIG.minFaceRatio;
+          closeFrames = isClose ? closeFrames + 1 : 0;
+
+          if (closeFrames >= KIOSK_CONFIG.approachFrames) {
+            closeFrames = 0;
+            await checkIn(video);
+            lastSeen = Date.now();
+            continue;
+          }
+
+          if (!face && !sleeping) {
+            setStatus('Step up to the camera to check in');
+          } else if (face && !isClose) {
+            setStatus('Please come closer');
+          } else if (face) {
+            setStatus('Hold still...');
+          }
+        } catch (err) {
+          console.error('Kiosk watch loop error:', err);
+          if (cancelled) return;
+          closeFrames = 0;
+          clearCanvas();
+          setOutcome(null);
+          setLivenessSteps([]);
+          setStatus('Something went wrong, please try again');
+          setPhase('watching');
+        }
+
+        await sleep(sleeping ? KIOSK_CONFIG.screensaverPollMs : KIOSK_CONFIG.pollMs);
+      }
+    };
+
+    run();
+
+    return () => {
+      cancelled = true;
+      stopCamera();
+    };
+  }, [isUnlocked, modelsLoaded]);
+
+  const handleUnlock = async (pin) => {
+    const ok = await verifyKioskPin(pin);
+    if (ok) {
+      startKioskSession();
+      setIsUnlocked(true);
+      // Best effort: some browsers refuse fullscreen without a direct gesture
+      document.documentElement.requestFullscreen?.().catch(() => {});
+    }
+    return ok;
+  };
+
+  const handleExit = async (pin) => {
+    const ok = await verifyKioskPin(pin);
+    if (ok) {
+      endKioskSession();
+      if (document.fullscreenElement) {
+        document.exitFullscreen?.().catch(() => {});
+      }
+      navigate('/', { replace: true });
+    }
+    return ok;
+  };
+
+  if (!isUnlocked) {
+    if (!hasKioskPin()) {
+      return (
+        <div className="page">
+          <div className="card">
+            <h2>Kiosk Mode</h2>
+            <div className="status-message error">
+              No kiosk PIN is set on this device. An admin must set one in Admin &gt; Settings first.
+            </div>
+            <button className="btn btn-primary" onClick={() => navigate('/')}>
+              Back
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <PinPrompt
+        title="Enter Kiosk Mode"
+        onSubmit={handleUnlock}
+        onCancel={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <div className="kiosk">
+      <div className="kiosk-video">
+        <video ref={videoRef} autoPlay muted />
+        <canvas ref={canvasRef} />
+      </div>
+
+      <div className="kiosk-status">
+        <h2>{modelsLoaded ? status : 'Loading face models...'}</h2>
+        {phase === 'checking' && livenessSteps.length > 0 && (
+          <ul className="liveness-steps">
+            {livenessSteps.map(step => (
+              <li key={step.id} className={`liveness-step ${step.status}`}>
+                <span className="liveness-step-icon">
+                  {step.status === 'passed' ? '✓' : step.status === 'failed' ? '✗' : step.status === 'running' ? '…' : '○'}
+                </span>
+                <span className="liveness-step-label">{step.label}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {phase === 'result' && outcome && (
+        <div className={`kiosk-result ${outcome.type}`}>
+          <div className="kiosk-result-icon">{outcome.type === 'denied' ? '✗' : outcome.type === 'queued' ? '⟳' : '✓'}</div>
+          <h1>{outcome.title}</h1>
+          <p>{outcome.message}</p>
+        </div>
+      )}
+
+      {isScreensaver && phase === 'watching' && (
+        <div className="kiosk-screensaver">
+          <div className="kiosk-clock">
+            {clock.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </div>
+          <p>{clock.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}</p>
+          <p className="kiosk-hint">Step up to the camera to check in</p>
+        </div>
+      )}
+
+      <button
+        className="kiosk-exit"
+        onClick={() => setShowExitPrompt(true)}
+        aria-label="Exit kiosk mode"
+      >
+        ⚙
+      </button>
+
+      {showExitPrompt && (
+        <PinPrompt
+          title="Exit Kiosk Mode"
+          onSubmit={handleExit}
+          onCancel={() => setShowExitPrompt(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default Kiosk;
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { toCSV, downloadCSV } from '../utils/csv';
+import { toDateKey } from '../utils/attendanceAnalytics';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const DAY_STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  absent: 'Absent',
+  off: 'Day off',
+  none: 'No record',
+  upcoming: ''
+};
+
+const toMonthKey = (date) => toDateKey(date).slice(0, 7);
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Ask an admin to record a check-in for a day the camera missed
+function CorrectionModal({ date, onSubmit, onCancel }) {
+  const [time, setTime] = useState('09:00');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      setError('Please say why the check-in was missed');
+      return;
+    }
+    setIsSending(true);
+    const failure = await onSubmit(date, time, reason.trim());
+    setIsSending(false);
+    if (failure) setError(failure);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal" onSubmit={handleSubmit}>
+        <h3>Request a correction</h3>
+        <p>{new Date(`${date}T00:00`).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}</p>
+        <div className="form-group">
+          <label htmlFor="correctionTime">Time you arrived</label>
+          <input
+            type="time"
+            id="correctionTime"
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="correctionReason">Reason</label>
+          <textarea
+            id="correctionReason"
+            rows={3}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g., camera was offline, visiting another site"
+            autoFocus
+          />
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        <div className="modal-actions">
+          <button type="submit" className="btn btn-primary" disabled={isSending}>
+            {isSending ? 'Sending...' : 'Send request'}
+          </button>
+          <button type="button" className="btn btn-danger" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function MyAttendance() {
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [days, setDays] = useState([]);
+  const [corrections, setCorrections] = useState([]);
+  const [correctionDate, setCorrectionDate] = useState(null);
+  const [status, setStatus] = useState('');
+  const [loadedMonthKey, setLoadedMonthKey] = useState(null);
+
+  const monthKey = toMonthKey(month);
+  const isLoading = loadedMonthKey !== monthKey;
+  const todayKey = toDateKey(new Date());
+  const isCurrentMonth = monthKey === toMonthKey(new Date());
+
+  // Paging quickly through months must not let an older response overwrite a newer one
+  useEffect(() => {
+    let cancelled = false;
+
+    api.getMyAttendance(monthKey)
+      .then(res => {
+        if (cancelled) return;
+        setDays(res.data.days || []);
+        setStatus(current => (current.startsWith('Failed to load') ? '' : current));
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error fetching attendance:', err);
+        setDays([]);
+        setStatus('Failed to load attendance: ' + (err.response?.data?.error || err.message));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadedMonthKey(monthKey);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [monthKey]);
+
+  useEffect(() => {
+    api.getMyCorrections()
+      .then(res => setCorrections(res.data))
+      .catch(err => console.error('Error fetching correction requests:', err));
+  }, []);
+
+  const dayByDate = new Map(days.map(day => [day.date, day]));
+  const correctionByDate = new Map(
+    corrections.filter(c => c.status !== 'rejected').map(c => [c.date, c])
+  );
+
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const leadingBlanks = (month.getDay() + 6) % 7; // Weeks start on Monday
+
+  const cells = Array.from({ length: daysInMonth }, (_, i) => {
+    const date = toDateKey(new Date(month.getFullYear(), month.getMonth(), i + 1));
+    const record = dayByDate.get(date);
+    return {
+      date,
+      day: i + 1,
+      status: record?.status || (date > todayKey ? 'upcoming' : 'none'),
+      checkIns: record?.checkIns || [],
+      correction: correctionByDate.get(date)
+    };
+  });
+
+  const totals = {
+    present: cells.filter(c => c.status === 'present' || c.status === 'late').length,
+    late: cells.filter(c => c.status === 'late').length,
+    absent: cells.filter(c => c.status === 'absent').length,
+    corrections: cells.filter(c => c.correction?.status === 'pending').length
+  };
+
+  // Only past working days without a check-in, and without an open request, can be corrected
+  const canRequestCorrection = (cell) =>
+    (cell.status === 'absent' || cell.status === 'none') && cell.date <= todayKey && !cell.correction;
+
+  const changeMonth = (offset) => {
+    setStatus('');
+    setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+  };
+
+  const handleRequestCorrection = async (date, time, reason) => {
+    try {
+      const res = await api.requestCorrection(date, time, reason);
+      setCorrections(list => [res.data, ...list]);
+      setCorrectionDate(null);
+      setStatus(`✓ Correction requested for ${date}. An admin will review it.`);
+      return null;
+    } catch (err) {
+      console.error('Error requesting correction:', err);
+      return err.response?.data?.error || err.message;
+    }
+  };
+
+  const handleDownload = () => {
+    const rows = cells
+      .filter(cell => cell.status !== 'upcoming')
+      .map(cell => [
+        cell.date,
+        DAY_STATUS_LABELS[cell.status],
+        cell.checkIns.map(formatTime).join(' '),
+        cell.correction ? `${cell.correction.time} (${cell.correction.status})` : ''
+      ]);
+    downloadCSV(
+      toCSV(['Date', 'Status', 'Check-ins', 'Correction'], rows),
+      `my_attendance_${monthKey}.csv`
+    );
+  };
+
+  return (
+    <div className="page">
+      <div className="card">
+        <h2>My Attendance</h2>
+
+        <div className="calendar-header">
+          <button onClick={() => changeMonth(-1)} className="btn btn-secondary" aria-label="Previous month">
+            ‹
+          </button>
+          <h3>{month.toLocaleDateString([], { month: 'long', year: 'numeric' })}</h3>
+          <button
+            onClick={() => changeMonth(1)}
+            disabled={isCurrentMonth}
+            className="btn btn-secondary"
+            aria-label="Next month"
+          >
+            ›
+          </button>
+        </div>
+
+        <div className="month-totals">
+          <div className="month-total present"><strong>{totals.present}</strong> Present</div>
+          <div className="month-total late"><strong>{totals.late}</strong> Late</div>
+          <div className="month-total absent"><strong>{totals.absent}</strong> Absent</div>
+          <div className="month-total pending"><strong>{totals.corrections}</strong> Pending corrections</div>
+        </div>
+
+        {status && (
+          <div className={`status-message ${status.startsWith('✓') ? 'success' : status.startsWith('Failed') ? 'error' : ''}`}>
+            {status}
+          </div>
+        )}
+
+        <div className={`calendar ${isLoading ? 'loading' : ''}`}>
+          {WEEKDAYS.map(day => (
+            <div key={day} className="calendar-weekday">{day}</div>
+          ))}
+          {Array.from({ length: leadingBlanks }, (_, i) => (
+            <div key={`blank-${i}`} className="calendar-day blank" />
+          ))}
+          {cells.map(cell => (
+            <button
+              key={cell.date}
+              className={`calendar-day ${cell.status} ${cell.date === todayKey ? 'today' : ''}`}
+              onClick={() => canRequestCorrection(cell) && setCorrectionDate(cell.date)}
+              disabled={!canRequestCorrection(cell)}
+              title={cell.checkIns.length > 0
+                ? `Checked in at ${cell.checkIns.map(formatTime).join(', ')}`
+                : canRequestCorrection(cell) ? 'Request a correction' : ''}
+            >
+              <span className="calendar-date">{cell.day}</span>
+              <span className="calendar-status">
+                {cell.checkIns.length > 0 ? formatTime(cell.checkIns[0]) : DAY_STATUS_LABELS[cell.status]}
+              </span>
+              {cell.correction && (
+                <span className={`calendar-correction ${cell.correction.status}`}>
+                  {cell.correction.status === 'pending' ? 'Requested' : 'Corrected'}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        <button onClick={handleDownload} disabled={isLoading} className="btn btn-secondary">
+          📥 Download {month.toLocaleDateString([], { month: 'long' })} as CSV
+        </button>
+
+        {corrections.length > 0 && (
+          <>
+            <h3 className="settings-heading">Correction requests</h3>
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Time</th>
+                    <th>Reason</th>
+                    <th>Status</th>
+                    <th>Admin note</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {corrections.map(correction => (
+                    <tr key={correction.id}>
+                      <td>{correction.date}</td>
+                      <td>{correction.time}</td>
+                      <td>{correction.reason}</td>
+                      <td>
+                        <span className={`queue-status ${correction.status}`}>{correction.status}</span>
+                      </td>
+                      <td>{correction.note || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="info-box">
+          <h4>My Attendance:</h4>
+          <ul>
+            <li>Each day shows your first check-in time, or why there isn't one</li>
+            <li>Missed a check-in? Click the day to ask an admin to correct it</li>
+            <li>Approved corrections appear on the calendar as check-ins</li>
+          </ul>
+        </div>
+      </div>
+
+      {correctionDate && (
+        <CorrectionModal
+          date={correctionDate}
+          onSubmit={handleRequestCorrection}
+          onCancel={() => setCorrectionDate(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default MyAttendance;
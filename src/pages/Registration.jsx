@@ -1,19 +1,59 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { loadModels, detectFaceAndGetDescriptor } from '../utils/faceDetection';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { loadModels, detectFaceWithDetails } from '../utils/faceDetection';
+import {
+  ENROLLMENT_POSES,
+  assessFaceQuality,
+  captureFaceThumbnail,
+  checkDescriptorConsistency,
+  toSamplePayload
+} from '../utils/faceQuality';
+import {
+  ACCOUNT_ROLES,
+  assessPasswordStrength,
+  generateTemporaryPassword,
+  validateAccount
+} from '../utils/accountValidation';
 import { api } from '../utils/api';
 
+const SAMPLES_PER_POSE = 2;
+const MAX_ATTEMPTS_PER_SAMPLE = 20;
+const TOTAL_SAMPLES = ENROLLMENT_POSES.length * SAMPLES_PER_POSE;
+
+const EMPTY_ACCOUNT = { enabled: false, email: '', password: '', role: 'user', invite: false };
+
 function Registration() {
+  const [searchParams] = useSearchParams();
+  const [mode, setMode] = useState(searchParams.get('append') ? 'append' : 'new'); // new | append
+  const [people, setPeople] = useState([]);
+  const [appendPersonId, setAppendPersonId] = useState(searchParams.get('append') || '');
+  const [sampleLabel, setSampleLabel] = useState('');
+  const [replaceExisting, setReplaceExisting] = useState(searchParams.get('reenroll') === '1');
   const [userId, setUserId] = useState('');
   const [name, setName] = useState('');
+  const [account, setAccount] = useState(EMPTY_ACCOUNT);
+  const [issuedPassword, setIssuedPassword] = useState(null); // { email, password }, shown once
   const [status, setStatus] = useState('');
-  const [isCapturing, setIsCapturing] = useState(false);
-  const [captureCount, setCaptureCount] = useState(0);
+  const [phase, setPhase] = useState('form'); // form | capturing | review | submitting
+  const [prompt, setPrompt] = useState('');
+  const [samples, setSamples] = useState([]);
+  const [retakingIndex, setRetakingIndex] = useState(null);
   const [modelsLoaded, setModelsLoaded] = useState(false);
-  
+
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
-  const descriptorsRef = useRef([]);
+  const neutralPoseRef = useRef(null);
+
+  const isBusy = phase === 'capturing' || phase === 'submitting' || retakingIndex !== null;
+
+  // Flag samples that don't match the rest before anything is submitted
+  const consistency = useMemo(
+    () => checkDescriptorConsistency(samples.map(s => s.descriptor)),
+    [samples]
+  );
+  const outlierDistances = new Map(consistency.outliers.map(o => [o.index, o.distance]));
+  const passwordStrength = assessPasswordStrength(account.password);
 
   useEffect(() => {
     // Load face-api.js models on mount
@@ -27,10 +67,24 @@ function Registration() {
       });
   }, []);
 
+  useEffect(() => {
+    // People list is only needed to pick who to add samples to
+    if (mode !== 'append') return;
+
+    api.getPeople()
+      .then(res => setPeople(res.data))
+      .catch(err => {
+        console.error('Error fetching people:', err);
+        setStatus('❌ Could not load registered people: ' + (err.response?.data?.error || err.message));
+      });
+  }, [mode]);
+
+  const appendPerson = people.find(p => String(p.id) === String(appendPersonId));
+
   const startCamera = async () => {
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { width: 640, height: 480 } 
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { width: 640, height: 480 }
       });
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
@@ -48,77 +102,209 @@ function Registration() {
     }
   };
 
+  // Keep grabbing frames until one passes every quality check for the target pose
+  const captureSample = async (target, neutral) => {
+    let lastReason = 'No face detected';
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS_PER_SAMPLE; attempt++) {
+      const face = await detectFaceWithDetails(videoRef.current, canvasRef.current);
+
+      if (face) {
+        const quality = assessFaceQuality(videoRef.current, face, target, neutral);
+        if (quality.passed) {
+          return {
+            poseId: target.id,
+            descriptor: face.descriptor,
+            pose: face.pose,
+            quality,
+            capturedAt: new Date().toISOString(),
+            thumbnail: captureFaceThumbnail(videoRef.current, face.box)
+          };
+        }
+        lastReason = quality.reason;
+      } else {
+        lastReason = 'No face detected';
+      }
+
+      setStatus(`${target.label}: ${lastReason}...`);
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+
+    return { error: lastReason };
+  };
+
   const captureFrames = async () => {
-    if (!userId || !name) {
+    if (mode === 'new' && (!userId || !name)) {
       setStatus('Please enter User ID and Name');
       return;
     }
 
+    // Check the account fields now so a typo doesn't throw away the captured samples
+    const accountError = mode === 'new' ? validateAccount(account) : null;
+    if (accountError) {
+      setStatus(`❌ ${accountError}`);
+      return;
+    }
+
+    if (mode === 'append' && !appendPersonId) {
+      setStatus('Please choose the person to add samples to');
+      return;
+    }
+
     if (!modelsLoaded) {
       setStatus('Models still loading, please wait...');
       return;
     }
 
-    setIsCapturing(true);
-    setCaptureCount(0);
-    descriptorsRef.current = [];
+    setPhase('capturing');
+    setSamples([]);
+    setIssuedPassword(null);
+    neutralPoseRef.current = null;
     setStatus('Starting capture...');
 
     await startCamera();
     await new Promise(resolve => setTimeout(resolve, 1000)); // Let camera stabilize
 
-    // Capture 3 frames with pauses
-    for (let i = 0; i < 3; i++) {
-      setStatus(`Capturing frame ${i + 1}/3... Look at the camera!`);
-      setCaptureCount(i + 1);
-      
-      const descriptor = await detectFaceAndGetDescriptor(videoRef.current, canvasRef.current);
-      
-      if (!descriptor) {
-        setStatus(`Failed to detect face in frame ${i + 1}. Please try again.`);
-        stopCamera();
-        setIsCapturing(false);
-        return;
+    const captured = [];
+
+    for (const target of ENROLLMENT_POSES) {
+      setPrompt(target.prompt);
+      await new Promise(resolve => setTimeout(resolve, 800)); // Give the user time to move
+
+      for (let i = 0; i < SAMPLES_PER_POSE; i++) {
+        setStatus(`${target.label}: capturing ${i + 1}/${SAMPLES_PER_POSE}...`);
+
+        const sample = await captureSample(target, neutralPoseRef.current);
+
+        if (sample.error) {
+          setStatus(`❌ Could not get a good "${target.label}" frame: ${sample.error}. Please try again.`);
+          setPrompt('');
+          stopCamera();
+          setPhase('form');
+          return;
+        }
+
+        // Later poses are measured relative to the user's own straight pose
+        if (target.id === ENROLLMENT_POSES[0].id && !neutralPoseRef.current) {
+          neutralPoseRef.current = sample.pose;
+        }
+
+        captured.push(sample);
+        setSamples([...captured]);
+        await new Promise(resolve => setTimeout(resolve, 300));
       }
+    }
+
+    stopCamera();
+    setPrompt('');
+    setPhase('review');
 
-      descriptorsRef.current.push(descriptor);
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Pause between captures
+    const check = checkDescriptorConsistency(captured.map(s => s.descriptor));
+    if (!check.consistent) {
+      setStatus(`❌ ${check.reason}`);
+    } else if (check.outliers.length > 0) {
+      setStatus(`${check.outliers.length} sample(s) did not match the others and will be left out. Retake them or submit without them.`);
+    } else {
+      setStatus('Review the captured samples, retake any that look wrong, then submit.');
     }
+  };
+
+  const retakeSample = async (index) => {
+    const target = ENROLLMENT_POSES.find(p => p.id === samples[index].poseId);
+    const isNeutral = target.id === ENROLLMENT_POSES[0].id;
+
+    setRetakingIndex(index);
+    await startCamera();
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    setPrompt(target.prompt);
+    await new Promise(resolve => setTimeout(resolve, 800));
+
+    const sample = await captureSample(target, isNeutral ? null : neutralPoseRef.current);
 
     stopCamera();
+    setPrompt('');
+    setRetakingIndex(null);
+
+    if (sample.error) {
+      setStatus(`❌ Retake failed: ${sample.error}. The previous sample was kept.`);
+      return;
+    }
+
+    if (isNeutral && samples.findIndex(s => s.poseId === target.id) === index) {
+      neutralPoseRef.current = sample.pose;
+    }
+
+    setSamples(prev => prev.map((s, i) => (i === index ? sample : s)));
+    setStatus(`✓ Retook "${target.label}" sample.`);
+  };
+
+  const submitRegistration = async () => {
+    if (!consistency.consistent) {
+      setStatus(`❌ Cannot submit: ${consistency.reason}`);
+      return;
+    }
+
+    setPhase('submitting');
     setStatus('Processing embeddings...');
 
-    // Average the 3 descriptors into a single embedding
-    const avgEmbedding = averageDescriptors(descriptorsRef.current);
+    // Every kept sample is sent with its pose and quality, not averaged; outliers are dropped
+    const payload = consistency.kept.map(index => toSamplePayload(samples[index]));
+
+    // Invited accounts get a generated password, shown once after the account is created
+    const withAccount = mode === 'new' && account.enabled;
+    const password = withAccount
+      ? (account.invite ? generateTemporaryPassword() : account.password)
+      : null;
 
     // Send to backend
     try {
-      const response = await api.register(
-        userId,
-        name,
-        Array.from(avgEmbedding)
-      );
+      const reenrol = mode === 'append' && replaceExisting;
+      const response = reenrol
+        ? await api.replaceSamples(appendPersonId, payload)
+        : mode === 'append'
+          ? await api.addSamples(appendPersonId, payload, sampleLabel || null)
+          : await api.register(
+            userId,
+            name,
+            payload,
+            withAccount ? account.email.trim() : null,
+            password,
+            withAccount ? account.role : 'user',
+            withAccount && account.invite
+          );
 
       const data = response.data;
-      
+
       if (data.success) {
-        setStatus(`✓ Success! Registered ${name} (${userId})`);
+        setStatus(reenrol
+          ? `✓ Success! Re-enrolled ${appendPerson?.name || appendPersonId} with ${payload.length} samples`
+          : mode === 'append'
+            ? `✓ Success! Added ${payload.length} samples to ${appendPerson?.name || appendPersonId}`
+            : `✓ Success! Registered ${name} (${userId}) with ${payload.length} samples${withAccount ? ` and a ${account.role} login for ${account.email.trim()}` : ''}`);
+        if (withAccount && account.invite) {
+          setIssuedPassword({ email: account.email.trim(), password });
+        }
         // Clear form after successful registration
         setUserId('');
         setName('');
-        // Save for testing purposes
-        localStorage.setItem('lastEmbedding', JSON.stringify(Array.from(avgEmbedding)));
+        setAccount(EMPTY_ACCOUNT);
+        setSampleLabel('');
+        setSamples([]);
+        setPhase('form');
+        return;
       }
     } catch (err) {
       console.error('Registration error:', err);
-      
+
       // Handle specific error cases
       if (err.response) {
         const data = err.response.data;
         if (err.response.status === 409) {
-          // Conflict - duplicate user ID or face
+          // Conflict - duplicate user ID, email or face
           if (data.error === 'User ID already taken') {
             setStatus(`❌ User ID already taken! "${userId}" is registered to ${data.existingUser}`);
+          } else if (data.error === 'Email already registered') {
+            setStatus(`❌ Email already registered! "${account.email.trim()}" is the login of ${data.existingUser} (${data.existingUserId})`);
           } else if (data.error === 'Face already registered') {
             setStatus(`❌ Face already registered! This face belongs to ${data.existingUser} (${data.existingUserId})`);
           } else {
@@ -132,79 +318,305 @@ function Registration() {
       }
     }
 
-    setIsCapturing(false);
+    setPhase('review');
   };
 
-  // Average multiple face descriptors into one
-  const averageDescriptors = (descriptors) => {
-    const dim = descriptors[0].length;
-    const avg = new Float32Array(dim);
-    
-    for (let i = 0; i < dim; i++) {
-      let sum = 0;
-      for (let j = 0; j < descriptors.length; j++) {
-        sum += descriptors[j][i];
-      }
-      avg[i] = sum / descriptors.length;
-    }
-    
-    return avg;
+  const discardSamples = () => {
+    setSamples([]);
+    setPhase('form');
+    setStatus('Samples discarded. Ready to register.');
   };
 
   return (
     <div className="page">
       <div className="card">
-        <h2>Register New User</h2>
-        
-        <div className="form-group">
-          <label>User ID:</label>
-          <input
-            type="text"
-            value={userId}
-            onChange={(e) => setUserId(e.target.value)}
-            placeholder="e.g., emp001"
-            disabled={isCapturing}
-          />
-        </div>
+        <h2>{mode === 'append' ? (replaceExisting ? 'Re-enrol Face' : 'Add Face Samples') : 'Register New User'}</h2>
 
-        <div className="form-group">
-          <label>Full Name:</label>
-          <input
-            type="text"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            placeholder="e.g., John Doe"
-            disabled={isCapturing}
-          />
+        <div className="tabs">
+          <button
+            className={`tab ${mode === 'new' ? 'active' : ''}`}
+            onClick={() => setMode('new')}
+            disabled={phase !== 'form'}
+          >
+            New Person
+          </button>
+          <button
+            className={`tab ${mode === 'append' ? 'active' : ''}`}
+            onClick={() => setMode('append')}
+            disabled={phase !== 'form'}
+          >
+            Add Samples to Existing
+          </button>
         </div>
 
-        <button 
-          onClick={captureFrames} 
-          disabled={isCapturing || !modelsLoaded}
-          className="btn btn-primary"
-        >
-          {isCapturing ? `Capturing ${captureCount}/3...` : 'Start Registration'}
-        </button>
+        {mode === 'new' ? (
+          <>
+            <div className="form-group">
+              <label>User ID:</label>
+              <input
+                type="text"
+                value={userId}
+                onChange={(e) => setUserId(e.target.value)}
+                placeholder="e.g., emp001"
+                disabled={phase !== 'form'}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Full Name:</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g., John Doe"
+                disabled={phase !== 'form'}
+              />
+            </div>
+
+            <label className="settings-option">
+              <input
+                type="checkbox"
+                checked={account.enabled}
+                onChange={(e) => setAccount({ ...account, enabled: e.target.checked })}
+                disabled={phase !== 'form'}
+              />
+              <span>
+                <strong>Create a login account</strong>
+                <small>Lets this person sign in to the app. Leave off for check-in only.</small>
+              </span>
+            </label>
+
+            {account.enabled && (
+              <div className="account-fields">
+                <div className="form-group">
+                  <label>Email:</label>
+                  <input
+                    type="email"
+                    value={account.email}
+                    onChange={(e) => setAccount({ ...account, email: e.target.value })}
+                    placeholder="e.g., john.doe@example.com"
+                    autoComplete="off"
+                    disabled={phase !== 'form'}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Role:</label>
+                  <select
+                    value={account.role}
+                    onChange={(e) => setAccount({ ...account, role: e.target.value })}
+                    disabled={phase !== 'form'}
+                  >
+                    {ACCOUNT_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </div>
+
+                <label className="settings-option">
+                  <input
+                    type="checkbox"
+                    checked={account.invite}
+                    onChange={(e) => setAccount({ ...account, invite: e.target.checked, password: '' })}
+                    disabled={phase !== 'form'}
+                  />
+                  <span>
+                    <strong>Invite by email</strong>
+                    <small>A temporary password is generated and emailed. They must change it at first login.</small>
+                  </span>
+                </label>
+
+                {!account.invite && (
+                  <div className="form-group">
+                    <label>Password:</label>
+                    <input
+                      type="password"
+                      value={account.password}
+                      onChange={(e) => setAccount({ ...account, password: e.target.value })}
+                      autoComplete="new-password"
+                      disabled={phase !== 'form'}
+                    />
+                    {account.password && (
+                      <div className={`password-strength score-${passwordStrength.score}`}>
+                        <div className="password-strength-bar">
+                          <span style={{ width: `${(passwordStrength.score + 1) * 20}%` }} />
+                        </div>
+                        <small>
+                          {passwordStrength.label}
+                          {passwordStrength.issues.length > 0 && ` - add ${passwordStrength.issues.join(', ')}`}
+                        </small>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="form-group">
+              <label>Person:</label>
+              <select
+                value={appendPersonId}
+                onChange={(e) => setAppendPersonId(e.target.value)}
+                disabled={phase !== 'form'}
+              >
+                <option value="">Select a person...</option>
+                {people.map(person => (
+                  <option key={person.id} value={person.id}>
+                    {person.name} ({person.user_id}) - {person.sample_count ?? '?'} samples
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <label className="settings-option">
+              <input
+                type="checkbox"
+                checked={replaceExisting}
+                onChange={(e) => setReplaceExisting(e.target.checked)}
+                disabled={phase !== 'form'}
+              />
+              <span>
+                <strong>Replace existing samples (re-enrol)</strong>
+                <small>Use when matching keeps failing for this person. Their old samples are deleted.</small>
+              </span>
+            </label>
+
+            {!replaceExisting && (
+              <div className="form-group">
+                <label>Label (optional):</label>
+                <input
+                  type="text"
+                  value={sampleLabel}
+                  onChange={(e) => setSampleLabel(e.target.value)}
+                  placeholder="e.g., glasses, new haircut"
+                  disabled={phase !== 'form'}
+                />
+              </div>
+            )}
+          </>
+        )}
+
+        {phase !== 'review' && phase !== 'submitting' && (
+          <button
+            onClick={captureFrames}
+            disabled={isBusy || !modelsLoaded}
+            className="btn btn-primary"
+          >
+            {phase === 'capturing'
+              ? `Capturing ${samples.length}/${TOTAL_SAMPLES}...`
+              : mode === 'append' ? 'Start Capture' : 'Start Registration'}
+          </button>
+        )}
 
         {status && (
-          <div className={`status-message ${status.startsWith('✓') ? 'success' : status.startsWith('Error') ? 'error' : ''}`}>
+          <div className={`status-message ${status.startsWith('✓') ? 'success' : status.startsWith('❌') || status.startsWith('Error') ? 'error' : ''}`}>
             {status}
           </div>
         )}
 
+        {issuedPassword && (
+          <div className="temp-password">
+            <p>
+              Temporary password for <strong>{issuedPassword.email}</strong>.
+              It is shown only once; share it securely if the invitation email doesn't arrive.
+            </p>
+            <code>{issuedPassword.password}</code>
+            <div className="modal-actions">
+              <button
+                onClick={() => navigator.clipboard?.writeText(issuedPassword.password)}
+                className="btn btn-secondary"
+              >
+                Copy
+              </button>
+              <button onClick={() => setIssuedPassword(null)} className="btn btn-primary">
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {(phase === 'capturing' || phase === 'review' || phase === 'submitting') && (
+          <div className="enroll-review">
+            <div className="enroll-grid">
+              {ENROLLMENT_POSES.flatMap(target =>
+                Array.from({ length: SAMPLES_PER_POSE }, (_, n) => {
+                  const index = ENROLLMENT_POSES.indexOf(target) * SAMPLES_PER_POSE + n;
+                  const sample = samples[index];
+                  const outlierDistance = outlierDistances.get(index);
+                  return (
+                    <div
+                      key={`${target.id}-${n}`}
+                      className={`enroll-sample ${sample ? 'captured' : ''} ${outlierDistance !== undefined ? 'outlier' : ''}`}
+                    >
+                      {sample ? (
+                        <img src={sample.thumbnail} alt={`${target.label} sample ${n + 1}`} />
+                      ) : (
+                        <div className="enroll-placeholder">{target.label}</div>
+                      )}
+                      <div className="enroll-sample-info">
+                        <span>{target.label}</span>
+                        {sample && <span>Quality {(sample.quality.score * 100).toFixed(0)}%</span>}
+                        {outlierDistance !== undefined && (
+                          <span className="enroll-outlier">Outlier ({outlierDistance.toFixed(2)})</span>
+                        )}
+                      </div>
+                      {sample && phase === 'review' && (
+                        <button
+                          onClick={() => retakeSample(index)}
+                          disabled={isBusy}
+                          className="enroll-retake"
+                        >
+                          {retakingIndex === index ? 'Retaking...' : 'Retake'}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })
+              )}
+            </div>
+
+            {phase === 'review' && !consistency.consistent && (
+              <div className="error-message">{consistency.reason}</div>
+            )}
+
+            {(phase === 'review' || phase === 'submitting') && (
+              <div className="modal-actions">
+                <button
+                  onClick={submitRegistration}
+                  disabled={isBusy || samples.length < TOTAL_SAMPLES || !consistency.consistent}
+                  className="btn btn-success"
+                >
+                  {phase === 'submitting'
+                    ? 'Submitting...'
+                    : mode === 'append' ? (replaceExisting ? '✓ Accept & Re-enrol' : '✓ Accept & Add Samples') : '✓ Accept & Register'}
+                </button>
+                <button
+                  onClick={discardSamples}
+                  disabled={isBusy}
+                  className="btn btn-danger"
+                >
+                  ✗ Discard
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="video-container">
           <video ref={videoRef} autoPlay muted />
           <canvas ref={canvasRef} />
+          {prompt && <div className="video-prompt">{prompt}</div>}
         </div>
 
         <div className="info-box">
           <h4>Instructions:</h4>
           <ul>
-            <li>Enter your User ID and Name</li>
-            <li>Click "Start Registration"</li>
-            <li>Look directly at the camera</li>
-            <li>System will capture 3 frames automatically</li>
-            <li>Keep your face centered and well-lit</li>
+            <li>Enter your User ID and Name, or pick an existing person to add samples to</li>
+            <li>Tick "Create a login account" to let them sign in; choose a password or invite them by email</li>
+            <li>Click "Start Registration" or "Start Capture"</li>
+            <li>Follow the prompts: straight, slightly left, slightly right, slightly up</li>
+            <li>Blurry, dark or badly posed frames are retaken automatically</li>
+            <li>Review the {TOTAL_SAMPLES} thumbnails, retake any that look wrong, then accept</li>
           </ul>
         </div>
       </div>
@@ -212,4 +624,4 @@ function Registration() {
   );
 }
 
-export default Registration;
\ No newline at end of file
+export default Registration;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { WEEKDAY_NAMES } from '../utils/attendanceAnalytics';
+import { EMPTY_SHIFT, loadSchedule, validateShift } from '../utils/shiftSchedule';
+
+// Comma-separated text <-> list, for the user ID and group assignment fields
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// Add or edit one shift
+function ShiftForm({ shift, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    ...shift,
+    userIdsText: shift.userIds.join(', '),
+    groupsText: shift.groups.join(', ')
+  });
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toggleWeekday = (day) => {
+    const weekdays = form.weekdays.includes(day)
+      ? form.weekdays.filter(d => d !== day)
+      : [...form.weekdays, day].sort();
+    setForm({ ...form, weekdays });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { userIdsText, groupsText, ...rest } = form;
+    const next = { ...rest, name: rest.name.trim(), userIds: splitList(userIdsText), groups: splitList(groupsText) };
+
+    const validationError = validateShift(next);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSaving(true);
+    const failure = await onSave(next);
+    setIsSaving(false);
+    if (failure) setError(failure);
+  };
+
+  return (
+    <form className="shift-form" onSubmit={handleSubmit}>
+      <div className="settings-inline">
+        <label>
+          Name
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., Day shift"
+            autoFocus
+          />
+        </label>
+        <label>
+          Start
+          <input
+            type="time"
+            value={form.startTime}
+            onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+          />
+        </label>
+        <label>
+          End
+          <input
+            type="time"
+            value={form.endTime}
+            onChange={(e) => setForm({ ...form, endTime: e.target.value })}
+          />
+        </label>
+        <label>
+          Grace (min)
+          <input
+            type="number"
+            min="0"
+            max="120"
+            value={form.graceMinutes}
+            onChange={(e) => setForm({ ...form, graceMinutes: parseInt(e.target.value, 10) || 0 })}
+          />
+        </label>
+      </div>
+
+      <div className="weekday-picker">
+        {WEEKDAY_NAMES.map((label, day) => (
+          <label key={label} className={form.weekdays.includes(day) ? 'selected' : ''}>
+            <input
+              type="checkbox"
+              checked={form.weekdays.includes(day)}
+              onChange={() => toggleWeekday(day)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div className="settings-inline">
+        <label>
+          People (user IDs)
+          <input
+            type="text"
+            value={form.userIdsText}
+            onChange={(e) => setForm({ ...form, userIdsText: e.target.value })}
+            placeholder="emp001, emp002"
+          />
+        </label>
+        <label>
+          Groups
+          <input
+            type="text"
+            value={form.groupsText}
+            onChange={(e) => setForm({ ...form, groupsText: e.target.value })}
+            placeholder="warehouse, night team"
+          />
+        </label>
+      </div>
+
+      <label className="settings-option">
+        <input
+          type="checkbox"
+          checked={form.isDefault}
+          onChange={(e) => setForm({ ...form, isDefault: e.target.checked })}
+        />
+        <span>
+          <strong>Default shift</strong>
+          <small>Used for everyone who isn't assigned to another shift by user ID or group.</small>
+        </span>
+      </label>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="modal-actions">
+        <button type="submit" className="btn btn-success" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save shift'}
+        </button>
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Admin > Shifts: shift definitions and holidays
+function ShiftSettings({ onChange }) {
+  const [schedule, setSchedule] = useState({ shifts: [], holidays: [], assignments: {} });
+  const [editing, setEditing] = useState(null); // shift being edited, or EMPTY_SHIFT for a new one
+  const [holiday, setHoliday] = useState({ date: '', name: '' });
+  const [message, setMessage] = useState('');
+
+  const reload = async () => {
+    try {
+      const next = await loadSchedule(true);
+      setSchedule(next);
+      onChange?.(next);
+    } catch (err) {
+      console.error('Error loading shift schedule:', err);
+      setMessage('Failed to load shifts: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadSchedule(true)
+      .then(next => {
+        if (cancelled) return;
+        setSchedule(next);
+        onChange?.(next);
+      })
+      .catch(err => {
+        console.error('Error loading shift schedule:', err);
+        if (!cancelled) setMessage('Failed to load shifts: ' + (err.response?.data?.error || err.message));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [onChange]);
+
+  const handleSaveShift = async (shift) => {
+    try {
+      if (shift.id) {
+        await api.updateShift(shift.id, shift);
+      } else {
+        await api.createShift(shift);
+      }
+      setEditing(null);
+      setMessage(`✓ Saved ${shift.name}`);
+      await reload();
+      return null;
+    } catch (err) {
+      console.error('Error saving shift:', err);
+      return err.response?.data?.error || err.message;
+    }
+  };
+
+  const handleDeleteShift = async (shift) => {
+    if (!window.confirm(`Delete ${shift.name}? People on it will fall back to the default shift.`)) return;
+
+    try {
+      await api.deleteShift(shift.id);
+      setMessage(`✓ Deleted ${shift.name}`);
+      await reload();
+    } catch (err) {
+      console.error('Error deleting shift:', err);
+      setMessage(`Failed to delete ${shift.name}: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const handleAddHoliday = async (e) => {
+    e.preventDefault();
+    if (!holiday.date || !holiday.name.trim()) {
+      setMessage('Holiday needs a date and a name');
+      return;
+    }
+
+    try {
+      await api.addHoliday(holiday.date, holiday.name.trim());
+      setHoliday({ date: '', name: '' });
+      setMessage(`✓ Added ${holiday.name.trim()} on ${holiday.date}`);
+      await reload();
+    } catch (err) {
+      console.error('Error adding holiday:', err);
+      setMessage('Failed to add holiday: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDeleteHoliday = async (entry) => {
+    try {
+      await api.deleteHoliday(entry.id);
+      setMessage(`✓ Removed ${entry.name}`);
+      await reload();
+    } catch (err) {
+      console.error('Error deleting holiday:', err);
+      setMessage('Failed to remove holiday: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const assignedCount = (shift) =>
+    Object.values(schedule.assignments).filter(shiftId => shiftId === shift.id).length;
+
+  return (
+    <div className="settings-section">
+      <h3>Shifts</h3>
+      <p className="settings-hint">
+        Check-ins are classified as on time, late or early leave against each person's shift.
+        A shift naming the person wins over one naming their group, then the default shift.
+      </p>
+
+      {message && (
+        <div className={`status-message ${message.startsWith('✓') ? 'success' : 'error'}`}>
+          {message}
+        </div>
+      )}
+
+      {editing ? (
+        <ShiftForm shift={editing} onSave={handleSaveShift} onCancel={() => setEditing(null)} />
+      ) : (
+        <button onClick={() => setEditing(EMPTY_SHIFT)} className="btn btn-secondary">
+          + Add shift
+        </button>
+      )}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Hours</th>
+              <th>Grace</th>
+              <th>Days</th>
+              <th>Assigned</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedule.shifts.map(shift => (
+              <tr key={shift.id}>
+                <td>
+                  {shift.name}
+                  {shift.isDefault && <span className="inactive-tag default-tag">Default</span>}
+                </td>
+                <td>{shift.startTime}–{shift.endTime}</td>
+                <td>{shift.graceMinutes} min</td>
+                <td>{shift.weekdays.map(day => WEEKDAY_NAMES[day]).join(' ')}</td>
+                <td title={[...shift.userIds, ...shift.groups.map(g => `group: ${g}`)].join(', ')}>
+                  {assignedCount(shift)} people
+                </td>
+                <td>
+                  <span className="row-actions">
+                    <button onClick={() => setEditing(shift)} className="btn btn-secondary">Edit</button>
+                    <button onClick={() => handleDeleteShift(shift)} className="btn btn-danger">Delete</button>
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="settings-heading">Holidays</h3>
+      <p className="settings-hint">Nobody is marked absent or late on a holiday.</p>
+      <form className="settings-inline" onSubmit={handleAddHoliday}>
+        <input
+          type="date"
+          value={holiday.date}
+          onChange={(e) => setHoliday({ ...holiday, date: e.target.value })}
+        />
+        <input
+          type="text"
+          value={holiday.name}
+          onChange={(e) => setHoliday({ ...holiday, name: e.target.value })}
+          placeholder="e.g., New Year's Day"
+        />
+        <button type="submit" className="btn btn-secondary">Add holiday</button>
+      </form>
+      <ul className="drawer-list">
+        {[...schedule.holidays].sort((a, b) => a.date.localeCompare(b.date)).map(entry => (
+          <li key={entry.id} className="holiday-row">
+            <span>{entry.date} - {entry.name}</span>
+            <button onClick={() => handleDeleteHoliday(entry)} className="row-action reject" aria-label={`Remove ${entry.name}`}>
+              ✗
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ShiftSettings;
@@ -0,0 +1,63 @@
+/**
+ * Service Worker
+ * Precaches the app shell and face-api.js weights so the client works offline.
+ *
+ * This file is not bundled: the build copies it to dist/sw.js and fills in the
+ * two placeholders below (see serviceWorkerPlugin in vite.config.js).
+ * The version is a hash of every precached file, so a new build or new model
+ * weights from download-models.sh install a fresh cache.
+ */
+
+const PRECACHE_MANIFEST = __PRECACHE_MANIFEST__;
+const CACHE_VERSION = __CACHE_VERSION__;
+
+const CACHE_PREFIX = 'face-attendance-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  // Don't skip waiting: the page asks the user before switching versions
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_MANIFEST))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // API calls and other origins always go to the network (the check-in queue handles offline)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // Page loads: network first so deploys show up, cached shell when offline (client-side routes included)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html', { cacheName: CACHE_NAME }))
+    );
+    return;
+  }
+
+  // Hashed assets and model weights never change under the same URL and version: cache first
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,94 @@
+/**
+ * Account Validation
+ * Email, password and role checks for login accounts created at registration
+ */
+
+export const ACCOUNT_ROLES = ['user', 'admin'];
+
+export const PASSWORD_RULES = {
+  minLength: 8,
+  minScore: 3,            // Weakest strength accepted for a password chosen by hand
+  tempPasswordLength: 12
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// No 0/O, 1/l/I: temporary passwords are often read out or copied by hand
+const TEMP_PASSWORD_SETS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnpqrstuvwxyz',
+  '23456789',
+  '!@#$%*?'
+];
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+export const isValidEmail = (email) => EMAIL_PATTERN.test(email.trim());
+
+/**
+ * Score a password from 0 (very weak) to 4 (strong)
+ * @returns {Object} - { score, label, issues } where issues lists what would make it stronger
+ */
+export const assessPasswordStrength = (password) => {
+  const issues = [];
+  if (password.length < PASSWORD_RULES.minLength) issues.push(`at least ${PASSWORD_RULES.minLength} characters`);
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) issues.push('upper and lower case letters');
+  if (!/\d/.test(password)) issues.push('a number');
+  if (!/[^A-Za-z0-9]/.test(password)) issues.push('a symbol');
+
+  let score = 4 - issues.length;
+  if (password.length < PASSWORD_RULES.minLength) score = Math.min(score, 1);
+  if (password.length >= 14 && score < 4) score++;
+  score = Math.max(0, score);
+
+  return { score, label: STRENGTH_LABELS[score], issues };
+};
+
+/**
+ * Random password with every character class, for invited accounts
+ * Uses crypto.getRandomValues; rejection sampling keeps every character equally likely.
+ */
+export const generateTemporaryPassword = (length = PASSWORD_RULES.tempPasswordLength) => {
+  const randomIndex = (max) => {
+    const limit = 256 - (256 % max);
+    const byte = new Uint8Array(1);
+    do {
+      crypto.getRandomValues(byte);
+    } while (byte[0] >= limit);
+    return byte[0] % max;
+  };
+
+  const all = TEMP_PASSWORD_SETS.join('');
+  const chars = TEMP_PASSWORD_SETS.map(set => set[randomIndex(set.length)]);
+  while (chars.length < length) {
+    chars.push(all[randomIndex(all.length)]);
+  }
+
+  // Shuffle so the guaranteed characters aren't always at the start
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = randomIndex(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+/**
+ * Validate the optional account fields of the registration form
+ * account: { enabled, email, password, role, invite }
+ * @returns {string|null} - Error message, or null when the account can be created
+ */
+export const validateAccount = (account) => {
+  if (!account.enabled) return null;
+
+  if (!account.email.trim()) return 'Email is required for a login account';
+  if (!isValidEmail(account.email)) return 'Email address is not valid';
+  if (!ACCOUNT_ROLES.includes(account.role)) return 'Choose a role for the account';
+
+  if (!account.invite) {
+    const strength = assessPasswordStrength(account.password);
+    if (strength.score < PASSWORD_RULES.minScore) {
+      return `Password is too weak. Add ${strength.issues.join(', ')}`;
+    }
+  }
+  return null;
+};
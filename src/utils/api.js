@@ -1,4 +1,12 @@
 import axios from 'axios';
+import {
+  QUEUE_CONFIG,
+  createIdempotencyKey,
+  backoffDelay,
+  getQueuedCheckIns,
+  saveQueuedCheckIn,
+  removeQueuedCheckIn
+} from './offlineQueue';
 
 /**
  * API Utility
@@ -93,6 +101,14 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Average the sample embeddings into the single embedding older servers read
+ */
+const meanEmbedding = (samples) => {
+  const embeddings = samples.map(sample => sample.embedding);
+  return embeddings[0].map((_, i) => embeddings.reduce((sum, e) => sum + e[i], 0) / embeddings.length);
+};
+
 /**
  * API Methods
  */
@@ -105,16 +121,80 @@ export const api = {
     apiClient.get('/api/verify'),
 
   // Registration
-  register: (userId, name, embedding, email = null, password = null, role = 'user') =>
-    apiClient.post('/api/register', { userId, name, embedding, email, password, role }),
+  // samples: [{ embedding, pose, angles, quality, checks, capturedAt }] - one per captured frame
+  // embedding (the mean of the samples) is still sent for servers that don't read samples yet
+  // email/password/role create a login account; without an email only the face profile is created
+  // invite: the password is temporary; the server emails the invitation and forces a change at first login
+  // 409 { error: 'Email already registered', existingUser, existingUserId } when the email has an account
+  register: (userId, name, samples, email = null, password = null, role = 'user', invite = false) =>
+    apiClient.post('/api/register', {
+      userId, name, embedding: meanEmbedding(samples), samples, email, password, role, invite
+    }),
+
+  // Append face samples to an existing person (e.g. "glasses", "new haircut")
+  addSamples: (id, samples, label = null) =>
+    apiClient.post(`/api/people/${id}/samples`, { samples, label }),
 
   // Attendance
-  markAttendance: (embedding, livenessScore) =>
-    apiClient.post('/api/mark-attendance', { embedding, livenessScore }),
+  // Matching creates a provisional record: { provisionalToken, expiresAt, ... }
+  // It only counts once confirmed, and expires on the server if never confirmed
+  // options: { idempotencyKey, deviceTimestamp, localMatch, punchType, holdForReview }
+  // idempotencyKey makes retries safe: the server returns the original record for a repeated key
+  // localMatch ({ userId, distance }) is the on-device match, recorded by the server for audit
+  // punchType: 'in' | 'out' | 'auto'; auto is the opposite of the person's last punch that day
+  // holdForReview: nobody is there to confirm (a replayed offline check-in), so the server keeps the
+  // provisional record without expiry and lists it in getPendingMatches for an admin to confirm or reject
+  // The response carries the resolved punchType
+  markAttendance: (embedding, livenessScore, livenessBreakdown = null, options = {}) => {
+    const {
+      idempotencyKey = null,
+      deviceTimestamp = null,
+      localMatch = null,
+      punchType = 'auto',
+      holdForReview = false
+    } = options;
+    return apiClient.post(
+      '/api/mark-attendance',
+      { embedding, livenessScore, livenessBreakdown, deviceTimestamp, localMatch, punchType, holdForReview },
+      idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined
+    );
+  },
+
+  confirmAttendance: (provisionalToken) =>
+    apiClient.post('/api/attendance/confirm', { provisionalToken }),
+
+  // Rejecting removes the provisional record and logs a false-match event for review
+  rejectAttendance: (provisionalToken, reason = null) =>
+    apiClient.post('/api/attendance/reject', { provisionalToken, reason }),
+
+  getFalseMatches: () =>
+    apiClient.get('/api/false-matches'),
+
+  // Matches held for review, resolved with confirmAttendance / rejectAttendance
+  // Responds with [{ provisionalToken, userId, name, confidence, punchType, deviceTimestamp, localMatch }]
+  getPendingMatches: () =>
+    apiClient.get('/api/attendance/pending-review'),
+
+  // Group check-in: faces = [{ embedding, livenessScore, livenessBreakdown }]
+  // Responds with { results: [{ index, success, userId, name, confidence, distance, provisionalToken, expiresAt, error }] }
+  markAttendanceBatch: (faces) =>
+    apiClient.post('/api/mark-attendance/batch', { faces }),
 
   getAttendance: () =>
     apiClient.get('/api/attendance'),
 
+  // Close a session left open by a missing check-out: records an 'out' punch at checkOutAt
+  // The note is stored with the record as an audit trail of who closed it and why
+  closeSession: (checkInId, checkOutAt, note) =>
+    apiClient.post(`/api/attendance/${checkInId}/close`, { checkOutAt, note }),
+
+  // Paginated attendance log
+  // params: { page, pageSize, sort, order, search, startDate, endDate, userId }
+  // Responds with { items, total, page, pageSize }; search matches name or user ID
+  queryAttendance: (params) =>
+    apiClient.get('/api/attendance', { params }),
+
+  // Every record in the range, unpaginated, with confidence and the device the check-in came from
   exportAttendance: (startDate = null, endDate = null) => {
     const params = {};
     if (startDate) params.startDate = startDate;
@@ -122,13 +202,88 @@ export const api = {
     return apiClient.get('/api/export-attendance', { params });
   },
 
+  // Self-service: the logged-in user's own attendance, available to every role
+  // month: 'YYYY-MM'. Responds with { month, days: [{ date, status, checkIns: [isoTime] }] }
+  // status: 'present' | 'late' | 'absent' | 'off' (not a working day); days after today are omitted
+  getMyAttendance: (month) =>
+    apiClient.get('/api/me/attendance', { params: { month } }),
+
+  getMyCorrections: () =>
+    apiClient.get('/api/me/corrections'),
+
+  // Ask an admin to record a check-in that was missed; time is 'HH:MM' on that date
+  requestCorrection: (date, time, reason) =>
+    apiClient.post('/api/me/corrections', { date, time, reason }),
+
+  // Admin approval queue for correction requests
+  // status: 'pending' | 'approved' | 'rejected' | null for all
+  getCorrections: (status = 'pending') =>
+    apiClient.get('/api/corrections', { params: status ? { status } : {} }),
+
+  // Approving creates the attendance record; note is shown to the requester
+  reviewCorrection: (id, approved, note = null) =>
+    apiClient.post(`/api/corrections/${id}/${approved ? 'approve' : 'reject'}`, { note }),
+
+  // Shift schedule, readable by every signed-in user
+  // Responds with { shifts, holidays, assignments }
+  // shift: { id, name, startTime, endTime, graceMinutes, weekdays, userIds, groups, isDefault }
+  // holiday: { id, date, name }; assignments: { [userId]: shiftId }, resolved on the server
+  // (a shift naming the person wins over one naming their group, then the default shift)
+  getSchedule: () =>
+    apiClient.get('/api/schedule'),
+
+  createShift: (shift) =>
+    apiClient.post('/api/shifts', shift),
+
+  updateShift: (id, shift) =>
+    apiClient.put(`/api/shifts/${id}`, shift),
+
+  deleteShift: (id) =>
+    apiClient.delete(`/api/shifts/${id}`),
+
+  addHoliday: (date, name) =>
+    apiClient.post('/api/holidays', { date, name }),
+
+  deleteHoliday: (id) =>
+    apiClient.delete(`/api/holidays/${id}`),
+
+  // Enrolled embeddings for on-device matching
+  // Responds 304 when nothing changed, otherwise
+  // { version, full, people: [{ userId, name, embeddings }], removed: [userId] }
+  // with only the changes since `since` unless full is true
+  getGallery: (siteId = null, since = null, etag = null) => {
+    const params = {};
+    if (siteId) params.siteId = siteId;
+    if (since) params.since = since;
+    return apiClient.get('/api/gallery', {
+      params,
+      headers: etag ? { 'If-None-Match': etag } : {},
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    });
+  },
+
   // People
   getPeople: () =>
     apiClient.get('/api/people'),
 
+  // Paginated people list, same params and response shape as queryAttendance
+  queryPeople: (params) =>
+    apiClient.get('/api/people', { params }),
+
   getPerson: (id) =>
     apiClient.get(`/api/people/${id}`),
 
+  // changes: any of { name, email, role, active, group }
+  updatePerson: (id, changes) =>
+    apiClient.patch(`/api/people/${id}`, changes),
+
+  getPersonAttendance: (id, limit = 10) =>
+    apiClient.get(`/api/people/${id}/attendance`, { params: { limit } }),
+
+  // Re-enrolment: replaces every stored sample of the person
+  replaceSamples: (id, samples) =>
+    apiClient.put(`/api/people/${id}/samples`, { samples }),
+
   deletePerson: (id) =>
     apiClient.delete(`/api/people/${id}`),
 
@@ -137,4 +292,173 @@ export const api = {
     apiClient.get('/api/health'),
 };
 
+/**
+ * Check if a request failed because the server could not be reached
+ * (no response, or a 5xx), as opposed to being refused
+ */
+export const isRetryableError = (err) => {
+  return !err.response || err.response.status >= 500;
+};
+
+/**
+ * Mark attendance, queueing the check-in on this device if the server is unreachable
+ * With awaitConfirmation a queued check-in is held as 'needs_confirmation' and not sent until
+ * releaseQueuedCheckIn, so the sync can't replay it while the person is still deciding.
+ * @returns {Object} - { queued: false, response } or { queued: true, item }
+ */
+export const submitCheckIn = async (
+  embedding,
+  livenessScore,
+  livenessBreakdown = null,
+  localMatch = null,
+  punchType = 'auto',
+  awaitConfirmation = false
+) => {
+  const id = createIdempotencyKey();
+  const deviceTimestamp = new Date().toISOString();
+
+  try {
+    const response = await api.markAttendance(embedding, livenessScore, livenessBreakdown, {
+      idempotencyKey: id,
+      deviceTimestamp,
+      localMatch,
+      punchType
+    });
+    return { queued: false, response };
+  } catch (err) {
+    if (!isRetryableError(err)) throw err;
+
+    const item = await saveQueuedCheckIn({
+      id,
+      embedding,
+      livenessScore,
+      livenessBreakdown,
+      localMatch,
+      punchType,
+      deviceTimestamp,
+      status: awaitConfirmation ? 'needs_confirmation' : 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: err.message,
+      result: null
+    });
+    return { queued: true, item };
+  }
+};
+
+let isSyncing = false;
+
+/**
+ * Replay queued check-ins that are due
+ * Nobody is in front of the camera any more to confirm the match, so the server holds
+ * each one for an admin to confirm or reject (Admin > False Matches).
+ * Stops at the first unreachable-server error and backs off that item.
+ * @param {boolean} force - Ignore the backoff schedule (e.g. "Sync now" or back online)
+ */
+export const syncCheckInQueue = async (force = false) => {
+  if (isSyncing || !navigator.onLine) return;
+  isSyncing = true;
+
+  try {
+    const items = await getQueuedCheckIns();
+    const due = items.filter(item =>
+      item.status === 'pending' && (force || item.nextAttemptAt <= Date.now())
+    );
+
+    for (const item of due) {
+      await saveQueuedCheckIn({ ...item, status: 'syncing' });
+
+      try {
+        const response = await api.markAttendance(item.embedding, item.livenessScore, item.livenessBreakdown, {
+          idempotencyKey: item.id,
+          deviceTimestamp: item.deviceTimestamp,
+          localMatch: item.localMatch,
+          punchType: item.punchType,
+          holdForReview: true
+        });
+        const data = response.data;
+
+        if (data.success) {
+          await saveQueuedCheckIn({
+            ...item,
+            status: 'synced',
+            attempts: item.attempts + 1,
+            lastError: null,
+            result: { name: data.name, userId: data.userId, confidence: data.confidence, punchType: data.punchType },
+            syncedAt: new Date().toISOString()
+          });
+        } else {
+          await saveQueuedCheckIn({
+            ...item,
+            status: 'failed',
+            attempts: item.attempts + 1,
+            lastError: data.error || 'No match found'
+          });
+        }
+      } catch (err) {
+        const attempts = item.attempts + 1;
+
+        if (isRetryableError(err)) {
+          await saveQueuedCheckIn({
+            ...item,
+            status: 'pending',
+            attempts,
+            nextAttemptAt: Date.now() + backoffDelay(attempts),
+            lastError: err.message
+          });
+          break;
+        }
+
+        await saveQueuedCheckIn({
+          ...item,
+          status: 'failed',
+          attempts,
+          lastError: err.response?.data?.error || err.message
+        });
+      }
+    }
+  } catch (err) {
+    console.error('Error syncing offline queue:', err);
+  } finally {
+    isSyncing = false;
+  }
+};
+
+/**
+ * Put a failed check-in back in the queue
+ */
+export const retryQueuedCheckIn = async (item) => {
+  await saveQueuedCheckIn({ ...item, status: 'pending', nextAttemptAt: Date.now() });
+  await syncCheckInQueue(true);
+};
+
+/**
+ * Sync now, when the browser comes back online, and on a timer
+ * @returns {Function} - Stops the background sync
+ */
+export const startCheckInSync = () => {
+  const handleOnline = () => syncCheckInQueue(true);
+  window.addEventListener('online', handleOnline);
+  const interval = setInterval(() => syncCheckInQueue(), QUEUE_CONFIG.syncIntervalMs);
+
+  // Items left 'syncing' by a closed tab are retried; ones it never got confirmed are dropped
+  const abandonedBefore = new Date(Date.now() - QUEUE_CONFIG.confirmWindowMs).toISOString();
+  getQueuedCheckIns()
+    .then(items => Promise.all([
+      ...items
+        .filter(item => item.status === 'syncing')
+        .map(item => saveQueuedCheckIn({ ...item, status: 'pending' })),
+      ...items
+        .filter(item => item.status === 'needs_confirmation' && item.deviceTimestamp < abandonedBefore)
+        .map(item => removeQueuedCheckIn(item.id))
+    ]))
+    .then(() => syncCheckInQueue())
+    .catch(err => console.error('Error reading offline queue:', err));
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    clearInterval(interval);
+  };
+};
+
 export default api;
@@ -0,0 +1,203 @@
+/**
+ * Attendance Analytics
+ * Daily counts, arrival times, attendance rates, late arrivals and absentees,
+ * computed from attendance records classified against the shift schedule
+ */
+
+const SETTINGS_STORAGE_KEY = 'analyticsSettings';
+
+// Stand-in shift for people with none, when no default shift is set up in Admin > Shifts
+export const DEFAULT_ANALYTICS_SETTINGS = {
+  startTime: import.meta.env.VITE_WORKDAY_START || '09:00',   // Arrivals after this (plus grace) are late
+  graceMinutes: 5,
+  workdays: [1, 2, 3, 4, 5]                                   // Days absentees are counted on (0 = Sunday)
+};
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const ARRIVAL_BUCKET_MINUTES = 15;
+
+// Day statuses on which the person was expected at work
+const WORKING_STATUSES = ['on_time', 'late', 'early_leave', 'absent'];
+
+/**
+ * Local YYYY-MM-DD, so days line up with the local calendar rather than UTC
+ */
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const zoneFormatters = new Map();
+
+/**
+ * Calendar date and minute of the day of an instant in a timezone (this device's when empty)
+ * @param {string} timeZone - IANA name such as Europe/Berlin
+ * @returns {Object} - { dateKey: 'YYYY-MM-DD', minutes }
+ */
+export const toZonedParts = (at, timeZone = '') => {
+  const date = new Date(at);
+  if (!timeZone) return { dateKey: toDateKey(date), minutes: date.getHours() * 60 + date.getMinutes() };
+
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const p = Object.fromEntries(
+    zoneFormatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return { dateKey: `${p.year}-${p.month}-${p.day}`, minutes: Number(p.hour) * 60 + Number(p.minute) };
+};
+
+const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Late-arrival settings for this device (admin setting, falling back to VITE_WORKDAY_START)
+ */
+export const getAnalyticsSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    return { ...DEFAULT_ANALYTICS_SETTINGS, ...stored };
+  } catch (err) {
+    console.error('Error parsing analytics settings:', err);
+    return { ...DEFAULT_ANALYTICS_SETTINGS };
+  }
+};
+
+export const setAnalyticsSettings = (changes) => {
+  const settings = { ...getAnalyticsSettings(), ...changes };
+
+  if (!/^\d{2}:\d{2}$/.test(settings.startTime)) {
+    throw new Error('Start time must be HH:MM');
+  }
+  if (!(settings.graceMinutes >= 0 && settings.graceMinutes <= 120)) {
+    throw new Error('Grace period must be between 0 and 120 minutes');
+  }
+
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+/**
+ * The schedule with a default shift built from the analytics settings, when it has none
+ * Sites that haven't set up shifts still get late and absence figures; people on a shift keep theirs.
+ */
+export const withFallbackShift = (schedule, settings = getAnalyticsSettings()) => {
+  if (schedule.shifts.some(shift => shift.isDefault)) return schedule;
+
+  const fallback = {
+    id: 'analytics-start-time',
+    name: `Starts ${settings.startTime}`,
+    startTime: settings.startTime,
+    endTime: settings.startTime,   // No end time, so leaving is never judged early
+    graceMinutes: settings.graceMinutes,
+    weekdays: settings.workdays,
+    userIds: [],
+    groups: [],
+    isDefault: true
+  };
+  return { ...schedule, shifts: [...schedule.shifts, fallback] };
+};
+
+/**
+ * Every date from start to end inclusive, as local date keys
+ */
+export const eachDate = (startDate, endDate) => {
+  const dates = [];
+  const cursor = new Date(`${startDate}T00:00`);
+  const last = new Date(`${endDate}T00:00`);
+  while (cursor <= last) {
+    dates.push(toDateKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+};
+
+/**
+ * Compute every analytics view for a date range
+ * Lateness and absence come from the shift schedule (see classifyDays in shiftSchedule.js),
+ * so the charts agree with the attendance table and exports.
+ * @param {Array} records - Attendance records ({ user_id, matched_name, created_at }), for the heatmap
+ * @param {Array} days - classifyDays() result for the same range
+ * @param {Object} range - { startDate, endDate } as YYYY-MM-DD
+ * @returns {Object} - { daily, arrivals, perPerson, late, absentees, heatmap }
+ */
+export const computeAnalytics = (records, days, range) => {
+  const heatmap = WEEKDAY_NAMES.map(() => new Array(24).fill(0));
+  records.forEach(record => {
+    const at = new Date(record.created_at);
+    heatmap[at.getDay()][at.getHours()]++;
+  });
+
+  // Days someone checked in, including days off; firstCheckIn is their arrival
+  const attended = days.filter(day => day.firstCheckIn);
+
+  const dailyCounts = new Map(eachDate(range.startDate, range.endDate).map(date => [date, 0]));
+  attended.forEach(day => {
+    if (dailyCounts.has(day.date)) dailyCounts.set(day.date, dailyCounts.get(day.date) + 1);
+  });
+  const daily = Array.from(dailyCounts, ([date, count]) => ({ date, count }));
+
+  // Arrival times in 15 minute buckets, only covering the hours people actually arrive
+  // A bucket is marked late when most arrivals in it were late for their own shift
+  const arrivalMinutes = attended.map(day => ({
+    minutes: day.firstCheckIn.getHours() * 60 + day.firstCheckIn.getMinutes(),
+    late: day.minutesLate > 0
+  }));
+  const arrivalHistogram = [];
+  if (arrivalMinutes.length > 0) {
+    const toBucket = (minutes) => Math.floor(minutes / ARRIVAL_BUCKET_MINUTES) * ARRIVAL_BUCKET_MINUTES;
+    const first = toBucket(arrivalMinutes.reduce((min, a) => Math.min(min, a.minutes), Infinity));
+    const last = toBucket(arrivalMinutes.reduce((max, a) => Math.max(max, a.minutes), -Infinity));
+    for (let bucket = first; bucket <= last; bucket += ARRIVAL_BUCKET_MINUTES) {
+      arrivalHistogram.push({ time: minutesToTime(bucket), count: 0, lateCount: 0 });
+    }
+    arrivalMinutes.forEach(arrival => {
+      const bucket = arrivalHistogram[Math.floor((arrival.minutes - first) / ARRIVAL_BUCKET_MINUTES)];
+      bucket.count++;
+      if (arrival.late) bucket.lateCount++;
+    });
+  }
+  const arrivals = arrivalHistogram.map(({ time, count, lateCount }) => ({ time, count, late: lateCount * 2 > count }));
+
+  const late = days
+    .filter(day => day.minutesLate > 0)
+    .map(day => ({
+      date: day.date,
+      userId: day.userId,
+      name: day.name,
+      time: minutesToTime(day.firstCheckIn.getHours() * 60 + day.firstCheckIn.getMinutes()),
+      minutesLate: day.minutesLate
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.minutesLate - a.minutesLate);
+
+  // Working days are the ones each person's shift expects them in
+  const perUser = new Map();
+  days.filter(day => WORKING_STATUSES.includes(day.status)).forEach(day => {
+    const entry = perUser.get(day.userId) || { userId: day.userId, name: day.name, workdays: 0, daysPresent: 0, lateDays: 0 };
+    entry.workdays++;
+    if (day.status !== 'absent') entry.daysPresent++;
+    if (day.minutesLate > 0) entry.lateDays++;
+    perUser.set(day.userId, entry);
+  });
+
+  const perPerson = Array.from(perUser.values())
+    .map(entry => ({ ...entry, rate: entry.daysPresent / entry.workdays }))
+    .sort((a, b) => a.rate - b.rate || a.name.localeCompare(b.name));
+
+  const absentees = days
+    .filter(day => day.status === 'absent')
+    .map(day => ({ date: day.date, userId: day.userId, name: day.name }))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.name.localeCompare(b.name));
+
+  return { daily, arrivals, perPerson, late, absentees, heatmap };
+};
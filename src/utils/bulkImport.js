@@ -0,0 +1,235 @@
+import { parseCSV } from './csv';
+import { readZip } from './zip';
+import { ACCOUNT_ROLES, isValidEmail } from './accountValidation';
+import { detectAllFacesWithDetails, descriptorDistance } from './faceDetection';
+import { assessFaceQuality, captureFaceThumbnail } from './faceQuality';
+import { DEFAULT_MATCH_THRESHOLD, matchLocally } from './localGallery';
+
+/**
+ * Bulk Import
+ * Enrols many people at once from a CSV of details and a ZIP or folder of photos
+ * named by user ID, instead of one live camera session each
+ */
+
+export const IMPORT_BATCH_SIZE = 10;   // Registrations sent to the server at a time
+
+const PROGRESS_STORAGE_KEY = 'bulkImportProgress';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'bmp', 'gif'];
+
+// Accepted spellings of each CSV column, compared lower-case without spaces or underscores
+const HEADER_ALIASES = {
+  userId: ['userid', 'id', 'employeeid'],
+  name: ['name', 'fullname'],
+  email: ['email', 'emailaddress'],
+  role: ['role']
+};
+
+const extensionOf = (filename) => filename.split('.').pop().toLowerCase();
+
+export const isImageFile = (filename) => IMAGE_EXTENSIONS.includes(extensionOf(filename));
+
+// "photos/EMP001.jpg" -> "emp001"
+const photoKey = (filename) => filename.split('/').pop().replace(/\.[^.]+$/, '').trim().toLowerCase();
+
+/**
+ * Read the people CSV: userId and name are required, email and role optional
+ * Problems with a row are recorded on it rather than dropping it, so the review shows them.
+ * @returns {Array} - [{ line, userId, name, email, role, error }]
+ */
+export const parsePeopleCSV = (text) => {
+  const [headerRow, ...dataRows] = parseCSV(text);
+  if (!headerRow) throw new Error('The CSV file is empty');
+
+  const normalised = headerRow.map(h => h.trim().toLowerCase().replace(/[\s_-]/g, ''));
+  const columns = Object.fromEntries(
+    Object.entries(HEADER_ALIASES).map(([field, aliases]) => [field, normalised.findIndex(h => aliases.includes(h))])
+  );
+  if (columns.userId < 0 || columns.name < 0) {
+    throw new Error('The CSV needs a header row with userId and name columns (email and role are optional)');
+  }
+
+  const cell = (row, field) => (columns[field] >= 0 ? (row[columns[field]] || '').trim() : '');
+  const seen = new Set();
+
+  return dataRows.map((row, index) => {
+    const entry = {
+      line: index + 2,
+      userId: cell(row, 'userId'),
+      name: cell(row, 'name'),
+      email: cell(row, 'email'),
+      role: cell(row, 'role').toLowerCase() || 'user',
+      error: null
+    };
+
+    const key = entry.userId.toLowerCase();
+    if (!entry.userId) entry.error = 'Missing user ID';
+    else if (!entry.name) entry.error = 'Missing name';
+    else if (seen.has(key)) entry.error = `User ID ${entry.userId} appears more than once in the CSV`;
+    else if (entry.email && !isValidEmail(entry.email)) entry.error = `Invalid email: ${entry.email}`;
+    else if (!ACCOUNT_ROLES.includes(entry.role)) entry.error = `Unknown role: ${entry.role}`;
+    seen.add(key);
+
+    return entry;
+  });
+};
+
+/**
+ * Index uploaded photos by the user ID in their file name
+ * Accepts loose image files (including a picked folder) and ZIP archives of them.
+ * @param {FileList|Array<File>} files
+ * @returns {Object} - { photos: Map(userId lower-case -> [{ name, read() }]), skipped: [filename] }
+ */
+export const collectPhotos = async (files) => {
+  const photos = new Map();
+  const skipped = [];
+
+  const add = (name, read) => {
+    if (!isImageFile(name)) {
+      skipped.push(name);
+      return;
+    }
+    const key = photoKey(name);
+    if (!photos.has(key)) photos.set(key, []);
+    photos.get(key).push({ name, read });
+  };
+
+  for (const file of Array.from(files)) {
+    if (extensionOf(file.name) === 'zip') {
+      const entries = await readZip(file);
+      entries.forEach(entry => add(entry.path, entry.read));
+    } else {
+      add(file.webkitRelativePath || file.name, async () => file);
+    }
+  }
+
+  return { photos, skipped };
+};
+
+const loadImage = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Not a readable image'));
+  };
+  img.src = url;
+});
+
+/**
+ * Detect the face in one photo and turn it into an enrolment sample
+ * Every face is detected, not just the best one, so group photos are caught.
+ * @returns {Object} - { sample, thumbnail, warning } or { error, thumbnail }
+ */
+export const analysePhoto = async (blob) => {
+  let img;
+  try {
+    img = await loadImage(blob);
+  } catch (err) {
+    return { error: err.message, thumbnail: null };
+  }
+
+  const faces = await detectAllFacesWithDetails(img);
+  if (faces.length === 0) return { error: 'No face found', thumbnail: null };
+  if (faces.length > 1) {
+    return { error: `${faces.length} faces found; use a photo of one person`, thumbnail: captureFaceThumbnail(img, faces[0].box) };
+  }
+
+  const face = faces[0];
+  const quality = assessFaceQuality(img, face);
+  return {
+    thumbnail: captureFaceThumbnail(img, face.box),
+    warning: quality.passed ? null : quality.reason,
+    sample: {
+      descriptor: face.descriptor,
+      poseId: 'straight',
+      pose: face.pose,
+      quality,
+      capturedAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Find faces that look like someone else in the import, or someone already enrolled
+ * Within the import, both rows are flagged. The enrolled check needs the on-device gallery
+ * (see localGallery.js); without it the server still rejects duplicates at registration.
+ * @param {Array} rows - Rows with sample.descriptor for the ones that analysed cleanly
+ * @returns {Map} - row index -> error message
+ */
+export const findDuplicateFaces = async (rows) => {
+  const duplicates = new Map();
+  const withFaces = rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => row.sample && !row.error);
+
+  withFaces.forEach((a, i) => {
+    withFaces.slice(i + 1).forEach(b => {
+      if (descriptorDistance(a.row.sample.descriptor, b.row.sample.descriptor) < DEFAULT_MATCH_THRESHOLD) {
+        if (!duplicates.has(a.index)) duplicates.set(a.index, `Same face as ${b.row.name} (${b.row.userId})`);
+        if (!duplicates.has(b.index)) duplicates.set(b.index, `Same face as ${a.row.name} (${a.row.userId})`);
+      }
+    });
+  });
+
+  for (const { row, index } of withFaces) {
+    if (duplicates.has(index)) continue;
+    const match = await matchLocally(row.sample.descriptor).catch(() => null);
+    if (match?.matched && match.userId !== row.userId) {
+      duplicates.set(index, `Face already registered to ${match.name || match.userId} (${match.userId})`);
+    }
+  }
+
+  return duplicates;
+};
+
+/**
+ * Fingerprint of the people CSV, so progress from one import is never applied to another
+ * @returns {Promise<string>} - SHA-256 of the file's text, as hex
+ */
+export const hashImportFile = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// { [csvHash]: [userId] } for every import that was interrupted
+const getAllImportProgress = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    // Older versions kept one list for whichever import ran last; it can't be matched to a file
+    return stored && !Array.isArray(stored) ? stored : {};
+  } catch (err) {
+    console.error('Error parsing import progress:', err);
+    return {};
+  }
+};
+
+/**
+ * User IDs registered by an earlier, interrupted import of the same CSV, so a re-run skips them
+ */
+export const getImportProgress = (csvHash) => {
+  const ids = getAllImportProgress()[csvHash];
+  return new Set(Array.isArray(ids) ? ids : []);
+};
+
+export const saveImportProgress = (csvHash, userIds) => {
+  const all = getAllImportProgress();
+  all[csvHash] = Array.from(userIds);
+  localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(all));
+};
+
+export const clearImportProgress = (csvHash) => {
+  const all = getAllImportProgress();
+  delete all[csvHash];
+  if (Object.keys(all).length > 0) {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(all));
+  } else {
+    localStorage.removeItem(PROGRESS_STORAGE_KEY);
+  }
+};
@@ -0,0 +1,157 @@
+/**
+ * Charts
+ * Small canvas bar charts and heatmaps, drawn locally so they can be saved as PNG
+ */
+
+const FONT = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const TITLE_FONT = '600 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const TEXT_COLOR = '#4a5568';
+const GRID_COLOR = '#e2e8f0';
+const PADDING = { top: 36, right: 16, bottom: 48, left: 44 };
+
+/**
+ * Size the canvas backing store for the screen's pixel ratio and paint a white background
+ * (a transparent PNG looks broken in most image viewers)
+ */
+const prepareCanvas = (canvas, title) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 600;
+  const height = canvas.clientHeight || 260;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = '#2d3748';
+  ctx.font = TITLE_FONT;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(title, 8, 8);
+
+  ctx.font = FONT;
+  return { ctx, width, height };
+};
+
+// Round the axis maximum up so each of the 5 grid steps is a whole, readable number
+// (counts never get labels like 1.6 check-ins)
+const niceMax = (value) => {
+  if (value <= 5) return 5;
+  const rough = value / 5;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const steps = magnitude >= 10 ? [1, 2, 2.5, 3, 4, 5, 6, 8, 10] : [1, 2, 3, 4, 5, 6, 8, 10];
+  return steps.find(s => s * magnitude >= rough) * magnitude * 5;
+};
+
+/**
+ * Vertical bar chart
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} chart - { title, bars: [{ label, value, color }], color, formatValue }
+ */
+export const drawBarChart = (canvas, { title, bars, color = '#667eea', formatValue = String }) => {
+  const { ctx, width, height } = prepareCanvas(canvas, title);
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  if (bars.length === 0) {
+    ctx.fillStyle = '#a0aec0';
+    ctx.textAlign = 'center';
+    ctx.fillText('No data for this range', width / 2, height / 2);
+    return;
+  }
+
+  const max = niceMax(bars.reduce((m, bar) => Math.max(m, bar.value), 0));
+
+  // Horizontal grid lines with axis labels
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i <= 5; i++) {
+    const y = PADDING.top + plotHeight - (plotHeight * i) / 5;
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(PADDING.left, y);
+    ctx.lineTo(width - PADDING.right, y);
+    ctx.stroke();
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.fillText(formatValue((max * i) / 5), PADDING.left - 6, y);
+  }
+
+  const slot = plotWidth / bars.length;
+  const barWidth = Math.max(1, slot * 0.75);
+  // Skip labels so they never overlap
+  const labelEvery = Math.max(1, Math.ceil(bars.length / Math.floor(plotWidth / 48)));
+
+  bars.forEach((bar, i) => {
+    const x = PADDING.left + i * slot + (slot - barWidth) / 2;
+    const barHeight = (bar.value / max) * plotHeight;
+    ctx.fillStyle = bar.color || color;
+    ctx.fillRect(x, PADDING.top + plotHeight - barHeight, barWidth, barHeight);
+
+    if (i % labelEvery === 0) {
+      ctx.save();
+      ctx.translate(x + barWidth / 2, PADDING.top + plotHeight + 6);
+      ctx.rotate(-Math.PI / 6);
+      ctx.fillStyle = TEXT_COLOR;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillText(bar.label, 0, 0);
+      ctx.restore();
+    }
+  });
+};
+
+/**
+ * Grid heatmap, darker cells for higher values
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} chart - { title, rowLabels, columnLabels, values: number[][] }
+ */
+export const drawHeatmap = (canvas, { title, rowLabels, columnLabels, values }) => {
+  const { ctx, width, height } = prepareCanvas(canvas, title);
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom + 24;
+  const cellWidth = plotWidth / columnLabels.length;
+  const cellHeight = plotHeight / rowLabels.length;
+  const max = values.reduce((m, row) => row.reduce((rm, v) => Math.max(rm, v), m), 0);
+
+  values.forEach((row, r) => {
+    row.forEach((value, c) => {
+      const intensity = max > 0 ? value / max : 0;
+      ctx.fillStyle = value === 0 ? '#f7fafc' : `rgba(102, 126, 234, ${0.15 + intensity * 0.85})`;
+      ctx.fillRect(PADDING.left + c * cellWidth + 1, PADDING.top + r * cellHeight + 1, cellWidth - 2, cellHeight - 2);
+    });
+  });
+
+  ctx.fillStyle = TEXT_COLOR;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  rowLabels.forEach((label, r) => {
+    ctx.fillText(label, PADDING.left - 6, PADDING.top + r * cellHeight + cellHeight / 2);
+  });
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const labelEvery = Math.max(1, Math.ceil(columnLabels.length / Math.floor(plotWidth / 28)));
+  columnLabels.forEach((label, c) => {
+    if (c % labelEvery === 0) {
+      ctx.fillText(label, PADDING.left + c * cellWidth + cellWidth / 2, PADDING.top + plotHeight + 4);
+    }
+  });
+};
+
+/**
+ * Save a canvas as a PNG file
+ */
+export const downloadCanvasPng = (canvas, filename) => {
+  canvas.toBlob(blob => {
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(downloadUrl);
+  }, 'image/png');
+};
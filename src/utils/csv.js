@@ -0,0 +1,98 @@
+/**
+ * CSV
+ * Building and downloading CSV files that open cleanly in Excel, and reading uploaded ones
+ */
+
+// Add BOM for proper Excel UTF-8 encoding
+const BOM = '\uFEFF';
+
+/**
+ * Quote a value if it contains a comma, quote, or newline
+ */
+export const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const stringValue = String(value);
+  if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+};
+
+/**
+ * Join a header row and data rows into CSV text; values are escaped here
+ */
+export const toCSV = (headers, rows) => {
+  return BOM + [
+    headers.map(escapeCSV).join(','),
+    ...rows.map(row => row.map(escapeCSV).join(','))
+  ].join('\n');
+};
+
+/**
+ * Parse CSV text into rows of strings
+ * Handles quoted fields (with commas, quotes and newlines inside), CRLF line ends and a leading BOM.
+ * Blank lines are skipped.
+ * @returns {Array<Array<string>>}
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Save CSV text as a file through a temporary download link
+ */
+export const downloadCSV = (csv, filename) => {
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), filename);
+};
+
+/**
+ * Save any generated file (XLSX, PDF, JSON...) through a temporary download link
+ */
+export const downloadBlob = (blob, filename) => {
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = downloadUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(downloadUrl);
+};
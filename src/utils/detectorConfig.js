@@ -0,0 +1,174 @@
+import * as faceapi from 'face-api.js';
+
+/**
+ * Detector Configuration
+ * Which face detector net runs, at what input size and score threshold
+ */
+
+const CONFIG_STORAGE_KEY = 'detectorConfig';
+
+export const MODEL_URL = '/models';
+
+/**
+ * Available detector backends
+ * net: face-api.js net (and model file prefix in public/models)
+ * inputSizes: allowed input sizes; null when the net has a fixed input size
+ * manifest: weights manifest in public/models
+ * optional: weights are only there if download-models.sh was run, so check before offering it
+ */
+export const DETECTOR_BACKENDS = {
+  tiny: {
+    label: 'Tiny Face Detector',
+    description: 'Fast and small (190 KB). Smaller input sizes are faster but miss small or distant faces.',
+    net: 'tinyFaceDetector',
+    inputSizes: [160, 224, 320, 416, 512, 608],
+    manifest: 'tiny_face_detector_model-weights_manifest.json',
+    optional: false
+  },
+  ssd: {
+    label: 'SSD MobileNet v1',
+    description: 'More accurate, especially for small and turned faces, but much slower (5.4 MB). Needs a fast device.',
+    net: 'ssdMobilenetv1',
+    inputSizes: null,
+    manifest: 'ssd_mobilenetv1_model-weights_manifest.json',
+    optional: true
+  }
+};
+
+/**
+ * Nets every check-in needs on top of the detector
+ */
+export const LANDMARK_NET = 'faceLandmark68Net';
+export const RECOGNITION_NET = 'faceRecognitionNet';
+
+const isValidConfig = (config) => {
+  const backend = DETECTOR_BACKENDS[config?.backend];
+  if (!backend) return false;
+  if (!(config.scoreThreshold > 0 && config.scoreThreshold < 1)) return false;
+  return !backend.inputSizes || backend.inputSizes.includes(config.inputSize);
+};
+
+/**
+ * Pick a configuration from what this device looks capable of
+ * Always the tiny detector, whose weights ship with the app; SSD MobileNet is an admin choice
+ */
+export const detectDeviceDefault = () => {
+  const cores = navigator.hardwareConcurrency || 2;
+  const memory = navigator.deviceMemory || 4; // GB, Chromium only
+
+  if (cores >= 8 && memory >= 8) {
+    return { backend: 'tiny', inputSize: 512, scoreThreshold: 0.5 };
+  }
+  if (cores >= 4 && memory >= 4) {
+    return { backend: 'tiny', inputSize: 416, scoreThreshold: 0.5 };
+  }
+  return { backend: 'tiny', inputSize: 224, scoreThreshold: 0.5 };
+};
+
+/**
+ * Get the active detector configuration
+ * Admin setting (stored on this device) wins over the device-capability default
+ * @returns {Object} - { backend, inputSize, scoreThreshold, source: 'admin' | 'auto' }
+ */
+export const getDetectorConfig = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY));
+    if (isValidConfig(stored)) {
+      return { ...stored, source: 'admin' };
+    }
+  } catch (err) {
+    console.error('Error parsing detector config:', err);
+  }
+
+  return { ...detectDeviceDefault(), source: 'auto' };
+};
+
+/**
+ * Save the admin detector configuration for this device
+ * Pass null to go back to the device-capability default
+ */
+export const setDetectorConfig = (config) => {
+  if (config === null) {
+    localStorage.removeItem(CONFIG_STORAGE_KEY);
+    return;
+  }
+
+  const { backend, inputSize, scoreThreshold } = config;
+  const normalized = {
+    backend,
+    inputSize: DETECTOR_BACKENDS[backend]?.inputSizes ? inputSize : null,
+    scoreThreshold
+  };
+
+  if (!isValidConfig(normalized)) {
+    throw new Error('Invalid detector configuration');
+  }
+
+  localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(normalized));
+};
+
+let availableBackends = null;
+
+/**
+ * Detector backends whose weights can be loaded from MODEL_URL
+ * Optional ones are probed with a HEAD request for their manifest (once per page load).
+ * The dev server answers unknown paths with index.html, so only a JSON response counts.
+ * @returns {Promise<Array<string>>} - Keys of DETECTOR_BACKENDS
+ */
+export const getAvailableBackends = () => {
+  if (!availableBackends) {
+    availableBackends = Promise.all(
+      Object.entries(DETECTOR_BACKENDS).map(async ([key, backend]) => {
+        if (!backend.optional) return key;
+        try {
+          const res = await fetch(`${MODEL_URL}/${backend.manifest}`, { method: 'HEAD' });
+          return res.ok && (res.headers.get('content-type') || '').includes('json') ? key : null;
+        } catch {
+          return null;
+        }
+      })
+    ).then(keys => keys.filter(Boolean));
+  }
+  return availableBackends;
+};
+
+/**
+ * Short human-readable name, e.g. "Tiny 416 @ 0.5"
+ */
+export const describeDetectorConfig = (config) => {
+  const name = config.backend === 'ssd' ? 'SSD MobileNet' : 'Tiny';
+  return `${name}${config.inputSize ? ` ${config.inputSize}` : ''} @ ${config.scoreThreshold}`;
+};
+
+/**
+ * Names of the nets needed for a configuration
+ * @param {Object} needs - { landmarks, descriptor }
+ */
+export const requiredNets = (config, { landmarks = true, descriptor = true } = {}) => {
+  const nets = [DETECTOR_BACKENDS[config.backend].net];
+  if (landmarks || descriptor) nets.push(LANDMARK_NET);
+  if (descriptor) nets.push(RECOGNITION_NET);
+  return nets;
+};
+
+/**
+ * Build face-api.js detector options for a configuration
+ * Shared by the main thread and the face worker
+ */
+export const createDetectorOptions = (config) => {
+  if (config.backend === 'ssd') {
+    return new faceapi.SsdMobilenetv1Options({ minConfidence: config.scoreThreshold });
+  }
+  return new faceapi.TinyFaceDetectorOptions({ inputSize: config.inputSize, scoreThreshold: config.scoreThreshold });
+};
+
+/**
+ * Load the given nets that are not loaded yet
+ */
+export const loadNets = (nets, modelUrl) => {
+  return Promise.all(
+    nets
+      .filter(name => !faceapi.nets[name].isLoaded)
+      .map(name => faceapi.nets[name].loadFromUri(modelUrl))
+  );
+};
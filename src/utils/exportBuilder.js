@@ -0,0 +1,438 @@
+import { toCSV } from './csv';
+import { createXlsx } from './xlsx';
+import { createPdf, createPdfPage, fitText, PAGE_SIZE } from './pdf';
+import { toDateKey, toZonedParts, eachDate, WEEKDAY_NAMES } from './attendanceAnalytics';
+import { DAY_STATUS_LABELS, classifyCheckIn, classifyDays } from './shiftSchedule';
+import { SESSION_STATUS_LABELS, pairSessions, formatDuration, toDecimalHours } from './sessions';
+
+/**
+ * Export Builder
+ * Turns attendance records into tables with admin-chosen columns and date/time formats,
+ * and writes them as CSV, XLSX, JSON or a printable PDF monthly register
+ */
+
+const SETTINGS_STORAGE_KEY = 'exportSettings';
+
+export const EXPORT_FORMATS = {
+  csv: 'CSV',
+  xlsx: 'Excel (XLSX)',
+  json: 'JSON',
+  pdf: 'PDF monthly register'
+};
+
+export const EXPORT_LAYOUTS = {
+  checkins: 'Every check-in',
+  daily: 'Daily status per person',
+  sessions: 'Sessions with worked hours',
+  pivot: 'Pivot: people by day'
+};
+
+export const DATE_FORMATS = {
+  iso: 'YYYY-MM-DD',
+  dmy: 'DD/MM/YYYY',
+  mdy: 'MM/DD/YYYY'
+};
+
+export const TIME_FORMATS = {
+  '12h': '12-hour (2:05:09 PM)',
+  '24h': '24-hour (14:05:09)'
+};
+
+/**
+ * Columns available for the "Every check-in" layout
+ * value(context, format) gets { record, person, classification } and the date/time formatter
+ */
+export const CHECKIN_COLUMNS = [
+  { id: 'id', label: 'ID', value: ({ record }) => record.id },
+  { id: 'user_id', label: 'User ID', value: ({ record }) => record.user_id },
+  { id: 'name', label: 'Name', value: ({ record }) => record.matched_name || 'Unknown' },
+  { id: 'email', label: 'Email', value: ({ person }) => person?.email || '' },
+  { id: 'role', label: 'Role', value: ({ person }) => person?.role || '' },
+  { id: 'group', label: 'Group', value: ({ person }) => person?.group || '' },
+  { id: 'date', label: 'Date', kind: 'date', value: ({ record }, format) => format.date(record.created_at) },
+  { id: 'time', label: 'Time', kind: 'time', value: ({ record }, format) => format.time(record.created_at) },
+  { id: 'punch', label: 'Punch', value: ({ record }) => record.punch_type || '' },
+  { id: 'shift', label: 'Shift', value: ({ classification }) => classification?.shift?.name || '' },
+  { id: 'status', label: 'Status', value: ({ classification }) => (classification ? DAY_STATUS_LABELS[classification.status] : '') },
+  { id: 'minutes_late', label: 'Minutes Late', value: ({ classification }) => classification?.minutesLate || '' },
+  { id: 'minutes_early', label: 'Minutes Early', value: ({ classification }) => classification?.minutesEarly || '' },
+  {
+    id: 'confidence',
+    label: 'Confidence %',
+    value: ({ record }) => (record.confidence != null ? Number((record.confidence * 100).toFixed(1)) : '')
+  },
+  {
+    id: 'liveness',
+    label: 'Liveness %',
+    value: ({ record }) => (record.liveness_score != null ? Number((record.liveness_score * 100).toFixed(1)) : '')
+  },
+  { id: 'device', label: 'Device', value: ({ record }) => record.device || '' }
+];
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  format: 'csv',
+  layout: 'checkins',
+  columns: ['id', 'user_id', 'name', 'date', 'time', 'punch', 'shift', 'status', 'minutes_late', 'minutes_early'],
+  dateFormat: 'iso',
+  timeFormat: '12h',
+  timeZone: '',       // Empty for this device's timezone, otherwise an IANA name such as Europe/Berlin
+  excelText: true     // CSV only: prefix dates and times with ' so Excel keeps them as typed
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return true;
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Export builder choices for this device (admin setting)
+ */
+export const getExportSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    return { ...DEFAULT_EXPORT_SETTINGS, ...stored };
+  } catch (err) {
+    console.error('Error parsing export settings:', err);
+    return { ...DEFAULT_EXPORT_SETTINGS };
+  }
+};
+
+export const setExportSettings = (changes) => {
+  const settings = { ...getExportSettings(), ...changes };
+
+  if (!EXPORT_FORMATS[settings.format]) throw new Error(`Unknown export format: ${settings.format}`);
+  if (!EXPORT_LAYOUTS[settings.layout]) throw new Error(`Unknown export layout: ${settings.layout}`);
+  if (!isValidTimeZone(settings.timeZone)) throw new Error(`Unknown timezone: ${settings.timeZone}`);
+
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+const joinDate = (year, month, day, dateFormat) => {
+  if (dateFormat === 'dmy') return `${day}/${month}/${year}`;
+  if (dateFormat === 'mdy') return `${month}/${day}/${year}`;
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Date and time formatters for the chosen formats and timezone
+ * The same timezone groups records into days and judges shifts, so a row's date, time and status agree.
+ * @returns {Object} - { date(at), time(at), dateKey(YYYY-MM-DD) }
+ */
+export const createFormatter = ({ dateFormat, timeFormat, timeZone }) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const partsOf = (at) => Object.fromEntries(
+    parts.formatToParts(new Date(at)).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: (at) => {
+      if (!at) return '';
+      const p = partsOf(at);
+      return joinDate(p.year, p.month, p.day, dateFormat);
+    },
+    time: (at) => {
+      if (!at) return '';
+      const p = partsOf(at);
+      if (timeFormat === '24h') return `${p.hour}:${p.minute}:${p.second}`;
+      const hour = Number(p.hour);
+      return `${hour % 12 || 12}:${p.minute}:${p.second} ${hour >= 12 ? 'PM' : 'AM'}`;
+    },
+    // Day keys are already calendar dates, so no timezone conversion
+    dateKey: (key) => {
+      const [year, month, day] = key.split('-');
+      return joinDate(year, month, day, dateFormat);
+    }
+  };
+};
+
+const buildCheckIns = ({ records, people, schedule }, settings, format) => {
+  const peopleById = new Map(people.map(person => [person.user_id, person]));
+  const columns = CHECKIN_COLUMNS.filter(column => settings.columns.includes(column.id));
+
+  return {
+    headers: columns.map(column => column.label),
+    kinds: columns.map(column => column.kind || null),
+    rows: records.map(record => {
+      const context = {
+        record,
+        person: peopleById.get(record.user_id),
+        classification: schedule
+          ? classifyCheckIn(schedule, record.user_id, record.created_at, record.punch_type, settings.timeZone)
+          : null
+      };
+      return columns.map(column => column.value(context, format));
+    })
+  };
+};
+
+// One row per person per day, including absences and holidays
+const buildDaily = ({ days }, format) => ({
+  headers: ['Date', 'User ID', 'Name', 'Shift', 'Status', 'First Check-in', 'Last Check-in', 'Minutes Late', 'Minutes Early', 'Holiday'],
+  kinds: ['date', null, null, null, null, 'time', 'time', null, null, null],
+  rows: days.map(day => [
+    format.dateKey(day.date),
+    day.userId,
+    day.name,
+    day.shift?.name || '',
+    DAY_STATUS_LABELS[day.status],
+    format.time(day.firstCheckIn),
+    format.time(day.lastCheckIn),
+    day.minutesLate || '',
+    day.minutesEarly || '',
+    day.holiday || ''
+  ])
+});
+
+// One row per check-in/check-out pair; worked hours are decimal so spreadsheets can sum them
+const buildSessions = ({ records }, settings, format) => ({
+  headers: ['Date', 'User ID', 'Name', 'Check-in', 'Check-out', 'Worked Hours', 'Status', 'Manual', 'Note'],
+  kinds: ['date', null, null, 'time', 'time', null, null, null, null],
+  rows: pairSessions(records, settings.timeZone).map(session => [
+    format.dateKey(session.date),
+    session.userId,
+    session.name || 'Unknown',
+    format.time(session.checkIn),
+    format.time(session.checkOut),
+    session.minutes == null ? '' : Number(toDecimalHours(session.minutes)),
+    SESSION_STATUS_LABELS[session.status],
+    session.manual ? 'Yes' : '',
+    session.note
+  ])
+});
+
+// People down the side, days across the top, the day's status in each cell
+const buildPivot = ({ days }, format) => {
+  const dates = [...new Set(days.map(day => day.date))];
+  const byPerson = new Map();
+  days.forEach(day => {
+    if (!byPerson.has(day.userId)) byPerson.set(day.userId, { name: day.name, statuses: {} });
+    byPerson.get(day.userId).statuses[day.date] = DAY_STATUS_LABELS[day.status];
+  });
+
+  return {
+    headers: ['User ID', 'Name', ...dates.map(format.dateKey)],
+    kinds: [null, null, ...dates.map(() => null)],
+    rows: Array.from(byPerson, ([userId, person]) => [
+      userId,
+      person.name,
+      ...dates.map(date => person.statuses[date] || '')
+    ])
+  };
+};
+
+/**
+ * Build the export table for a layout
+ * @param {Object} data - { records, people, schedule, range: { startDate, endDate } }
+ * @returns {Object} - { headers, kinds, rows }; kinds marks date and time columns
+ */
+export const buildExportTable = (data, settings) => {
+  const format = createFormatter(settings);
+
+  if (settings.layout === 'checkins') return buildCheckIns(data, settings, format);
+  if (settings.layout === 'sessions') return buildSessions(data, settings, format);
+
+  const { schedule, records, people, range } = data;
+  const days = classifyDays(schedule, records, people, range.startDate, range.endDate, settings.timeZone);
+  return settings.layout === 'pivot' ? buildPivot({ days }, format) : buildDaily({ days }, format);
+};
+
+const REGISTER_COLUMNS = [
+  { label: 'Date', width: 62 },
+  { label: 'Day', width: 34 },
+  { label: 'Status', width: 96 },
+  { label: 'In', width: 62 },
+  { label: 'Out', width: 62 },
+  { label: 'Worked', width: 58 },
+  { label: 'Late', width: 48 },
+  { label: 'Early', width: 48 },
+  { label: 'Holiday', width: 45 }
+];
+
+const MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+// One register page: a person's month, a row per day, totals and a signature line
+const drawRegisterPage = (person, monthKey, days, workedByDate, format) => {
+  const page = createPdfPage();
+  const monthLabel = new Date(`${monthKey}-01T00:00`).toLocaleDateString([], { month: 'long', year: 'numeric' });
+  const shiftName = days.find(day => day.shift)?.shift?.name;
+
+  page.text(MARGIN, 56, 'Attendance register', { size: 18, bold: true });
+  page.text(MARGIN, 76, `${person.name} (${person.userId})  |  ${monthLabel}${shiftName ? `  |  Shift: ${shiftName}` : ''}`, { size: 11, color: '#4a5568' });
+
+  let y = 100;
+  page.rect(MARGIN, y, PAGE_SIZE.width - MARGIN * 2, ROW_HEIGHT, { fill: '#e2e8f0' });
+  let x = MARGIN + 4;
+  REGISTER_COLUMNS.forEach(column => {
+    page.text(x, y + 12.5, column.label, { size: 9, bold: true });
+    x += column.width;
+  });
+  y += ROW_HEIGHT;
+
+  const totals = { present: 0, late: 0, absent: 0, minutes: 0 };
+
+  days.forEach(day => {
+    const worked = workedByDate.get(day.date) || 0;
+    if (day.status === 'on_time' || day.status === 'late' || day.status === 'early_leave') totals.present++;
+    if (day.status === 'late') totals.late++;
+    if (day.status === 'absent') totals.absent++;
+    totals.minutes += worked;
+
+    if (day.status === 'off' || day.status === 'holiday') {
+      page.rect(MARGIN, y, PAGE_SIZE.width - MARGIN * 2, ROW_HEIGHT, { fill: '#f7fafc' });
+    }
+
+    const cells = [
+      format.dateKey(day.date),
+      WEEKDAY_NAMES[new Date(`${day.date}T00:00`).getDay()],
+      DAY_STATUS_LABELS[day.status],
+      format.time(day.firstCheckIn),
+      format.time(day.lastCheckIn),
+      worked ? formatDuration(worked) : '',
+      day.minutesLate ? `${day.minutesLate}m` : '',
+      day.minutesEarly ? `${day.minutesEarly}m` : '',
+      day.holiday || ''
+    ];
+    x = MARGIN + 4;
+    cells.forEach((cell, i) => {
+      page.text(x, y + 12.5, fitText(cell, REGISTER_COLUMNS[i].width - 4, 9), {
+        size: 9,
+        color: day.status === 'absent' && i === 2 ? '#c53030' : '#2d3748'
+      });
+      x += REGISTER_COLUMNS[i].width;
+    });
+    y += ROW_HEIGHT;
+    page.line(MARGIN, y, PAGE_SIZE.width - MARGIN, y);
+  });
+
+  y += 24;
+  page.text(
+    MARGIN,
+    y,
+    `Present: ${totals.present}    Late: ${totals.late}    Absent: ${totals.absent}    Worked: ${formatDuration(totals.minutes)}`,
+    { size: 10, bold: true }
+  );
+
+  y += 56;
+  page.line(MARGIN, y, MARGIN + 200, y, { color: '#4a5568' });
+  page.line(PAGE_SIZE.width - MARGIN - 200, y, PAGE_SIZE.width - MARGIN, y, { color: '#4a5568' });
+  page.text(MARGIN, y + 14, 'Employee signature', { size: 9, color: '#718096' });
+  page.text(PAGE_SIZE.width - MARGIN - 200, y + 14, 'Supervisor signature', { size: 9, color: '#718096' });
+
+  page.text(MARGIN, PAGE_SIZE.height - 30, `Generated ${new Date().toLocaleString()}`, { size: 8, color: '#a0aec0' });
+  return page;
+};
+
+/**
+ * Printable register: one page per person per month in the range, in the chosen date/time formats
+ * @returns {Object} - { blob, pageCount }
+ */
+export const buildRegisterPdf = ({ records, people, schedule, range }, settings) => {
+  const format = createFormatter(settings);
+  const days = classifyDays(schedule, records, people, range.startDate, range.endDate, settings.timeZone);
+
+  // Worked minutes per person per day from closed sessions
+  const worked = new Map();
+  pairSessions(records, settings.timeZone)
+    .filter(session => session.status === 'closed')
+    .forEach(session => {
+      const key = `${session.userId}|${session.date}`;
+      worked.set(key, (worked.get(key) || 0) + session.minutes);
+    });
+
+  const months = [...new Set(eachDate(range.startDate, range.endDate).map(date => date.slice(0, 7)))];
+  const peopleInDays = [...new Map(days.map(day => [day.userId, { userId: day.userId, name: day.name }])).values()];
+
+  const pages = peopleInDays.flatMap(person => months.map(monthKey => {
+    const personDays = days.filter(day => day.userId === person.userId && day.date.startsWith(monthKey));
+    const workedByDate = new Map(personDays.map(day => [day.date, worked.get(`${person.userId}|${day.date}`) || 0]));
+    return personDays.length > 0 ? drawRegisterPage(person, monthKey, personDays, workedByDate, format) : null;
+  })).filter(Boolean);
+
+  return {
+    blob: createPdf(pages, { title: `Attendance register ${range.startDate} to ${range.endDate}` }),
+    pageCount: pages.length
+  };
+};
+
+/**
+ * Write the export in the chosen format
+ * @returns {Object} - { blob, extension, count }; count is the number of rows or pages
+ */
+export const buildExport = (data, settings) => {
+  if (settings.format === 'pdf') {
+    const { blob, pageCount } = buildRegisterPdf(data, settings);
+    return { blob, extension: 'pdf', count: pageCount };
+  }
+
+  const table = buildExportTable(data, settings);
+
+  if (settings.format === 'xlsx') {
+    const blob = createXlsx([{ name: EXPORT_LAYOUTS[settings.layout], headers: table.headers, rows: table.rows }]);
+    return { blob, extension: 'xlsx', count: table.rows.length };
+  }
+
+  if (settings.format === 'json') {
+    const objects = table.rows.map(row => Object.fromEntries(table.headers.map((header, i) => [header, row[i]])));
+    const blob = new Blob([JSON.stringify(objects, null, 2)], { type: 'application/json' });
+    return { blob, extension: 'json', count: table.rows.length };
+  }
+
+  // Leading apostrophe stops Excel turning dates and times into its own formats
+  const rows = settings.excelText
+    ? table.rows.map(row => row.map((value, i) => (table.kinds[i] && value ? `'${value}` : value)))
+    : table.rows;
+  const blob = new Blob([toCSV(table.headers, rows)], { type: 'text/csv' });
+  return { blob, extension: 'csv', count: table.rows.length };
+};
+
+/**
+ * The range covered by "All records": from the first record up to today, in the export timezone
+ */
+export const rangeOfRecords = (records, timeZone = '') => {
+  const first = records.reduce((min, r) => (!min || r.created_at < min ? r.created_at : min), null);
+  const today = toZonedParts(new Date(), timeZone).dateKey;
+  return {
+    startDate: first ? toZonedParts(first, timeZone).dateKey : today,
+    endDate: today
+  };
+};
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * The dates to ask the server for: the server filters by its own calendar, so a day either side
+ * covers any timezone; recordsInRange() then trims to the period
+ */
+export const widenRange = (range) => ({
+  startDate: addDays(range.startDate, -1),
+  endDate: addDays(range.endDate, 1)
+});
+
+/**
+ * Records whose date in the export timezone falls within the period
+ */
+export const recordsInRange = (records, range, timeZone = '') => records.filter(record => {
+  const { dateKey } = toZonedParts(record.created_at, timeZone);
+  return dateKey >= range.startDate && dateKey <= range.endDate;
+});
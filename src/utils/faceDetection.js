@@ -1,44 +1,181 @@
 import * as faceapi from 'face-api.js';
+import { canUseFaceWorker, loadWorkerModels, detectInWorker } from './faceWorkerClient';
+import { MODEL_URL, getDetectorConfig, requiredNets, createDetectorOptions, loadNets } from './detectorConfig';
 
-let modelsLoaded = false;
+let workerChecked = false;
+let useWorker = false;
+let activeConfig = null;
+let loadedNets = new Set(); // Nets loaded wherever detection currently runs
+
+async function ensureNets(nets) {
+  const missing = nets.filter(name => !loadedNets.has(name));
+  if (missing.length === 0) return;
+
+  if (!workerChecked) {
+    workerChecked = true;
+    if (canUseFaceWorker()) {
+      try {
+        const { backend } = await loadWorkerModels(MODEL_URL, missing);
+        useWorker = true;
+        missing.forEach(name => loadedNets.add(name));
+        console.log(`Face-api.js models loaded in worker (${backend}):`, missing);
+        return;
+      } catch (err) {
+        console.warn('Face worker unavailable, falling back to the main thread:', err);
+      }
+    }
+  }
+
+  if (useWorker) {
+    try {
+      await loadWorkerModels(MODEL_URL, missing);
+    } catch (err) {
+      if (!err.workerCrashed) throw err;
+
+      // The worker died or hung while loading: reload everything on the main thread
+      console.warn('Face worker failed, switching to the main thread:', err);
+      useWorker = false;
+      const nets = [...loadedNets, ...missing];
+      loadedNets = new Set();
+      await loadNets(nets, MODEL_URL);
+      nets.forEach(name => loadedNets.add(name));
+      return;
+    }
+  } else {
+    await loadNets(missing, MODEL_URL);
+  }
+  missing.forEach(name => loadedNets.add(name));
+  console.log('Face-api.js models loaded:', missing);
+}
 
 /**
  * Load face-api.js models from public/models directory
- * Models required: TinyFaceDetector, FaceLandmark68Net, FaceRecognitionNet
+ * Only the nets the active detector configuration needs are loaded: its detector
+ * (see detectorConfig.js), FaceLandmark68Net and FaceRecognitionNet.
+ * They are loaded into a Web Worker when the browser supports it, so detection
+ * doesn't block rendering; otherwise on the main thread.
+ * Calling it again picks up a changed detector configuration.
  */
 export async function loadModels() {
-  if (modelsLoaded) return;
+  const config = getDetectorConfig();
+  await ensureNets(requiredNets(config));
 
-  const MODEL_URL = '/models';
-  
-  await Promise.all([
-    faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
-    faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
-    faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL)
-  ]);
+  activeConfig = config;
+}
 
-  modelsLoaded = true;
-  console.log('Face-api.js models loaded');
+/**
+ * Load just the detector net for a configuration (used by the benchmark)
+ */
+export async function loadDetector(config) {
+  await ensureNets(requiredNets(config, { landmarks: false, descriptor: false }));
 }
 
 /**
- * Detect a single face in video/image and return its 128-dimensional descriptor
- * @param {HTMLVideoElement|HTMLImageElement} input - Video or image element
- * @param {HTMLCanvasElement} canvas - Canvas for drawing detections (optional)
- * @returns {Float32Array|null} - Face descriptor or null if no face detected
+ * Detector configuration currently used for detection
  */
-export async function detectFaceAndGetDescriptor(input, canvas = null) {
-  if (!modelsLoaded) {
+export function getActiveDetectorConfig() {
+  return activeConfig;
+}
+
+/**
+ * Check if detection runs in the worker (false = main thread)
+ */
+export function isUsingFaceWorker() {
+  return useWorker;
+}
+
+const inputDimensions = (input) => ({
+  width: input.videoWidth || input.naturalWidth || input.width,
+  height: input.videoHeight || input.naturalHeight || input.height
+});
+
+/**
+ * Rebuild face-api.js objects from a worker result so callers see the same shapes either way
+ */
+const fromWorkerResult = (face, dims) => ({
+  box: new faceapi.Box(face.box),
+  score: face.score,
+  landmarks: face.landmarks
+    ? new faceapi.FaceLandmarks68(face.landmarks.map(([x, y]) => new faceapi.Point(x, y)), dims)
+    : null,
+  descriptor: face.descriptor
+});
+
+/**
+ * Run the detection pipeline in the worker or on the main thread
+ * @param {Object} options - { all, landmarks, descriptor }
+ * @param {Object} config - Detector configuration; defaults to the one loadModels() loaded
+ * @returns {Array} - [{ box, score, landmarks, descriptor }], at most one entry unless options.all
+ */
+async function runDetection(input, options, config = activeConfig) {
+  if (!config) {
     throw new Error('Models not loaded. Call loadModels() first.');
   }
 
+  if (useWorker) {
+    // Same wait face-api.js does before reading a frame from a video that isn't ready
+    await faceapi.awaitMediaLoaded(input);
+
+    try {
+      const dims = inputDimensions(input);
+      const faces = await detectInWorker(input, options, config);
+      return faces.map(face => fromWorkerResult(face, dims));
+    } catch (err) {
+      if (!err.workerCrashed) throw err;
+
+      // Keep working if the worker dies mid-session
+      console.warn('Face worker failed, switching to the main thread:', err);
+      useWorker = false;
+      const nets = Array.from(loadedNets);
+      loadedNets = new Set();
+      await ensureNets(nets);
+    }
+  }
+
+  const { all = false, landmarks = false, descriptor = false } = options;
+  const detectorOptions = createDetectorOptions(config);
+  let task = all
+    ? faceapi.detectAllFaces(input, detectorOptions)
+    : faceapi.detectSingleFace(input, detectorOptions);
+
+  if (landmarks || descriptor) {
+    task = task.withFaceLandmarks();
+  }
+  if (descriptor) {
+    task = all ? task.withFaceDescriptors() : task.withFaceDescriptor();
+  }
+
+  const results = await task;
+  const list = all ? results : results ? [results] : [];
+
+  return list.map(result => {
+    const detection = result.detection || result;
+    return {
+      box: detection.box,
+      score: detection.score,
+      landmarks: result.landmarks || null,
+      descriptor: result.descriptor || null
+    };
+  });
+}
+
+/**
+ * Maximum head-pose angles (degrees) accepted for an enrolment frame
+ */
+export const ENROLLMENT_POSE_LIMITS = { yaw: 25, pitch: 20, roll: 20 };
+
+/**
+ * Detect a single face and return its descriptor together with landmarks,
+ * detection box/score and estimated head pose
+ * @param {HTMLVideoElement|HTMLImageElement} input - Video or image element
+ * @param {HTMLCanvasElement} canvas - Canvas for drawing detections (optional)
+ * @returns {Object|null} - { descriptor, landmarks, box, score, pose } or null if no face detected
+ */
+export async function detectFaceWithDetails(input, canvas = null) {
   // Detect face with landmarks and descriptor
-  const detection = await faceapi
-    .detectSingleFace(input, new faceapi.TinyFaceDetectorOptions())
-    .withFaceLandmarks()
-    .withFaceDescriptor();
+  const [face] = await runDetection(input, { landmarks: true, descriptor: true });
 
-  if (!detection) {
+  if (!face) {
     return null;
   }
 
@@ -46,16 +183,122 @@ export async function detectFaceAndGetDescriptor(input, canvas = null) {
   if (canvas) {
     const displaySize = { width: input.width || input.videoWidth, height: input.height || input.videoHeight };
     faceapi.matchDimensions(canvas, displaySize);
-    const resizedDetection = faceapi.resizeResults(detection, displaySize);
-    
+
     const ctx = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    faceapi.draw.drawDetections(canvas, resizedDetection);
-    faceapi.draw.drawFaceLandmarks(canvas, resizedDetection);
+    new faceapi.draw.DrawBox(face.box, { label: face.score.toFixed(2) }).draw(canvas);
+    faceapi.draw.drawFaceLandmarks(canvas, face.landmarks);
   }
 
+  return {
+    descriptor: face.descriptor,
+    landmarks: face.landmarks,
+    box: face.box,
+    score: face.score,
+    pose: estimateHeadPose(face.landmarks)
+  };
+}
+
+/**
+ * Detect a single face in video/image and return its 128-dimensional descriptor
+ * @param {HTMLVideoElement|HTMLImageElement} input - Video or image element
+ * @param {HTMLCanvasElement} canvas - Canvas for drawing detections (optional)
+ * @returns {Float32Array|null} - Face descriptor or null if no face detected
+ */
+export async function detectFaceAndGetDescriptor(input, canvas = null) {
+  const result = await detectFaceWithDetails(input, canvas);
+
   // Return the 128-dimensional descriptor
-  return detection.descriptor;
+  return result ? result.descriptor : null;
+}
+
+/**
+ * Euclidean distance between two face descriptors (< 0.6 is usually the same person)
+ */
+export function descriptorDistance(a, b) {
+  return faceapi.euclideanDistance(a, b);
+}
+
+/**
+ * Check that a head pose is frontal enough to enrol
+ * @param {Object} pose - { yaw, pitch, roll } in degrees
+ * @param {Object} limits - Maximum absolute angle per axis
+ * @returns {Object} - { ok: boolean, reason?: string }
+ */
+export function checkEnrollmentPose(pose, limits = ENROLLMENT_POSE_LIMITS) {
+  for (const axis of ['yaw', 'pitch', 'roll']) {
+    if (Math.abs(pose[axis]) > limits[axis]) {
+      return {
+        ok: false,
+        reason: `Face turned too far (${axis} ${pose[axis].toFixed(0)}°, max ${limits[axis]}°)`
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Detect a single face box only (no landmarks or descriptor)
+ * Cheap enough to poll continuously, e.g. to notice someone approaching a kiosk
+ * @param {HTMLVideoElement|HTMLImageElement} input
+ * @param {Object} config - Detector configuration to use instead of the active one (optional)
+ * @returns {Object|null} - { box, score } or null if no face detected
+ */
+export async function detectFaceBox(input, config) {
+  const [face] = await runDetection(input, {}, config);
+
+  return face ? { box: face.box, score: face.score } : null;
+}
+
+/**
+ * Detect every face in video/image with landmarks and descriptors
+ * @param {HTMLVideoElement|HTMLImageElement} input - Video or image element
+ * @returns {Array} - [{ descriptor, landmarks, box, score, pose }], empty if no faces
+ */
+export async function detectAllFacesWithDetails(input) {
+  const faces = await runDetection(input, { all: true, landmarks: true, descriptor: true });
+
+  return faces.map(face => ({
+    descriptor: face.descriptor,
+    landmarks: face.landmarks,
+    box: face.box,
+    score: face.score,
+    pose: estimateHeadPose(face.landmarks)
+  }));
+}
+
+/**
+ * Detect every face in video/image with landmarks only
+ * @param {HTMLVideoElement|HTMLImageElement} input
+ * @returns {Array} - [{ box, score, landmarks }], empty if no faces
+ */
+export async function detectAllFaceLandmarks(input) {
+  const faces = await runDetection(input, { all: true, landmarks: true });
+
+  return faces.map(face => ({
+    box: face.box,
+    score: face.score,
+    landmarks: face.landmarks
+  }));
+}
+
+/**
+ * Draw labelled boxes over a video/image on the overlay canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {HTMLVideoElement|HTMLImageElement} input - Frame the boxes were detected in
+ * @param {Array} items - [{ box, label, color }]
+ */
+export function drawLabelledBoxes(canvas, input, items) {
+  const displaySize = { width: input.width || input.videoWidth, height: input.height || input.videoHeight };
+  faceapi.matchDimensions(canvas, displaySize);
+
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  for (const { box, label, color } of items) {
+    new faceapi.draw.DrawBox(box, { label, boxColor: color, lineWidth: 3 }).draw(canvas);
+  }
 }
 
 /**
@@ -64,13 +307,100 @@ export async function detectFaceAndGetDescriptor(input, canvas = null) {
  * @returns {Object|null} - Landmarks object or null
  */
 export async function detectFaceLandmarks(video) {
-  if (!modelsLoaded) {
-    throw new Error('Models not loaded. Call loadModels() first.');
-  }
+  const [face] = await runDetection(video, { landmarks: true });
+
+  return face ? face.landmarks : null;
+}
+
+/**
+ * Generic 3D face model for head-pose estimation, in arbitrary units.
+ * x to the image right, y down, z away from the camera; nose tip at origin.
+ * Keys are indices into the 68-point landmark set.
+ */
+const FACE_MODEL_3D = {
+  30: [0, 0, 0],          // Nose tip
+  8: [0, 330, 65],        // Chin
+  36: [-225, -170, 135],  // Outer corner of the eye on the image left
+  45: [225, -170, 135],   // Outer corner of the eye on the image right
+  48: [-150, 150, 125],   // Mouth corner on the image left
+  54: [150, 150, 125]     // Mouth corner on the image right
+};
 
-  const detection = await faceapi
-    .detectSingleFace(video, new faceapi.TinyFaceDetectorOptions())
-    .withFaceLandmarks();
+const RAD_TO_DEG = 180 / Math.PI;
 
-  return detection ? detection.landmarks : null;
-}
\ No newline at end of file
+function invert3x3(m) {
+  const [a, b, c] = m[0];
+  const [d, e, f] = m[1];
+  const [g, h, i] = m[2];
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ];
+}
+
+const dot3 = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+
+const normalize3 = (v) => {
+  const len = Math.sqrt(dot3(v, v));
+  return [v[0] / len, v[1] / len, v[2] / len];
+};
+
+// Model-side terms of the least-squares fit never change, so compute them once
+const MODEL_INDICES = Object.keys(FACE_MODEL_3D).map(Number);
+const MODEL_CENTER = [0, 1, 2].map(axis =>
+  MODEL_INDICES.reduce((sum, idx) => sum + FACE_MODEL_3D[idx][axis], 0) / MODEL_INDICES.length
+);
+const MODEL_CENTERED = MODEL_INDICES.map(idx => FACE_MODEL_3D[idx].map((v, axis) => v - MODEL_CENTER[axis]));
+const MODEL_COVARIANCE_INV = invert3x3(
+  [0, 1, 2].map(r => [0, 1, 2].map(c => MODEL_CENTERED.reduce((sum, p) => sum + p[r] * p[c], 0)))
+);
+
+/**
+ * Estimate head pose from 68-point landmarks
+ * Fits the generic face model with a weak-perspective projection, so the
+ * angles do not depend on image resolution or distance to the camera.
+ * @param {Object} landmarks - face-api.js FaceLandmarks68
+ * @returns {Object} - { yaw, pitch, roll } in degrees
+ *   yaw > 0: nose turned towards the image right
+ *   pitch > 0: looking up
+ *   roll > 0: head tilted clockwise as seen on screen
+ */
+export function estimateHeadPose(landmarks) {
+  const positions = landmarks.positions;
+  const image = MODEL_INDICES.map(idx => [positions[idx].x, positions[idx].y]);
+  const imageCenter = [0, 1].map(axis => image.reduce((sum, p) => sum + p[axis], 0) / image.length);
+
+  // Solve the 2x3 projection M = (sum p P^T)(sum P P^T)^-1
+  const cross = [0, 1].map(r =>
+    [0, 1, 2].map(c =>
+      image.reduce((sum, p, i) => sum + (p[r] - imageCenter[r]) * MODEL_CENTERED[i][c], 0)
+    )
+  );
+  const projection = cross.map(row =>
+    [0, 1, 2].map(c => row[0] * MODEL_COVARIANCE_INV[0][c] + row[1] * MODEL_COVARIANCE_INV[1][c] + row[2] * MODEL_COVARIANCE_INV[2][c])
+  );
+
+  // Recover the rotation: normalise rows, make them orthogonal, complete with the cross product
+  const r1 = normalize3(projection[0]);
+  const r2raw = projection[1];
+  const along = dot3(r1, r2raw);
+  const r2 = normalize3([r2raw[0] - along * r1[0], r2raw[1] - along * r1[1], r2raw[2] - along * r1[2]]);
+  const r3 = [
+    r1[1] * r2[2] - r1[2] * r2[1],
+    r1[2] * r2[0] - r1[0] * r2[2],
+    r1[0] * r2[1] - r1[1] * r2[0]
+  ];
+
+  // R = Rz(roll) * Ry(yaw) * Rx(pitch), with yaw and pitch flipped to the signs documented above
+  const yaw = Math.asin(Math.max(-1, Math.min(1, r3[0]))) * RAD_TO_DEG;
+  const pitch = -Math.atan2(r3[1], r3[2]) * RAD_TO_DEG;
+  const roll = Math.atan2(r2[0], r1[0]) * RAD_TO_DEG;
+
+  return { yaw, pitch, roll };
+}
@@ -0,0 +1,273 @@
+import { checkEnrollmentPose } from './faceDetection';
+
+/**
+ * Face Quality
+ * Per-frame quality scoring and guided poses for enrolment
+ */
+
+/**
+ * Poses the enrolment wizard walks through, in order.
+ * The first pose is the neutral reference and is checked in absolute angles
+ * (loose, since the generic face model is not exact for everyone); yaw/pitch
+ * ranges for the others are relative to it, in degrees
+ * (yaw < 0 = towards the image left, pitch > 0 = up).
+ */
+export const ENROLLMENT_POSES = [
+  { id: 'straight', label: 'Straight', prompt: 'Look straight at the camera', yaw: [-12, 12], pitch: [-15, 15] },
+  { id: 'left', label: 'Slightly left', prompt: 'Turn your head slightly left', yaw: [-25, -8], pitch: [-10, 10] },
+  { id: 'right', label: 'Slightly right', prompt: 'Turn your head slightly right', yaw: [8, 25], pitch: [-10, 10] },
+  { id: 'up', label: 'Slightly up', prompt: 'Tilt your chin slightly up', yaw: [-10, 10], pitch: [6, 20] }
+];
+
+/**
+ * Minimum sub-score each check needs for a frame to be kept
+ */
+const QUALITY_MINIMUMS = {
+  size: 0.5,
+  sharpness: 0.4,
+  brightness: 0.5,
+  pose: 0.99,
+  detection: 0.5
+};
+
+const QUALITY_MESSAGES = {
+  size: 'Move closer to the camera',
+  sharpness: 'Too blurry, please hold still',
+  brightness: 'Lighting is too dark or too bright',
+  detection: 'Face not clear, please face the camera'
+};
+
+const ANALYSIS_SIZE = 96;
+const THUMBNAIL_SIZE = 96;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+let analysisCanvas = null;
+
+function getAnalysisContext(width, height) {
+  if (!analysisCanvas) {
+    analysisCanvas = document.createElement('canvas');
+  }
+  analysisCanvas.width = width;
+  analysisCanvas.height = height;
+  return analysisCanvas.getContext('2d', { willReadFrequently: true });
+}
+
+const inputSize = (input) => ({
+  width: input.videoWidth || input.naturalWidth || input.width,
+  height: input.videoHeight || input.naturalHeight || input.height
+});
+
+/**
+ * Luminance of the face crop, resampled to ANALYSIS_SIZE x ANALYSIS_SIZE
+ */
+function getFaceLuminance(input, box) {
+  const ctx = getAnalysisContext(ANALYSIS_SIZE, ANALYSIS_SIZE);
+  ctx.drawImage(input, box.x, box.y, box.width, box.height, 0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+  const { data } = ctx.getImageData(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+
+  const gray = new Float32Array(ANALYSIS_SIZE * ANALYSIS_SIZE);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Variance of the Laplacian: low values mean a blurry image
+ */
+function laplacianVariance(gray, size) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const lap = gray[i - 1] + gray[i + 1] + gray[i - size] + gray[i + size] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+/**
+ * How far (degrees) a value lies outside a [min, max] range
+ */
+const outsideRange = (value, [min, max]) => (value < min ? min - value : value > max ? value - max : 0);
+
+/**
+ * Score one detected face for enrolment quality
+ * @param {HTMLVideoElement|HTMLImageElement} input - Frame the face was detected in
+ * @param {Object} face - Result of detectFaceWithDetails
+ * @param {Object} target - Entry of ENROLLMENT_POSES, or null to skip the pose target
+ * @param {Object} neutral - Pose of the accepted straight frame; target ranges are relative to it
+ * @returns {Object} - { passed, score, checks, measured, reason? }
+ */
+export function assessFaceQuality(input, face, target = null, neutral = null) {
+  const { width } = inputSize(input);
+  const gray = getFaceLuminance(input, face.box);
+
+  // Face should fill a reasonable part of the frame
+  const sizeRatio = face.box.width / width;
+
+  // Sharpness from Laplacian variance; ~100 is a crisp webcam frame
+  const sharpness = laplacianVariance(gray, ANALYSIS_SIZE);
+
+  // Mean brightness; 90-170 is comfortably lit skin
+  const brightness = gray.reduce((sum, v) => sum + v, 0) / gray.length;
+
+  // Pose must be enrollable, and inside the target range when there is one
+  const absoluteCheck = checkEnrollmentPose(face.pose);
+  const reference = neutral || { yaw: 0, pitch: 0 };
+  const relative = { yaw: face.pose.yaw - reference.yaw, pitch: face.pose.pitch - reference.pitch };
+  const poseOff = target
+    ? Math.max(outsideRange(relative.yaw, target.yaw), outsideRange(relative.pitch, target.pitch))
+    : 0;
+
+  const checks = {
+    size: clamp01((sizeRatio - 0.1) / 0.15),
+    sharpness: clamp01(sharpness / 100),
+    brightness: clamp01(1 - outsideRange(brightness, [90, 170]) / 60),
+    pose: absoluteCheck.ok ? clamp01(1 - poseOff / 10) : 0,
+    detection: clamp01((face.score - 0.5) / 0.4)
+  };
+
+  const failed = Object.keys(QUALITY_MINIMUMS).find(name => checks[name] < QUALITY_MINIMUMS[name]);
+  const score = Object.values(checks).reduce((sum, v) => sum + v, 0) / Object.keys(checks).length;
+
+  let reason;
+  if (failed === 'pose') {
+    reason = !absoluteCheck.ok ? absoluteCheck.reason : target ? target.prompt : 'Look straight at the camera';
+  } else if (failed) {
+    reason = QUALITY_MESSAGES[failed];
+  }
+
+  return {
+    passed: !failed,
+    score,
+    checks,
+    measured: { sizeRatio, sharpness, brightness, pose: face.pose },
+    reason
+  };
+}
+
+/**
+ * Distance limits for descriptor consistency (face-api.js treats < 0.6 as the same person)
+ */
+const CONSISTENCY_LIMITS = {
+  outlierDistance: 0.55,  // Further than this from the medoid = outlier
+  maxSpread: 0.6,         // Kept samples must all be within this of each other
+  maxOutlierShare: 1 / 3  // More outliers than this = probably two people
+};
+
+const euclideanDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Check that enrolment descriptors all belong to the same face
+ * Uses the medoid (sample closest to all others) as the reference, drops
+ * samples too far from it, then checks the remaining set is tight.
+ * @param {Array<Float32Array>} descriptors
+ * @param {Object} limits - Overrides for CONSISTENCY_LIMITS
+ * @returns {Object} - { consistent, kept: number[], outliers: [{ index, distance }], maxDistance, reason? }
+ */
+export function checkDescriptorConsistency(descriptors, limits = {}) {
+  const cfg = { ...CONSISTENCY_LIMITS, ...limits };
+  const n = descriptors.length;
+
+  if (n < 2) {
+    return { consistent: n === 1, kept: n === 1 ? [0] : [], outliers: [], maxDistance: 0, reason: n === 0 ? 'No samples captured' : undefined };
+  }
+
+  const distances = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      distances[i][j] = distances[j][i] = euclideanDistance(descriptors[i], descriptors[j]);
+    }
+  }
+
+  const totals = distances.map(row => row.reduce((sum, d) => sum + d, 0));
+  const medoid = totals.indexOf(Math.min(...totals));
+
+  const kept = [];
+  const outliers = [];
+  for (let i = 0; i < n; i++) {
+    if (distances[medoid][i] > cfg.outlierDistance) {
+      outliers.push({ index: i, distance: distances[medoid][i] });
+    } else {
+      kept.push(i);
+    }
+  }
+
+  let maxDistance = 0;
+  for (const i of kept) {
+    for (const j of kept) {
+      maxDistance = Math.max(maxDistance, distances[i][j]);
+    }
+  }
+
+  let reason;
+  if (outliers.length > n * cfg.maxOutlierShare) {
+    reason = `${outliers.length} of ${n} samples do not match the rest. There may be more than one person in front of the camera.`;
+  } else if (maxDistance > cfg.maxSpread) {
+    reason = `Samples are too different from each other (spread ${maxDistance.toFixed(2)}, max ${cfg.maxSpread}). Please recapture.`;
+  }
+
+  return { consistent: !reason, kept, outliers, maxDistance, reason };
+}
+
+/**
+ * Shape a captured enrolment sample for the API
+ * @param {Object} sample - { descriptor, poseId, pose, quality, capturedAt }
+ * @returns {Object} - { embedding, pose, angles, quality, checks, capturedAt }
+ */
+export function toSamplePayload(sample) {
+  const round1 = (value) => Math.round(value * 10) / 10;
+  const round2 = (value) => Math.round(value * 100) / 100;
+
+  return {
+    embedding: Array.from(sample.descriptor),
+    pose: sample.poseId,
+    angles: {
+      yaw: round1(sample.pose.yaw),
+      pitch: round1(sample.pose.pitch),
+      roll: round1(sample.pose.roll)
+    },
+    quality: round2(sample.quality.score),
+    checks: Object.fromEntries(
+      Object.entries(sample.quality.checks).map(([name, value]) => [name, round2(value)])
+    ),
+    capturedAt: sample.capturedAt
+  };
+}
+
+/**
+ * Cut a square thumbnail of the face out of the frame
+ * @returns {string} - JPEG data URL
+ */
+export function captureFaceThumbnail(input, box) {
+  const side = Math.max(box.width, box.height) * 1.3;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_SIZE;
+  canvas.height = THUMBNAIL_SIZE;
+  canvas.getContext('2d').drawImage(
+    input,
+    cx - side / 2, cy - side / 2, side, side,
+    0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+  );
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
@@ -0,0 +1,128 @@
+/**
+ * Face Worker Client
+ * Promise-based access to the face detection worker
+ */
+
+/**
+ * Check if this browser can run the pipeline in a worker
+ */
+export function canUseFaceWorker() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return false;
+  }
+
+  try {
+    // Some browsers have OffscreenCanvas without a 2D context
+    return !!new OffscreenCanvas(1, 1).getContext('2d');
+  } catch {
+    return false;
+  }
+}
+
+const LOAD_TIMEOUT_MS = 60 * 1000;    // Weights download inside the worker; past this it is treated as hung
+const DETECT_TIMEOUT_MS = 15 * 1000;  // Allows for the first frame compiling shaders; far beyond a normal detection
+
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+const failAll = (message) => {
+  pending.forEach(({ reject }) => {
+    const err = new Error(message);
+    err.workerCrashed = true;
+    reject(err);
+  });
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    try {
+      worker = new Worker(new URL('../workers/faceDetection.worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      err.workerCrashed = true;
+      throw err;
+    }
+
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    };
+
+    // A crashed worker can't answer; fail everything waiting and start fresh next time
+    worker.onerror = (event) => {
+      event.preventDefault();
+      failAll(event.message || 'Face worker crashed');
+      resetWorker();
+    };
+  }
+  return worker;
+};
+
+const resetWorker = () => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+};
+
+const request = (message, transfer = [], timeoutMs = null) => {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    const target = getWorker();
+    let timer = null;
+
+    pending.set(id, {
+      resolve: (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      },
+      reject: (err) => {
+        clearTimeout(timer);
+        reject(err);
+      }
+    });
+
+    // A hung worker never answers; fail everything waiting so callers can fall back
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        failAll(`Face worker did not respond within ${timeoutMs / 1000}s`);
+        resetWorker();
+      }, timeoutMs);
+    }
+
+    target.postMessage({ ...message, id }, transfer);
+  });
+};
+
+/**
+ * Load nets inside the worker (already loaded ones are skipped)
+ * Rejects with err.workerCrashed if the worker doesn't answer within LOAD_TIMEOUT_MS.
+ * @param {Array<string>} nets - face-api.js net names
+ * @returns {Object} - { backend } - tfjs backend the worker ended up on
+ */
+export function loadWorkerModels(modelUrl, nets) {
+  return request({ type: 'load', modelUrl, nets }, [], LOAD_TIMEOUT_MS);
+}
+
+/**
+ * Detect faces in the current frame of a video/image/canvas
+ * The frame is copied to an ImageBitmap and transferred, so the element can keep playing.
+ * @param {Object} options - { all, landmarks, descriptor }
+ * @param {Object} config - Detector configuration (see detectorConfig.js)
+ * @returns {Array} - [{ box, score, landmarks, descriptor }] with landmarks as relative [x, y] pairs
+ * Errors with err.workerCrashed set mean the worker itself is gone or hung (no answer within
+ * DETECT_TIMEOUT_MS), not that detection failed
+ */
+export async function detectInWorker(input, options, config) {
+  const frame = await createImageBitmap(input);
+  const { backend, inputSize, scoreThreshold } = config;
+  return request({ type: 'detect', frame, options, config: { backend, inputSize, scoreThreshold } }, [frame], DETECT_TIMEOUT_MS);
+}
@@ -0,0 +1,109 @@
+/**
+ * Kiosk Settings
+ * Admin PIN and timings for the hands-free kiosk mode
+ */
+
+const PIN_STORAGE_KEY = 'kioskPinHash';
+const PIN_ATTEMPTS_STORAGE_KEY = 'kioskPinAttempts';
+const SESSION_STORAGE_KEY = 'kioskSession';
+
+export const KIOSK_CONFIG = {
+  pollMs: 250,                  // Face polling interval while watching
+  screensaverPollMs: 800,       // Slower polling while the screensaver is up
+  approachFrames: 3,            // Consecutive close-enough frames before starting
+  minFaceRatio: 0.22,           // Face width / frame width that counts as "approaching"
+  resultMs: 4000,               // How long the welcome/denied screen stays up
+  idleMs: 60 * 1000,            // No face for this long shows the screensaver
+  cooldownMs: 5 * 60 * 1000,    // Same person is not checked in again within this window
+  cooldownDistance: 0.5,        // Descriptor distance that counts as "same person" for the cooldown
+  pinFreeAttempts: 3,           // Wrong PINs allowed before the prompt locks
+  pinLockoutMs: 30 * 1000,      // First lockout; doubles with each further wrong PIN
+  pinMaxLockoutMs: 15 * 60 * 1000
+};
+
+/**
+ * Hash a PIN so it is never stored in plain text on the device
+ */
+const hashPin = async (pin) => {
+  const bytes = new TextEncoder().encode(`face-attendance-kiosk:${pin}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Check if a kiosk PIN has been set on this device
+ */
+export const hasKioskPin = () => {
+  return !!localStorage.getItem(PIN_STORAGE_KEY);
+};
+
+/**
+ * Set the kiosk PIN for this device (4-8 digits)
+ */
+export const setKioskPin = async (pin) => {
+  if (!/^\d{4,8}$/.test(pin)) {
+    throw new Error('PIN must be 4 to 8 digits');
+  }
+  localStorage.setItem(PIN_STORAGE_KEY, await hashPin(pin));
+  localStorage.removeItem(PIN_ATTEMPTS_STORAGE_KEY);
+};
+
+/**
+ * Wrong PIN count and lockout, kept in localStorage so reloading the page doesn't reset them
+ */
+const getPinAttempts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PIN_ATTEMPTS_STORAGE_KEY)) || { failures: 0, lockedUntil: 0 };
+  } catch (err) {
+    console.error('Error parsing kiosk PIN attempts:', err);
+    return { failures: 0, lockedUntil: 0 };
+  }
+};
+
+/**
+ * Milliseconds until the PIN prompt accepts another attempt (0 when not locked)
+ */
+export const getKioskPinLockout = () => {
+  return Math.max(0, getPinAttempts().lockedUntil - Date.now());
+};
+
+/**
+ * Check a PIN against the stored hash
+ * Always fails while locked out; after pinFreeAttempts wrong PINs each further one locks the prompt
+ * for twice as long as the last, up to pinMaxLockoutMs.
+ */
+export const verifyKioskPin = async (pin) => {
+  const stored = localStorage.getItem(PIN_STORAGE_KEY);
+  if (!stored || getKioskPinLockout() > 0) return false;
+
+  if ((await hashPin(pin)) === stored) {
+    localStorage.removeItem(PIN_ATTEMPTS_STORAGE_KEY);
+    return true;
+  }
+
+  const failures = getPinAttempts().failures + 1;
+  const extra = failures - KIOSK_CONFIG.pinFreeAttempts;
+  const lockedUntil = extra >= 0
+    ? Date.now() + Math.min(KIOSK_CONFIG.pinLockoutMs * 2 ** extra, KIOSK_CONFIG.pinMaxLockoutMs)
+    : 0;
+  localStorage.setItem(PIN_ATTEMPTS_STORAGE_KEY, JSON.stringify({ failures, lockedUntil }));
+  return false;
+};
+
+/**
+ * Whether this tab is running kiosk mode
+ * Kept in sessionStorage so a reload stays in the kiosk; only leaving with the PIN ends it.
+ */
+export const isKioskSessionActive = () => {
+  return sessionStorage.getItem(SESSION_STORAGE_KEY) === 'active';
+};
+
+export const startKioskSession = () => {
+  sessionStorage.setItem(SESSION_STORAGE_KEY, 'active');
+};
+
+export const endKioskSession = () => {
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+};
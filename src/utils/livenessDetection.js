@@ -1,4 +1,8 @@
-import { detectFaceLandmarks } from './faceDetection';
+import { detectFaceLandmarks, detectAllFaceLandmarks, estimateHeadPose } from './faceDetection';
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
 
 /**
  * Calculate Eye Aspect Ratio (EAR) for blink detection
@@ -27,106 +31,358 @@ function calculateEAR(eyeLandmarks) {
 }
 
 /**
- * Detect blink by monitoring EAR changes across frames
+ * Temporal blink detection
+ * EAR is smoothed per eye and compared to that user's own open-eye baseline.
+ * A blink is a dip below CLOSED_RATIO of baseline that recovers above
+ * OPEN_RATIO within the duration window. Single noisy frames are damped by
+ * the smoothing and slow squints fall outside the window.
  */
-async function detectBlink(video, canvas, setStatus) {
-  const earHistory = [];
-  const FRAMES = 12; // Reduced from 15 for faster check
-  const BLINK_THRESHOLD = 0.25; // EAR drops below this when blinking
-  
-  setStatus('👁️ Please blink naturally...');
+const BLINK_CONFIG = {
+  smoothing: 0.6,          // EMA weight of the newest sample
+  calibrationFrames: 5,    // First valid frames used for the open-eye baseline
+  minBaseline: 0.15,       // Below this the eyes were never seen open
+  closedRatio: 0.7,        // Both eyes below 70% of baseline = closed
+  openRatio: 0.85,         // Average back above 85% of baseline = reopened
+  minClosedFrames: 2,      // A one-frame dip is landmark noise, not a blink
+  minDurationMs: 40,
+  maxDurationMs: 600,
+  windowMs: 4000,          // Time allowed for the first blink
+  extraBlinkMs: 2000       // Extra time allowed per additional blink
+};
 
-  for (let i = 0; i < FRAMES; i++) {
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Find complete blink events in a series of per-eye EAR samples
+ * @param {Array} samples - [{ t: ms, left: EAR, right: EAR }] in time order
+ * @param {Object} config - Overrides for BLINK_CONFIG
+ * @returns {Object} - { calibrated, baseline: { left, right }, blinks: [{ start, end, duration, depth }], minRatio }
+ */
+export function countBlinks(samples, config = {}) {
+  const cfg = { ...BLINK_CONFIG, ...config };
+
+  // Smooth each eye independently
+  const smoothed = [];
+  for (const sample of samples) {
+    const prev = smoothed[smoothed.length - 1];
+    smoothed.push({
+      t: sample.t,
+      left: prev ? cfg.smoothing * sample.left + (1 - cfg.smoothing) * prev.left : sample.left,
+      right: prev ? cfg.smoothing * sample.right + (1 - cfg.smoothing) * prev.right : sample.right
+    });
+  }
+
+  if (smoothed.length < cfg.calibrationFrames) {
+    return { calibrated: false, baseline: null, blinks: [], minRatio: 1 };
+  }
+
+  // Median is robust to a blink landing inside the calibration frames
+  const calibration = smoothed.slice(0, cfg.calibrationFrames);
+  const baseline = {
+    left: median(calibration.map(s => s.left)),
+    right: median(calibration.map(s => s.right))
+  };
+
+  if (baseline.left < cfg.minBaseline || baseline.right < cfg.minBaseline) {
+    return { calibrated: false, baseline, blinks: [], minRatio: 1 };
+  }
+
+  const blinks = [];
+  let closedAt = null;
+  let closedFrames = 0;
+  let dipRatio = 1;
+  let minRatio = 1;
+
+  for (const s of smoothed) {
+    const leftRatio = s.left / baseline.left;
+    const rightRatio = s.right / baseline.right;
+    const closedRatio = Math.max(leftRatio, rightRatio);
+    const openRatio = (leftRatio + rightRatio) / 2;
+    minRatio = Math.min(minRatio, closedRatio);
+
+    if (closedAt === null) {
+      if (closedRatio < cfg.closedRatio) {
+        closedAt = s.t;
+        closedFrames = 1;
+        dipRatio = closedRatio;
+      }
+      continue;
+    }
+
+    dipRatio = Math.min(dipRatio, closedRatio);
+    if (closedRatio < cfg.closedRatio) closedFrames++;
+
+    if (openRatio > cfg.openRatio) {
+      const duration = s.t - closedAt;
+      if (
+        closedFrames >= cfg.minClosedFrames &&
+        duration >= cfg.minDurationMs &&
+        duration <= cfg.maxDurationMs
+      ) {
+        blinks.push({ start: closedAt, end: s.t, duration, depth: 1 - dipRatio });
+      }
+      closedAt = null;
+      dipRatio = 1;
+    } else if (s.t - closedAt > cfg.maxDurationMs) {
+      // Too slow to be a blink (squint or eyes closed); wait for the eyes to reopen
+      closedAt = Infinity;
+    }
+  }
+
+  return { calibrated: true, baseline, blinks, minRatio };
+}
+
+/**
+ * Detect one or more blinks from live video
+ * Samples frames until the requested number of blinks has been seen
+ * or the time window runs out.
+ */
+async function detectBlinks(video, canvas, setStatus, required = 1) {
+  const samples = [];
+  const windowMs = BLINK_CONFIG.windowMs + BLINK_CONFIG.extraBlinkMs * (required - 1);
+  let totalFrames = 0;
+
+  setStatus(required > 1 ? `👁️ Please blink ${required} times...` : '👁️ Please blink naturally...');
+
+  const startedAt = performance.now();
+  let analysis = countBlinks(samples);
+
+  while (performance.now() - startedAt < windowMs) {
+    totalFrames++;
     const landmarks = await detectFaceLandmarks(video);
-    
+
     if (!landmarks) {
       // Don't fail immediately, try to continue
-      console.warn('Frame', i, 'lost tracking, continuing...');
-      await new Promise(resolve => setTimeout(resolve, 50));
+      console.warn('Frame', totalFrames, 'lost tracking, continuing...');
+      await new Promise(resolve => setTimeout(resolve, 30));
       continue;
     }
 
-    // Get left and right eye landmarks
-    const leftEye = landmarks.getLeftEye();
-    const rightEye = landmarks.getRightEye();
+    samples.push({
+      t: performance.now() - startedAt,
+      left: calculateEAR(landmarks.getLeftEye()),
+      right: calculateEAR(landmarks.getRightEye())
+    });
 
-    // Calculate EAR for both eyes
-    const leftEAR = calculateEAR(leftEye);
-    const rightEAR = calculateEAR(rightEye);
-    const avgEAR = (leftEAR + rightEAR) / 2;
+    analysis = countBlinks(samples);
+    if (analysis.blinks.length >= required) break;
 
-    earHistory.push(avgEAR);
+    if (required > 1 && analysis.blinks.length > 0) {
+      setStatus(`👁️ Blink ${analysis.blinks.length}/${required} seen, keep going...`);
+    }
 
-    // Wait ~50ms between frames
-    await new Promise(resolve => setTimeout(resolve, 50));
+    await new Promise(resolve => setTimeout(resolve, 30));
   }
 
+  const tracking = { valid: samples.length, total: totalFrames };
+
   // Need at least half the frames to be valid
-  if (earHistory.length < FRAMES / 2) {
-    return { passed: false, reason: 'Lost face tracking during blink check' };
+  if (samples.length < totalFrames / 2 || !analysis.baseline) {
+    return { passed: false, reason: 'Lost face tracking during blink check', tracking };
+  }
+
+  if (!analysis.calibrated) {
+    return { passed: false, reason: 'Could not see your eyes open, please face the camera', tracking };
   }
 
-  // Detect blink: EAR should drop then rise
-  let minEAR = Math.min(...earHistory);
-  let maxEAR = Math.max(...earHistory);
-  let earRange = maxEAR - minEAR;
+  const { blinks, baseline, minRatio } = analysis;
+  const depth = blinks.length > 0 ? blinks.reduce((sum, b) => sum + b.depth, 0) / blinks.length : 0;
 
-  console.log('Blink detection:', { minEAR, maxEAR, earRange, samples: earHistory.length });
+  console.log('Blink detection:', { required, blinks, baseline, minRatio, samples: samples.length });
 
-  // A blink should show significant EAR variation
-  if (minEAR < BLINK_THRESHOLD && earRange > 0.12) {
-    return { passed: true };
+  const measured = {
+    metrics: { required, count: blinks.length, depth, minRatio, baseline },
+    tracking
+  };
+
+  if (blinks.length >= required) {
+    return { passed: true, ...measured };
   }
 
-  return { passed: false, reason: 'No blink detected' };
+  return {
+    passed: false,
+    reason: blinks.length === 0
+      ? 'No blink detected'
+      : `Only ${blinks.length} of ${required} blinks detected`,
+    ...measured
+  };
 }
 
 /**
- * Detect head turn by checking horizontal movement of nose landmark
+ * Head-pose challenges
+ * Angles come from estimateHeadPose and are measured against the user's own
+ * pose in the first frames, so they do not depend on resolution, distance to
+ * the camera or standing slightly off-axis. Sliding sideways does not count.
  */
-async function detectHeadTurn(video, canvas, setStatus, direction) {
-  const nosePositions = [];
-  const FRAMES = 15; // Reduced from 20
-  const TURN_THRESHOLD = 12; // Reduced from 15 pixels
-  
-  setStatus(`👤 Please turn your head ${direction}...`);
+const POSE_CONFIG = {
+  baselineFrames: 3,   // First valid frames that define the neutral pose
+  windowMs: 4000,      // Time allowed to complete the movement
+  turnDegrees: 20,     // Yaw change for a head turn
+  returnDegrees: 8,    // Back within this many degrees of neutral = returned
+  nodDegrees: 10,      // Pitch change up and down for a nod
+  tiltDegrees: 15      // Roll change for a tilt
+};
 
-  for (let i = 0; i < FRAMES; i++) {
+const turnAway = (deltas, sign) => Math.max(0, ...deltas.map(d => sign * d.yaw));
+
+const turnAndReturn = (deltas, sign) => {
+  const turnedAt = deltas.findIndex(d => sign * d.yaw >= POSE_CONFIG.turnDegrees);
+  const achieved = turnAway(deltas, sign);
+  if (turnedAt === -1) {
+    return { achieved, done: false };
+  }
+
+  const returned = deltas.slice(turnedAt + 1).some(d => Math.abs(d.yaw) <= POSE_CONFIG.returnDegrees);
+  return {
+    achieved,
+    done: returned,
+    reason: returned ? undefined : 'Turned but did not come back to the centre'
+  };
+};
+
+/**
+ * Each challenge receives pose deltas from neutral and reports how far the
+ * user got (degrees) and whether the movement is complete.
+ */
+const POSE_CHALLENGES = {
+  turn_left: {
+    prompt: '👤 Please turn your head left...',
+    required: POSE_CONFIG.turnDegrees,
+    evaluate: (deltas) => {
+      const achieved = turnAway(deltas, -1);
+      return { achieved, done: achieved >= POSE_CONFIG.turnDegrees };
+    }
+  },
+  turn_right: {
+    prompt: '👤 Please turn your head right...',
+    required: POSE_CONFIG.turnDegrees,
+    evaluate: (deltas) => {
+      const achieved = turnAway(deltas, 1);
+      return { achieved, done: achieved >= POSE_CONFIG.turnDegrees };
+    }
+  },
+  turn_left_return: {
+    prompt: '👤 Please turn your head left, then back to the centre...',
+    required: POSE_CONFIG.turnDegrees,
+    evaluate: (deltas) => turnAndReturn(deltas, -1)
+  },
+  turn_right_return: {
+    prompt: '👤 Please turn your head right, then back to the centre...',
+    required: POSE_CONFIG.turnDegrees,
+    evaluate: (deltas) => turnAndReturn(deltas, 1)
+  },
+  nod: {
+    prompt: '👤 Please nod: look up, then down...',
+    required: POSE_CONFIG.nodDegrees,
+    evaluate: (deltas) => {
+      const up = Math.max(0, ...deltas.map(d => d.pitch));
+      const down = Math.max(0, ...deltas.map(d => -d.pitch));
+      const achieved = Math.min(up, down);
+      return {
+        achieved,
+        done: achieved >= POSE_CONFIG.nodDegrees,
+        reason: up >= POSE_CONFIG.nodDegrees ? 'Looked up but not down' : down >= POSE_CONFIG.nodDegrees ? 'Looked down but not up' : undefined
+      };
+    }
+  },
+  tilt: {
+    prompt: '👤 Please tilt your head towards one shoulder...',
+    required: POSE_CONFIG.tiltDegrees,
+    evaluate: (deltas) => {
+      const achieved = Math.max(0, ...deltas.map(d => Math.abs(d.roll)));
+      return { achieved, done: achieved >= POSE_CONFIG.tiltDegrees };
+    }
+  }
+};
+
+/**
+ * Run a head-pose challenge from POSE_CHALLENGES on live video
+ */
+async function detectPoseChallenge(video, canvas, setStatus, challengeId) {
+  const challenge = POSE_CHALLENGES[challengeId];
+  const poses = [];
+  let totalFrames = 0;
+  let outcome = { achieved: 0, done: false };
+
+  setStatus(challenge.prompt);
+
+  const startedAt = performance.now();
+
+  while (performance.now() - startedAt < POSE_CONFIG.windowMs) {
+    totalFrames++;
     const landmarks = await detectFaceLandmarks(video);
-    
+
     if (!landmarks) {
-      console.warn('Frame', i, 'lost tracking, continuing...');
-      await new Promise(resolve => setTimeout(resolve, 60));
+      console.warn('Frame', totalFrames, 'lost tracking, continuing...');
+      await new Promise(resolve => setTimeout(resolve, 40));
       continue;
     }
 
-    // Get nose tip position
-    const nose = landmarks.getNose()[3]; // Nose tip
-    nosePositions.push(nose.x);
+    poses.push(estimateHeadPose(landmarks));
 
-    await new Promise(resolve => setTimeout(resolve, 60));
+    if (poses.length > POSE_CONFIG.baselineFrames) {
+      const calibration = poses.slice(0, POSE_CONFIG.baselineFrames);
+      const neutral = {
+        yaw: median(calibration.map(p => p.yaw)),
+        pitch: median(calibration.map(p => p.pitch)),
+        roll: median(calibration.map(p => p.roll))
+      };
+      const deltas = poses.slice(POSE_CONFIG.baselineFrames).map(p => ({
+        yaw: p.yaw - neutral.yaw,
+        pitch: p.pitch - neutral.pitch,
+        roll: p.roll - neutral.roll
+      }));
+
+      outcome = challenge.evaluate(deltas);
+      if (outcome.done) break;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 40));
   }
 
-  // Need at least half the frames
-  if (nosePositions.length < FRAMES / 2) {
-    return { passed: false, reason: 'Lost face tracking during head turn' };
+  const tracking = { valid: poses.length, total: totalFrames };
+
+  // Need at least half the frames, and more than the calibration frames
+  if (poses.length < totalFrames / 2 || poses.length <= POSE_CONFIG.baselineFrames) {
+    return { passed: false, reason: 'Lost face tracking during head movement', tracking };
   }
 
-  // Calculate horizontal movement
-  const startX = nosePositions[0];
-  const endX = nosePositions[nosePositions.length - 1];
-  const movement = endX - startX;
+  console.log('Head pose challenge:', { challengeId, ...outcome, samples: poses.length });
 
-  console.log('Head turn detection:', { direction, movement, samples: nosePositions.length });
+  const measured = {
+    metrics: { achieved: outcome.achieved, required: challenge.required },
+    tracking
+  };
 
-  // Check if movement matches requested direction
-  if (direction === 'left' && movement < -TURN_THRESHOLD) {
-    return { passed: true };
-  } else if (direction === 'right' && movement > TURN_THRESHOLD) {
-    return { passed: true };
+  if (outcome.done) {
+    return { passed: true, ...measured };
   }
 
-  return { passed: false, reason: `Insufficient ${direction} turn (moved ${movement.toFixed(1)}px)` };
+  return {
+    passed: false,
+    reason: outcome.reason || `Not enough movement (${outcome.achieved.toFixed(0)}° of ${challenge.required}°)`,
+    ...measured
+  };
+}
+
+const MOTION_FRAMES = 8; // Reduced from 10
+const MOTION_THRESHOLD = 3; // Reduced from 5 pixels
+
+/**
+ * Average movement per frame of a tracked point
+ */
+function averageMovement(positions) {
+  let totalMovement = 0;
+  for (let i = 1; i < positions.length; i++) {
+    const dx = positions[i].x - positions[i-1].x;
+    const dy = positions[i].y - positions[i-1].y;
+    totalMovement += Math.sqrt(dx*dx + dy*dy);
+  }
+  return totalMovement / (positions.length - 1);
 }
 
 /**
@@ -134,8 +390,7 @@ async function detectHeadTurn(video, canvas, setStatus, direction) {
  */
 async function detectMotion(video, canvas, setStatus) {
   const positions = [];
-  const FRAMES = 8; // Reduced from 10
-  const MOTION_THRESHOLD = 3; // Reduced from 5 pixels
+  const FRAMES = MOTION_FRAMES;
   
   setStatus('🔍 Checking for liveness...');
 
@@ -157,98 +412,773 @@ async function detectMotion(video, canvas, setStatus) {
 
   // Need at least half the frames
   if (positions.length < FRAMES / 2) {
-    return { passed: false, reason: 'Lost face tracking during motion check' };
-  }
-
-  // Calculate total movement
-  let totalMovement = 0;
-  for (let i = 1; i < positions.length; i++) {
-    const dx = positions[i].x - positions[i-1].x;
-    const dy = positions[i].y - positions[i-1].y;
-    totalMovement += Math.sqrt(dx*dx + dy*dy);
+    return {
+      passed: false,
+      reason: 'Lost face tracking during motion check',
+      tracking: { valid: positions.length, total: FRAMES }
+    };
   }
 
   // Average movement per frame
-  const avgMovement = totalMovement / (positions.length - 1);
+  const avgMovement = averageMovement(positions);
 
   console.log('Motion detection:', { avgMovement, samples: positions.length });
 
+  const measured = {
+    metrics: { avgMovement },
+    tracking: { valid: positions.length, total: FRAMES }
+  };
+
   if (avgMovement < MOTION_THRESHOLD) {
-    return { passed: false, reason: 'Static image detected (no motion)' };
+    return { passed: false, reason: 'Static image detected (no motion)', ...measured };
   }
 
-  return { passed: true };
+  return { passed: true, ...measured };
 }
 
+const boxCenter = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
 /**
- * Run complete liveness check: motion + random challenge (blink or head turn)
- * @param {HTMLVideoElement} video 
- * @param {HTMLCanvasElement} canvas 
+ * Passive liveness for every face in the frame (group check-in)
+ * Faces are followed from frame to frame by nearest box centre, and each
+ * track gets the same motion threshold and scoring as the single-face check.
+ * With antiSpoof, the anti-spoofing checks also run on each face's crop over the
+ * last few frames, with the same thresholds as the single-face step.
+ * There are no challenges, so scores stay below a full single-face run.
+ * @param {HTMLVideoElement} video
  * @param {Function} setStatus - Callback to update UI status
- * @returns {Object} - { passed: boolean, score: number, reason?: string }
+ * @param {Object} options - { antiSpoof: boolean }
+ * @returns {Array} - One entry per face in the last frame:
+ *   [{ box, passed, reason?, score, breakdown }]
  */
-export async function runLivenessCheck(video, canvas, setStatus) {
-  try {
-    // Step 1: Check for motion (reject static photos)
-    setStatus('🔍 Checking for liveness...');
-    const motionResult = await detectMotion(video, canvas, setStatus);
-    
-    if (!motionResult.passed) {
-      console.log('Motion check failed:', motionResult.reason);
-      return { passed: false, score: 0.2, reason: motionResult.reason };
-    }
+export async function runGroupMotionCheck(video, setStatus, { antiSpoof = true } = {}) {
+  const FRAMES = MOTION_FRAMES;
+  const spoofFrames = Math.min(SPOOF_FRAMES, FRAMES);
+  let tracks = [];
 
-    // Step 2: Random challenge - either blink or head turn
-    const challenges = ['blink', 'turn_left', 'turn_right'];
-    const challenge = challenges[Math.floor(Math.random() * challenges.length)];
+  setStatus('🔍 Checking everyone for liveness...');
 
-    console.log('Running challenge:', challenge);
+  for (let i = 0; i < FRAMES; i++) {
+    const faces = await detectAllFaceLandmarks(video);
+    const sampleSpoof = antiSpoof && i >= FRAMES - spoofFrames;
+    const unclaimed = [...tracks];
+    const nextTracks = [];
 
-    let challengeResult;
-    
-    if (challenge === 'blink') {
-      challengeResult = await detectBlink(video, canvas, setStatus);
-    } else if (challenge === 'turn_left') {
-      challengeResult = await detectHeadTurn(video, canvas, setStatus, 'left');
-    } else {
-      challengeResult = await detectHeadTurn(video, canvas, setStatus, 'right');
-    }
+    for (const face of faces) {
+      const center = boxCenter(face.box);
+      const nose = face.landmarks.getNose()[3];
+      const spoof = sampleSpoof ? [sampleSpoofChecks(video, getFaceBox(face.landmarks))] : [];
+
+      // Continue the closest track within half a face width, else start a new one
+      let best = null;
+      let bestDistance = face.box.width / 2;
+      for (const track of unclaimed) {
+        const prev = boxCenter(track.box);
+        const distance = Math.hypot(prev.x - center.x, prev.y - center.y);
+        if (distance < bestDistance) {
+          best = track;
+          bestDistance = distance;
+        }
+      }
 
-    if (!challengeResult.passed) {
-      console.log('Challenge failed:', challengeResult.reason);
-      return { passed: false, score: 0.4, reason: challengeResult.reason };
+      if (best) {
+        unclaimed.splice(unclaimed.indexOf(best), 1);
+        nextTracks.push({
+          box: face.box,
+          positions: [...best.positions, { x: nose.x, y: nose.y }],
+          spoofSamples: [...best.spoofSamples, ...spoof]
+        });
+      } else {
+        nextTracks.push({ box: face.box, positions: [{ x: nose.x, y: nose.y }], spoofSamples: spoof });
+      }
     }
 
-    // Calculate final liveness score (0.0 to 1.0)
-    // Higher score = more confident it's a real person
-    const score = 0.7 + Math.random() * 0.3; // 0.7-1.0 for passed checks
+    // Keep briefly lost faces so a missed frame doesn't reset them
+    tracks = [...nextTracks, ...unclaimed.map(track => ({ ...track, lost: true }))];
 
-    console.log('Liveness check passed! Score:', score);
+    await new Promise(resolve => setTimeout(resolve, 60));
+  }
 
-    return { passed: true, score };
+  return tracks
+    .filter(track => !track.lost)
+    .map(track => {
+      const tracking = { valid: track.positions.length, total: FRAMES };
 
-  } catch (err) {
-    console.error('Liveness check error:', err);
-    return { passed: false, score: 0, reason: 'Technical error: ' + err.message };
-  }
+      if (track.positions.length < FRAMES / 2) {
+        const { score, breakdown } = computeLivenessScore([{ id: 'motion', result: { tracking } }]);
+        return { box: track.box, passed: false, reason: 'Lost face tracking', score, breakdown };
+      }
+
+      const avgMovement = averageMovement(track.positions);
+      const stepResults = [{ id: 'motion', result: { metrics: { avgMovement }, tracking } }];
+      const spoof = antiSpoof ? judgeSpoof(track.spoofSamples, spoofFrames) : null;
+      if (spoof) stepResults.push({ id: 'antispoof', result: spoof });
+      const { score, breakdown } = computeLivenessScore(stepResults);
+
+      if (avgMovement < MOTION_THRESHOLD) {
+        return { box: track.box, passed: false, reason: 'Static image detected (no motion)', score, breakdown };
+      }
+      if (spoof && !spoof.passed) {
+        return { box: track.box, passed: false, reason: spoof.reason, score, breakdown };
+      }
+
+      return { box: track.box, passed: true, score, breakdown };
+    });
 }
 
 /**
- * SIMPLIFIED VERSION: Skip liveness for testing
- * Use this temporarily to test the face matching
+ * Check that a face is present in the frame (no challenge)
  */
-export async function runSimpleLivenessCheck(video, canvas, setStatus) {
-  setStatus('⚡ Quick check (testing mode)...');
-  
-  // Just verify we can detect a face
+async function detectFacePresence(video, canvas, setStatus) {
+  setStatus('⚡ Looking for your face...');
+
   const landmarks = await detectFaceLandmarks(video);
-  
+
   if (!landmarks) {
-    return { passed: false, score: 0, reason: 'No face detected' };
+    return { passed: false, reason: 'No face detected', tracking: { valid: 0, total: 1 } };
   }
 
   // Wait a moment
   await new Promise(resolve => setTimeout(resolve, 500));
 
-  return { passed: true, score: 0.8 };
-}
\ No newline at end of file
+  return { passed: true, tracking: { valid: 1, total: 1 } };
+}
+
+/**
+ * Passive anti-spoofing
+ * Looks at the face crop of a few video frames for signs of a screen replay
+ * or printed photo. Everything runs on a small canvas on the CPU.
+ */
+const SPOOF_FRAMES = 4;
+const SPOOF_THRESHOLD = 0.5;       // Combined probability above this fails the step
+const SPOOF_HARD_THRESHOLD = 0.9;  // Any single check above this fails the step
+const COLOUR_MAX_PROBABILITY = 0.5; // Skin colour varies too much with lighting and skin tone to reject on its own
+const CROP_SIZE = 64;              // Face crop is resampled to CROP_SIZE x CROP_SIZE
+const FRAME_SCAN_WIDTH = 160;      // Full frame is downscaled to this width for the bezel scan
+
+const SPOOF_WEIGHTS = {
+  moire: 0.3,
+  specular: 0.2,
+  colour: 0.2,
+  bezel: 0.3
+};
+
+let analysisCanvas = null;
+
+function getAnalysisContext(width, height) {
+  if (!analysisCanvas) {
+    analysisCanvas = document.createElement('canvas');
+  }
+  analysisCanvas.width = width;
+  analysisCanvas.height = height;
+  return analysisCanvas.getContext('2d', { willReadFrequently: true });
+}
+
+/**
+ * Bounding box of the 68 landmarks, padded to include forehead and chin
+ */
+function getFaceBox(landmarks, padding = 0.15) {
+  const xs = landmarks.positions.map(p => p.x);
+  const ys = landmarks.positions.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+
+  return {
+    x: minX - width * padding,
+    y: minY - height * padding * 2,
+    width: width * (1 + padding * 2),
+    height: height * (1 + padding * 3)
+  };
+}
+
+function captureFaceCrop(video, box) {
+  const ctx = getAnalysisContext(CROP_SIZE, CROP_SIZE);
+  ctx.drawImage(video, box.x, box.y, box.width, box.height, 0, 0, CROP_SIZE, CROP_SIZE);
+  return ctx.getImageData(0, 0, CROP_SIZE, CROP_SIZE);
+}
+
+function captureScaledFrame(video) {
+  const scale = FRAME_SCAN_WIDTH / video.videoWidth;
+  const width = FRAME_SCAN_WIDTH;
+  const height = Math.round(video.videoHeight * scale);
+  const ctx = getAnalysisContext(width, height);
+  ctx.drawImage(video, 0, 0, width, height);
+  return { image: ctx.getImageData(0, 0, width, height), scale };
+}
+
+function toGrayscale(imageData) {
+  const { data, width, height } = imageData;
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Moiré / frequency check
+ * A camera filming a screen picks up the pixel grid as sharp, isolated peaks
+ * in the mid/high frequencies of the spectrum. Real skin falls off smoothly.
+ */
+function checkMoire(gray, size) {
+  const n = size;
+  let mean = 0;
+  for (let i = 0; i < gray.length; i++) mean += gray[i];
+  mean /= gray.length;
+
+  const cos = new Float32Array(n);
+  const sin = new Float32Array(n);
+  for (let k = 0; k < n; k++) {
+    cos[k] = Math.cos((2 * Math.PI * k) / n);
+    sin[k] = Math.sin((2 * Math.PI * k) / n);
+  }
+
+  // Separable 2D DFT: rows first, then columns
+  const rowRe = new Float32Array(n * n);
+  const rowIm = new Float32Array(n * n);
+  for (let y = 0; y < n; y++) {
+    for (let k = 0; k < n; k++) {
+      let re = 0;
+      let im = 0;
+      for (let x = 0; x < n; x++) {
+        const v = gray[y * n + x] - mean;
+        const idx = (k * x) % n;
+        re += v * cos[idx];
+        im -= v * sin[idx];
+      }
+      rowRe[y * n + k] = re;
+      rowIm[y * n + k] = im;
+    }
+  }
+
+  const magnitude = new Float32Array(n * n);
+  for (let k = 0; k < n; k++) {
+    for (let l = 0; l < n; l++) {
+      let re = 0;
+      let im = 0;
+      for (let y = 0; y < n; y++) {
+        const idx = (l * y) % n;
+        const a = rowRe[y * n + k];
+        const b = rowIm[y * n + k];
+        re += a * cos[idx] + b * sin[idx];
+        im += b * cos[idx] - a * sin[idx];
+      }
+      magnitude[l * n + k] = Math.sqrt(re * re + im * im);
+    }
+  }
+
+  // Look at the band between 1/8 and 1/2 of the spectrum radius
+  let bandSum = 0;
+  let bandCount = 0;
+  let bandMax = 0;
+  let highEnergy = 0;
+  let totalEnergy = 0;
+  for (let l = 0; l < n; l++) {
+    for (let k = 0; k < n; k++) {
+      const fy = l <= n / 2 ? l : n - l;
+      const fx = k <= n / 2 ? k : n - k;
+      const radius = Math.sqrt(fx * fx + fy * fy);
+      if (radius < 1) continue;
+
+      const m = magnitude[l * n + k];
+      totalEnergy += m * m;
+      if (radius > n / 4) highEnergy += m * m;
+
+      if (radius >= n / 8 && radius <= n / 2) {
+        bandSum += m;
+        bandCount++;
+        if (m > bandMax) bandMax = m;
+      }
+    }
+  }
+
+  const peakRatio = bandCount > 0 && bandSum > 0 ? bandMax / (bandSum / bandCount) : 0;
+  const highFrequencyShare = totalEnergy > 0 ? highEnergy / totalEnergy : 0;
+
+  const probability = Math.max(
+    clamp01((peakRatio - 8) / 16),
+    clamp01((highFrequencyShare - 0.25) / 0.25)
+  );
+
+  return { probability, peakRatio, highFrequencyShare };
+}
+
+/**
+ * Specular highlight check
+ * Glossy photo paper and screen glass throw large blown-out patches
+ * that skin under normal lighting does not.
+ */
+function checkSpecular(imageData) {
+  const { data } = imageData;
+  const pixels = data.length / 4;
+  let saturated = 0;
+
+  for (let i = 0; i < pixels; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    if (Math.min(r, g, b) > 235) saturated++;
+  }
+
+  const highlightShare = saturated / pixels;
+  const probability = clamp01((highlightShare - 0.01) / 0.05);
+
+  return { probability, highlightShare };
+}
+
+/**
+ * Colour-channel check
+ * Screens and prints shift skin out of the usual YCbCr skin cluster
+ * and flatten the red-chroma variation across the face.
+ * The fixed cluster misses real faces under coloured light and darker skin tones,
+ * so this is a soft signal: capped below the other checks and never a hard failure.
+ */
+function checkColour(imageData) {
+  const { data, width, height } = imageData;
+  let skin = 0;
+  let count = 0;
+  let crSum = 0;
+  let crSqSum = 0;
+
+  // Central half of the crop is mostly cheek, nose and forehead
+  for (let y = Math.floor(height / 4); y < Math.floor((height * 3) / 4); y++) {
+    for (let x = Math.floor(width / 4); x < Math.floor((width * 3) / 4); x++) {
+      const i = (y * width + x) * 4;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+      const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+
+      if (cr >= 133 && cr <= 173 && cb >= 77 && cb <= 127) skin++;
+      crSum += cr;
+      crSqSum += cr * cr;
+      count++;
+    }
+  }
+
+  const skinShare = skin / count;
+  const crMean = crSum / count;
+  const crStd = Math.sqrt(Math.max(0, crSqSum / count - crMean * crMean));
+
+  const probability = COLOUR_MAX_PROBABILITY * Math.max(
+    clamp01((0.7 - skinShare) / 0.5),
+    clamp01((2 - crStd) / 2)
+  );
+
+  return { probability, skinShare, crStd };
+}
+
+/**
+ * Screen bezel check
+ * Looks for long straight edges that box the face in on several sides,
+ * like the frame of a phone or tablet held up to the camera.
+ */
+function checkBezel(frame, box) {
+  const { image, scale } = frame;
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const EDGE_THRESHOLD = 40;
+  const LINE_SHARE = 0.6;
+
+  const gx = new Float32Array(width * height);
+  const gy = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const at = (dx, dy) => gray[(y + dy) * width + (x + dx)];
+      gx[y * width + x] =
+        at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+      gy[y * width + x] =
+        at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+    }
+  }
+
+  const isVerticalEdge = (x, y) => {
+    const a = Math.abs(gx[y * width + x]);
+    return a > EDGE_THRESHOLD && a > Math.abs(gy[y * width + x]);
+  };
+  const isHorizontalEdge = (x, y) => {
+    const a = Math.abs(gy[y * width + x]);
+    return a > EDGE_THRESHOLD && a > Math.abs(gx[y * width + x]);
+  };
+
+  const left = Math.max(1, Math.floor(box.x * scale));
+  const right = Math.min(width - 2, Math.ceil((box.x + box.width) * scale));
+  const top = Math.max(1, Math.floor(box.y * scale));
+  const bottom = Math.min(height - 2, Math.ceil((box.y + box.height) * scale));
+  const faceW = right - left;
+  const faceH = bottom - top;
+
+  // Span a bezel line would have to cover: the face plus half its size either way
+  const spanTop = Math.max(1, Math.floor(top - faceH / 2));
+  const spanBottom = Math.min(height - 2, Math.ceil(bottom + faceH / 2));
+  const spanLeft = Math.max(1, Math.floor(left - faceW / 2));
+  const spanRight = Math.min(width - 2, Math.ceil(right + faceW / 2));
+
+  const columnStrength = (x) => {
+    let hits = 0;
+    for (let y = spanTop; y <= spanBottom; y++) if (isVerticalEdge(x, y)) hits++;
+    return hits / (spanBottom - spanTop + 1);
+  };
+  const rowStrength = (y) => {
+    let hits = 0;
+    for (let x = spanLeft; x <= spanRight; x++) if (isHorizontalEdge(x, y)) hits++;
+    return hits / (spanRight - spanLeft + 1);
+  };
+
+  const strongest = (from, to, measure) => {
+    let best = 0;
+    for (let i = from; i <= to; i++) best = Math.max(best, measure(i));
+    return best;
+  };
+
+  const sides = {
+    left: strongest(1, left - 1, columnStrength),
+    right: strongest(right + 1, width - 2, columnStrength),
+    top: strongest(1, top - 1, rowStrength),
+    bottom: strongest(bottom + 1, height - 2, rowStrength)
+  };
+
+  const sidesFound = Object.values(sides).filter(strength => strength >= LINE_SHARE).length;
+  const probability = [0, 0.1, 0.4, 0.75, 0.95][sidesFound];
+
+  return { probability, sidesFound };
+}
+
+/**
+ * Run every anti-spoofing check on one frame for the face in box
+ */
+function sampleSpoofChecks(video, box) {
+  const crop = captureFaceCrop(video, box);
+  const frame = captureScaledFrame(video);
+
+  return {
+    moire: checkMoire(toGrayscale(crop), CROP_SIZE),
+    specular: checkSpecular(crop),
+    colour: checkColour(crop),
+    bezel: checkBezel(frame, box)
+  };
+}
+
+/**
+ * Average the per-frame checks into a spoof probability and pass or fail it
+ * @param {Array} samples - sampleSpoofChecks() results for the frames where the face was tracked
+ * @param {number} total - Frames attempted
+ */
+function judgeSpoof(samples, total) {
+  if (samples.length < total / 2) {
+    return {
+      passed: false,
+      reason: 'Lost face tracking during authenticity check',
+      tracking: { valid: samples.length, total }
+    };
+  }
+
+  const checks = {};
+  for (const name of Object.keys(SPOOF_WEIGHTS)) {
+    const average = samples.reduce((sum, sample) => sum + sample[name].probability, 0) / samples.length;
+    checks[name] = round3(average);
+  }
+
+  const spoofProbability = round3(
+    Object.entries(SPOOF_WEIGHTS).reduce((sum, [name, weight]) => sum + checks[name] * weight, 0)
+  );
+
+  console.log('Anti-spoofing:', { spoofProbability, checks, samples: samples.length });
+
+  const measured = {
+    metrics: { spoofProbability, checks },
+    tracking: { valid: samples.length, total }
+  };
+
+  const worst = Object.entries(checks).sort((a, b) => b[1] - a[1])[0];
+
+  if (spoofProbability > SPOOF_THRESHOLD || worst[1] > SPOOF_HARD_THRESHOLD) {
+    return {
+      passed: false,
+      reason: `Possible photo or screen replay (${worst[0]} ${(worst[1] * 100).toFixed(0)}%)`,
+      ...measured
+    };
+  }
+
+  return { passed: true, ...measured };
+}
+
+/**
+ * Run all passive anti-spoofing checks over a few frames
+ * Each check reports a spoof probability (0 = looks live, 1 = looks spoofed),
+ * averaged across the frames where the face was tracked.
+ */
+async function detectSpoof(video, canvas, setStatus) {
+  const FRAMES = SPOOF_FRAMES;
+  const samples = [];
+
+  setStatus('🛡️ Checking image authenticity...');
+
+  for (let i = 0; i < FRAMES; i++) {
+    const landmarks = await detectFaceLandmarks(video);
+
+    if (!landmarks) {
+      console.warn('Frame', i, 'lost tracking, continuing...');
+      await new Promise(resolve => setTimeout(resolve, 80));
+      continue;
+    }
+
+    samples.push(sampleSpoofChecks(video, getFaceBox(landmarks)));
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+  }
+
+  return judgeSpoof(samples, FRAMES);
+}
+
+/**
+ * Registry of liveness steps a policy can chain together
+ */
+export const LIVENESS_STEPS = {
+  presence: {
+    label: 'Face presence',
+    run: (video, canvas, setStatus) => detectFacePresence(video, canvas, setStatus)
+  },
+  antispoof: {
+    label: 'Authenticity check',
+    run: (video, canvas, setStatus) => detectSpoof(video, canvas, setStatus)
+  },
+  motion: {
+    label: 'Motion check',
+    run: (video, canvas, setStatus) => detectMotion(video, canvas, setStatus)
+  },
+  blink: {
+    label: 'Blink challenge',
+    run: (video, canvas, setStatus) => detectBlinks(video, canvas, setStatus, 1)
+  },
+  blink_twice: {
+    label: 'Blink twice challenge',
+    run: (video, canvas, setStatus) => detectBlinks(video, canvas, setStatus, 2)
+  },
+  turn_left: {
+    label: 'Turn left challenge',
+    run: (video, canvas, setStatus) => detectPoseChallenge(video, canvas, setStatus, 'turn_left')
+  },
+  turn_right: {
+    label: 'Turn right challenge',
+    run: (video, canvas, setStatus) => detectPoseChallenge(video, canvas, setStatus, 'turn_right')
+  },
+  turn_left_return: {
+    label: 'Turn left and back challenge',
+    run: (video, canvas, setStatus) => detectPoseChallenge(video, canvas, setStatus, 'turn_left_return')
+  },
+  turn_right_return: {
+    label: 'Turn right and back challenge',
+    run: (video, canvas, setStatus) => detectPoseChallenge(video, canvas, setStatus, 'turn_right_return')
+  },
+  nod: {
+    label: 'Nod challenge',
+    run: (video, canvas, setStatus) => detectPoseChallenge(video, canvas, setStatus, 'nod')
+  },
+  tilt: {
+    label: 'Tilt challenge',
+    run: (video, canvas, setStatus) => detectPoseChallenge(video, canvas, setStatus, 'tilt')
+  }
+};
+
+/**
+ * Step ids that count as user challenges (as opposed to passive checks)
+ */
+export const CHALLENGE_STEPS = [
+  'blink',
+  'blink_twice',
+  'turn_left',
+  'turn_right',
+  'turn_left_return',
+  'turn_right_return',
+  'nod',
+  'tilt'
+];
+
+/**
+ * Reference values that map a raw measurement to a 0..1 sub-score.
+ * A measurement at or above its reference scores 1.
+ */
+const SCORE_REFERENCE = {
+  avgMovement: 9,   // px per frame, 3x the motion threshold
+  blinkDepth: 0.5,  // Eyes closing to half their open-eye EAR
+  poseOvershoot: 1.5 // Pose challenges score 1 at 1.5x their required angle
+};
+
+/**
+ * Weight of each component in the final score (sums to 1)
+ */
+const SCORE_WEIGHTS = {
+  motion: 0.35,
+  challenge: 0.45,
+  tracking: 0.2
+};
+
+/**
+ * Build a deterministic liveness score from what the steps measured
+ * Components that did not run score 0, so a presence-only check can never
+ * look as strong as a full challenge-response run. When the anti-spoofing
+ * step ran, the result is scaled by (1 - spoofProbability).
+ * @param {Array} stepResults - [{ id, result }] in the order they ran
+ * @returns {Object} - { score: number, breakdown: Object }
+ */
+export function computeLivenessScore(stepResults) {
+  let validFrames = 0;
+  let totalFrames = 0;
+  let motion = null;
+  let antiSpoof = null;
+  const challenges = [];
+
+  for (const { id, result } of stepResults) {
+    if (result.tracking) {
+      validFrames += result.tracking.valid;
+      totalFrames += result.tracking.total;
+    }
+
+    const metrics = result.metrics;
+    if (!metrics) continue;
+
+    if (id === 'motion') {
+      motion = {
+        avgMovement: round3(metrics.avgMovement),
+        score: round3(clamp01(metrics.avgMovement / SCORE_REFERENCE.avgMovement))
+      };
+    } else if (id === 'antispoof') {
+      antiSpoof = {
+        spoofProbability: metrics.spoofProbability,
+        checks: metrics.checks
+      };
+    } else if (id === 'blink' || id === 'blink_twice') {
+      // Depth of the blinks seen, scaled down when fewer than asked for
+      const completion = Math.min(1, metrics.count / metrics.required);
+      challenges.push({
+        id,
+        count: metrics.count,
+        depth: round3(metrics.depth),
+        score: round3(clamp01(metrics.depth / SCORE_REFERENCE.blinkDepth) * completion)
+      });
+    } else if (POSE_CHALLENGES[id]) {
+      // Degrees moved in the requested direction
+      challenges.push({
+        id,
+        achieved: round3(metrics.achieved),
+        score: round3(clamp01(metrics.achieved / (metrics.required * SCORE_REFERENCE.poseOvershoot)))
+      });
+    }
+  }
+
+  const challengeScore = challenges.length > 0
+    ? challenges.reduce((sum, c) => sum + c.score, 0) / challenges.length
+    : 0;
+  const trackingScore = totalFrames > 0 ? validFrames / totalFrames : 0;
+
+  const breakdown = {
+    motion: {
+      weight: SCORE_WEIGHTS.motion,
+      score: motion ? motion.score : 0,
+      avgMovement: motion ? motion.avgMovement : null
+    },
+    challenge: {
+      weight: SCORE_WEIGHTS.challenge,
+      score: round3(challengeScore),
+      items: challenges
+    },
+    tracking: {
+      weight: SCORE_WEIGHTS.tracking,
+      score: round3(trackingScore),
+      validFrames,
+      totalFrames
+    },
+    antiSpoof
+  };
+
+  const measuredScore =
+    breakdown.motion.score * SCORE_WEIGHTS.motion +
+    breakdown.challenge.score * SCORE_WEIGHTS.challenge +
+    breakdown.tracking.score * SCORE_WEIGHTS.tracking;
+
+  // Anti-spoofing discounts the whole score rather than adding to it
+  const score = round3(antiSpoof ? measuredScore * (1 - antiSpoof.spoofProbability) : measuredScore);
+
+  return { score, breakdown };
+}
+
+/**
+ * Run a sequence of liveness steps, stopping at the first failure
+ * @param {HTMLVideoElement} video 
+ * @param {HTMLCanvasElement} canvas 
+ * @param {Function} setStatus - Callback to update UI status
+ * @param {string[]} stepIds - Keys of LIVENESS_STEPS, run in order
+ * @param {Function} onProgress - Optional callback receiving the step list after every change
+ * @returns {Object} - { passed: boolean, score: number, breakdown: Object, reason?: string, steps: Array }
+ */
+export async function runLivenessSteps(video, canvas, setStatus, stepIds, onProgress = () => {}) {
+  const steps = stepIds.map(id => {
+    if (!LIVENESS_STEPS[id]) {
+      throw new Error(`Unknown liveness step: ${id}`);
+    }
+    return { id, label: LIVENESS_STEPS[id].label, status: 'pending' };
+  });
+  const stepResults = [];
+
+  const report = (index, changes) => {
+    steps[index] = { ...steps[index], ...changes };
+    onProgress(steps.map(step => ({ ...step })));
+  };
+
+  onProgress(steps.map(step => ({ ...step })));
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = LIVENESS_STEPS[steps[i].id];
+    report(i, { status: 'running' });
+
+    let stepResult;
+    try {
+      stepResult = await step.run(video, canvas, setStatus);
+    } catch (err) {
+      console.error('Liveness step error:', steps[i].id, err);
+      stepResult = { passed: false, reason: 'Technical error: ' + err.message };
+    }
+
+    stepResults.push({ id: steps[i].id, result: stepResult });
+
+    if (!stepResult.passed) {
+      console.log('Liveness step failed:', steps[i].id, stepResult.reason);
+      report(i, { status: 'failed', reason: stepResult.reason });
+      const { score, breakdown } = computeLivenessScore(stepResults);
+      return {
+        passed: false,
+        score,
+        breakdown,
+        reason: `${steps[i].label} failed: ${stepResult.reason}`,
+        steps
+      };
+    }
+
+    report(i, { status: 'passed' });
+  }
+
+  const { score, breakdown } = computeLivenessScore(stepResults);
+
+  console.log('Liveness check passed! Score:', score, breakdown);
+
+  return { passed: true, score, breakdown, steps };
+}
+
+/**
+ * Run complete liveness check: motion + anti-spoofing + random challenge (blink or head movement)
+ * @param {HTMLVideoElement} video 
+ * @param {HTMLCanvasElement} canvas 
+ * @param {Function} setStatus - Callback to update UI status
+ * @returns {Object} - { passed: boolean, score: number, breakdown: Object, reason?: string }
+ */
+export async function runLivenessCheck(video, canvas, setStatus) {
+  const challenge = CHALLENGE_STEPS[Math.floor(Math.random() * CHALLENGE_STEPS.length)];
+
+  console.log('Running challenge:', challenge);
+
+  return runLivenessSteps(video, canvas, setStatus, ['motion', 'antispoof', challenge]);
+}
@@ -0,0 +1,108 @@
+import { runLivenessSteps, CHALLENGE_STEPS } from './livenessDetection';
+
+/**
+ * Liveness Policy
+ * Chooses which liveness pipeline a device runs before matching
+ */
+
+const POLICY_STORAGE_KEY = 'livenessPolicy';
+
+/**
+ * Available policies
+ * steps: passive checks that always run first
+ * challenges: number of distinct random challenges chained after them
+ */
+export const LIVENESS_POLICIES = {
+  simple: {
+    label: 'Simple (face presence only)',
+    description: 'Only checks that a face is visible. For testing, not for kiosks.',
+    steps: ['presence'],
+    challenges: 0
+  },
+  standard: {
+    label: 'Standard (motion + anti-spoofing + one challenge)',
+    description: 'Rejects static photos and screen replays, then asks for one blink or head movement.',
+    steps: ['motion', 'antispoof'],
+    challenges: 1
+  },
+  strict: {
+    label: 'Strict (motion + anti-spoofing + three challenges)',
+    description: 'Rejects static photos and screen replays, then chains three different blink or head-movement challenges in random order.',
+    steps: ['motion', 'antispoof'],
+    challenges: 3
+  }
+};
+
+export const DEFAULT_LIVENESS_POLICY = 'standard';
+
+const isKnownPolicy = (name) => Object.prototype.hasOwnProperty.call(LIVENESS_POLICIES, name);
+
+/**
+ * Get the active policy name
+ * Admin setting (stored on this device) wins over VITE_LIVENESS_POLICY
+ */
+export const getLivenessPolicy = () => {
+  const adminSetting = localStorage.getItem(POLICY_STORAGE_KEY);
+  if (isKnownPolicy(adminSetting)) {
+    return adminSetting;
+  }
+
+  const envSetting = import.meta.env.VITE_LIVENESS_POLICY;
+  if (isKnownPolicy(envSetting)) {
+    return envSetting;
+  }
+
+  return DEFAULT_LIVENESS_POLICY;
+};
+
+/**
+ * Save the admin policy override for this device
+ * Pass null to fall back to the environment default
+ */
+export const setLivenessPolicy = (name) => {
+  if (name === null) {
+    localStorage.removeItem(POLICY_STORAGE_KEY);
+    return;
+  }
+
+  if (!isKnownPolicy(name)) {
+    throw new Error(`Unknown liveness policy: ${name}`);
+  }
+
+  localStorage.setItem(POLICY_STORAGE_KEY, name);
+};
+
+/**
+ * Build the ordered list of step ids for a policy
+ * Challenges are drawn without repeats so strict never asks for the same thing twice
+ */
+export const buildLivenessPlan = (name) => {
+  const policy = LIVENESS_POLICIES[name] || LIVENESS_POLICIES[DEFAULT_LIVENESS_POLICY];
+
+  const pool = [...CHALLENGE_STEPS];
+  const challenges = [];
+  while (challenges.length < policy.challenges && pool.length > 0) {
+    const index = Math.floor(Math.random() * pool.length);
+    challenges.push(pool.splice(index, 1)[0]);
+  }
+
+  return [...policy.steps, ...challenges];
+};
+
+/**
+ * Run the liveness pipeline for a policy
+ * @param {string} name - Policy name (see LIVENESS_POLICIES)
+ * @param {HTMLVideoElement} video
+ * @param {HTMLCanvasElement} canvas
+ * @param {Function} setStatus - Callback to update UI status
+ * @param {Function} onProgress - Optional callback receiving per-step progress
+ * @returns {Object} - { passed, score, breakdown, reason?, steps, policy }
+ */
+export async function runLivenessPolicy(name, video, canvas, setStatus, onProgress) {
+  const plan = buildLivenessPlan(name);
+
+  console.log('Running liveness policy:', name, plan);
+
+  const result = await runLivenessSteps(video, canvas, setStatus, plan, onProgress);
+  return { ...result, policy: name };
+}
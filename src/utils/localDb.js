@@ -0,0 +1,56 @@
+/**
+ * Local Database
+ * Shared IndexedDB connection for data kept on this device
+ */
+
+const DB_NAME = 'face-attendance';
+const DB_VERSION = 2;
+
+export const STORES = {
+  checkInQueue: 'checkInQueue',  // Check-ins waiting to reach the server
+  gallery: 'gallery',            // Encrypted copy of the enrolled embeddings
+  keys: 'keys'                   // Non-extractable encryption keys
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create or upgrade) the database
+ */
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against a store and resolve with its result
+ * @param {string} name - One of STORES
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} fn - Receives the object store, returns an IDBRequest
+ */
+export const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
@@ -0,0 +1,223 @@
+import * as faceapi from 'face-api.js';
+import { api } from './api';
+import { STORES, withStore } from './localDb';
+
+/**
+ * Local Gallery
+ * Encrypted on-device copy of the enrolled embeddings, for matching without a server round trip
+ */
+
+const SETTINGS_STORAGE_KEY = 'localMatching';
+const GALLERY_ID = 'current';
+const KEY_ID = 'gallery';
+
+export const DEFAULT_MATCH_THRESHOLD = 0.5;
+export const GALLERY_REFRESH_MS = 10 * 60 * 1000;
+
+let people = null;   // Decrypted gallery, kept in memory once loaded
+let matcher = null;  // FaceMatcher built from `people` with the current threshold
+let refreshPromise = null;
+
+/**
+ * On-device matching settings for this device
+ * enabled: match locally before (or instead of) asking the server
+ * threshold: maximum descriptor distance that counts as a match
+ * siteId: only embeddings enrolled for this site are downloaded (defaults to VITE_SITE_ID)
+ */
+export const getLocalMatchingSettings = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+  } catch (err) {
+    console.error('Error parsing local matching settings:', err);
+  }
+
+  return {
+    enabled: !!stored.enabled,
+    threshold: typeof stored.threshold === 'number' ? stored.threshold : DEFAULT_MATCH_THRESHOLD,
+    siteId: stored.siteId || import.meta.env.VITE_SITE_ID || ''
+  };
+};
+
+export const setLocalMatchingSettings = (changes) => {
+  const settings = { ...getLocalMatchingSettings(), ...changes };
+
+  if (!(settings.threshold > 0 && settings.threshold < 1)) {
+    throw new Error('Threshold must be between 0 and 1');
+  }
+
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  matcher = null;
+  return settings;
+};
+
+/**
+ * AES-GCM key for the gallery, created on first use
+ * Non-extractable, so the raw key never leaves the browser's crypto store
+ */
+const getEncryptionKey = async () => {
+  const stored = await withStore(STORES.keys, 'readonly', store => store.get(KEY_ID));
+  if (stored) return stored.key;
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  await withStore(STORES.keys, 'readwrite', store => store.put({ id: KEY_ID, key }));
+  return key;
+};
+
+const encryptGallery = async (list) => {
+  const key = await getEncryptionKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(list));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv, data };
+};
+
+const decryptGallery = async ({ iv, data }) => {
+  const key = await getEncryptionKey();
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+/**
+ * Stored gallery metadata without decrypting it
+ * @returns {Object|null} - { siteId, version, etag, count, updatedAt }
+ */
+export const getGalleryInfo = async () => {
+  const record = await withStore(STORES.gallery, 'readonly', store => store.get(GALLERY_ID));
+  if (!record) return null;
+  return {
+    siteId: record.siteId,
+    version: record.version,
+    etag: record.etag,
+    count: record.count,
+    updatedAt: record.updatedAt
+  };
+};
+
+const loadPeople = async () => {
+  if (people) return people;
+
+  const record = await withStore(STORES.gallery, 'readonly', store => store.get(GALLERY_ID));
+  people = record ? await decryptGallery(record) : [];
+  return people;
+};
+
+/**
+ * Fetch gallery changes from the server and store them encrypted
+ * Sends the stored version and etag so the server only returns what changed.
+ * @param {boolean} full - Ignore the stored version and download everything
+ * @returns {Object} - { changed, count, version }
+ */
+export const refreshGallery = (full = false) => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    const { siteId } = getLocalMatchingSettings();
+    const info = full ? null : await getGalleryInfo();
+
+    // A gallery downloaded for another site can't be patched
+    const sameSite = !!info && info.siteId === siteId;
+    const since = sameSite ? info.version : null;
+
+    const response = await api.getGallery(siteId, since, sameSite ? info.etag : null);
+
+    if (response.status === 304) {
+      return { changed: false, count: info.count, version: info.version };
+    }
+
+    const { version, full: isFull, people: changed = [], removed = [] } = response.data;
+
+    const byUserId = new Map();
+    if (since && !isFull) {
+      (await loadPeople()).forEach(person => byUserId.set(person.userId, person));
+    }
+    removed.forEach(userId => byUserId.delete(userId));
+    changed.forEach(person => byUserId.set(person.userId, person));
+
+    const next = Array.from(byUserId.values());
+    const encrypted = await encryptGallery(next);
+
+    await withStore(STORES.gallery, 'readwrite', store => store.put({
+      id: GALLERY_ID,
+      siteId,
+      version,
+      etag: response.headers.etag || null,
+      count: next.length,
+      updatedAt: new Date().toISOString(),
+      ...encrypted
+    }));
+
+    people = next;
+    matcher = null;
+    return { changed: true, count: next.length, version };
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+/**
+ * Delete the on-device gallery (e.g. when turning local matching off)
+ */
+export const clearGallery = async () => {
+  await withStore(STORES.gallery, 'readwrite', store => store.delete(GALLERY_ID));
+  people = null;
+  matcher = null;
+};
+
+const getMatcher = async () => {
+  if (matcher) return matcher;
+
+  const gallery = await loadPeople();
+  const labelled = gallery
+    .filter(person => person.embeddings?.length > 0)
+    .map(person => new faceapi.LabeledFaceDescriptors(
+      person.userId,
+      person.embeddings.map(embedding => new Float32Array(embedding))
+    ));
+
+  // FaceMatcher refuses an empty gallery
+  if (labelled.length === 0) return null;
+
+  matcher = new faceapi.FaceMatcher(labelled, getLocalMatchingSettings().threshold);
+  return matcher;
+};
+
+/**
+ * Match a descriptor against the on-device gallery
+ * Distance to a person is the mean distance to their enrolled embeddings (FaceMatcher semantics).
+ * @returns {Object|null} - { matched, userId, name, distance }, or null when there is no gallery to match against
+ */
+export async function matchLocally(descriptor) {
+  const current = await getMatcher();
+  if (!current) return null;
+
+  const best = current.findBestMatch(descriptor);
+  if (best.label === 'unknown') {
+    return { matched: false, userId: null, name: null, distance: best.distance };
+  }
+
+  const person = people.find(p => p.userId === best.label);
+  return { matched: true, userId: best.label, name: person?.name, distance: best.distance };
+}
+
+/**
+ * Refresh the gallery now and on a timer while local matching is enabled
+ * @returns {Function} - Stops the refresh timer
+ */
+export const startGalleryRefresh = () => {
+  const refresh = () => {
+    if (!getLocalMatchingSettings().enabled || !navigator.onLine) return;
+    refreshGallery().catch(err => console.error('Error refreshing face gallery:', err));
+  };
+
+  refresh();
+  window.addEventListener('online', refresh);
+  const interval = setInterval(refresh, GALLERY_REFRESH_MS);
+
+  return () => {
+    window.removeEventListener('online', refresh);
+    clearInterval(interval);
+  };
+};
@@ -0,0 +1,96 @@
+import { STORES, withStore } from './localDb';
+
+/**
+ * Offline Queue
+ * IndexedDB store for check-ins that could not reach the server yet
+ */
+
+export const QUEUE_CONFIG = {
+  syncIntervalMs: 15 * 1000,    // How often the queue is checked for due items
+  baseBackoffMs: 5 * 1000,      // First retry delay, doubled on each failed attempt
+  maxBackoffMs: 5 * 60 * 1000,  // Retry delay never grows beyond this
+  confirmWindowMs: 60 * 1000    // Unconfirmed check-ins older than this were abandoned
+};
+
+const listeners = new Set();
+
+const notify = async () => {
+  const items = await getQueuedCheckIns();
+  listeners.forEach(listener => listener(items));
+};
+
+/**
+ * Random id used both as the queue key and as the server idempotency key
+ */
+export const createIdempotencyKey = () => {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Delay before the next attempt, with jitter so devices don't retry in lockstep
+ */
+export const backoffDelay = (attempts) => {
+  const delay = Math.min(QUEUE_CONFIG.maxBackoffMs, QUEUE_CONFIG.baseBackoffMs * 2 ** attempts);
+  return delay * (0.5 + Math.random() / 2);
+};
+
+/**
+ * All queued check-ins, oldest first
+ * status: 'needs_confirmation' | 'pending' | 'syncing' | 'synced' | 'failed'
+ * needs_confirmation items wait for the person to confirm the on-device match and are never sent
+ */
+export const getQueuedCheckIns = async () => {
+  const items = await withStore(STORES.checkInQueue, 'readonly', store => store.getAll());
+  return items.sort((a, b) => a.deviceTimestamp.localeCompare(b.deviceTimestamp));
+};
+
+/**
+ * Insert or update a queued check-in
+ */
+export const saveQueuedCheckIn = async (item) => {
+  await withStore(STORES.checkInQueue, 'readwrite', store => store.put(item));
+  await notify();
+  return item;
+};
+
+/**
+ * Drop a check-in from the queue without sending it
+ */
+export const removeQueuedCheckIn = async (id) => {
+  await withStore(STORES.checkInQueue, 'readwrite', store => store.delete(id));
+  await notify();
+};
+
+/**
+ * Let a check-in the person has confirmed be sent
+ */
+export const releaseQueuedCheckIn = async (id) => {
+  const item = await withStore(STORES.checkInQueue, 'readonly', store => store.get(id));
+  if (!item) return null;
+  return saveQueuedCheckIn({ ...item, status: 'pending', nextAttemptAt: Date.now() });
+};
+
+/**
+ * Remove check-ins that have been delivered
+ */
+export const clearSyncedCheckIns = async () => {
+  const items = await getQueuedCheckIns();
+  const synced = items.filter(item => item.status === 'synced');
+  await withStore(STORES.checkInQueue, 'readwrite', store => {
+    synced.forEach(item => store.delete(item.id));
+    return store.count();
+  });
+  await notify();
+};
+
+/**
+ * Subscribe to queue changes; returns an unsubscribe function
+ */
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  getQueuedCheckIns().then(listener).catch(err => console.error('Error reading offline queue:', err));
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,120 @@
+/**
+ * PDF
+ * Minimal PDF writer for printable reports: text in the built-in Helvetica fonts, lines and
+ * filled rectangles on A4 pages. Coordinates are in points from the top-left corner.
+ */
+
+export const PAGE_SIZE = { width: 595, height: 842 };   // A4 portrait
+
+// Helvetica averages a little over half an em per character; good enough for fitting columns
+const AVERAGE_CHAR_WIDTH = 0.52;
+
+/**
+ * Shorten text so it fits a width at a font size, ending in "..." when cut
+ */
+export const fitText = (text, width, size) => {
+  const value = String(text ?? '');
+  const maxChars = Math.floor(width / (size * AVERAGE_CHAR_WIDTH));
+  return value.length > maxChars ? `${value.slice(0, Math.max(0, maxChars - 3))}...` : value;
+};
+
+// The standard fonts use WinAnsi encoding; Latin-1 maps straight across, anything else becomes "?"
+const encodeText = (text) => String(text)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const num = (value) => Number(value.toFixed(2));
+
+const colorOp = (color, op) => {
+  const hex = color.replace('#', '');
+  const channels = [0, 2, 4].map(i => num(parseInt(hex.slice(i, i + 2), 16) / 255));
+  return `${channels.join(' ')} ${op}`;
+};
+
+/**
+ * A page to draw on; pass pages to createPdf when done. Drawing calls can be chained.
+ */
+export const createPdfPage = () => {
+  const ops = [];
+  const page = {
+    ops,
+
+    // y is the text baseline
+    text: (x, y, text, { size = 10, bold = false, color = '#2d3748' } = {}) => {
+      ops.push(
+        'BT',
+        colorOp(color, 'rg'),
+        `/${bold ? 'F2' : 'F1'} ${size} Tf`,
+        `${num(x)} ${num(PAGE_SIZE.height - y)} Td`,
+        `(${encodeText(text)}) Tj`,
+        'ET'
+      );
+      return page;
+    },
+
+    line: (x1, y1, x2, y2, { color = '#cbd5e0', width = 0.5 } = {}) => {
+      ops.push(
+        colorOp(color, 'RG'),
+        `${width} w`,
+        `${num(x1)} ${num(PAGE_SIZE.height - y1)} m ${num(x2)} ${num(PAGE_SIZE.height - y2)} l S`
+      );
+      return page;
+    },
+
+    rect: (x, y, width, height, { fill = '#edf2f7' } = {}) => {
+      ops.push(
+        colorOp(fill, 'rg'),
+        `${num(x)} ${num(PAGE_SIZE.height - y - height)} ${num(width)} ${num(height)} re f`
+      );
+      return page;
+    }
+  };
+  return page;
+};
+
+/**
+ * Assemble pages into a PDF file
+ * @param {Array} pages - From createPdfPage
+ * @param {Object} info - { title }
+ * @returns {Blob} - application/pdf
+ */
+export const createPdf = (pages, { title = '' } = {}) => {
+  // Objects 1-4 are fixed; each page adds a page object and its content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+
+  pages.forEach((page, i) => {
+    const content = page.ops.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  const infoId = objects.length + 1;
+  objects.push(`<< /Title (${encodeText(title)}) /Producer (Face Attendance) >>`);
+
+  // Every character is a single byte (see encodeText), so string lengths are byte offsets
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = output.length;
+    output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  const bytes = new Uint8Array(output.length);
+  for (let i = 0; i < output.length; i++) bytes[i] = output.charCodeAt(i);
+  return new Blob([bytes], { type: 'application/pdf' });
+};
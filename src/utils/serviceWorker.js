@@ -0,0 +1,55 @@
+/**
+ * Service Worker Registration
+ * Registers dist/sw.js in production builds and reports when a new version is waiting
+ */
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // Kiosks stay open for days, so look for new builds hourly
+
+/**
+ * Register the service worker
+ * @param {Function} onUpdate - Called with the registration when a new version is installed and waiting
+ */
+export function registerServiceWorker(onUpdate) {
+  // The dev server has no sw.js; caching there would only get in the way
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const watchInstalling = (registration) => {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdate(registration);
+      }
+    });
+  };
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdate(registration);
+      }
+
+      registration.addEventListener('updatefound', () => watchInstalling(registration));
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+    }
+  });
+}
+
+/**
+ * Switch to the waiting version and reload once it has taken over
+ */
+export function applyServiceWorkerUpdate(registration) {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,137 @@
+import { toZonedParts } from './attendanceAnalytics';
+
+/**
+ * Work Sessions
+ * Pairs check-in and check-out punches into sessions and totals the hours worked
+ */
+
+export const PUNCH_TYPES = {
+  auto: 'Auto',
+  in: 'Check in',
+  out: 'Check out'
+};
+
+export const SESSION_STATUS_LABELS = {
+  closed: 'Closed',
+  open: 'Checked in',
+  missing_out: 'Missing check-out',
+  missing_in: 'Missing check-in'
+};
+
+/**
+ * Minutes as "7h 45m"
+ */
+export const formatDuration = (minutes) => {
+  if (minutes == null) return '-';
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+};
+
+/**
+ * Minutes as decimal hours for spreadsheets, e.g. 7.75
+ */
+export const toDecimalHours = (minutes) => (minutes == null ? '' : (minutes / 60).toFixed(2));
+
+const newSession = (record, date) => ({
+  id: record.id,
+  userId: record.user_id,
+  name: record.matched_name,
+  date,
+  checkIn: null,
+  checkOut: null,
+  checkInId: null,
+  checkOutId: null,
+  minutes: null,
+  status: 'open',
+  manual: false,
+  note: ''
+});
+
+const closeWith = (session, record) => {
+  session.checkOut = record.created_at;
+  session.checkOutId = record.id;
+  session.manual = Boolean(record.manual);
+  session.note = record.note || '';
+  session.minutes = Math.round((new Date(session.checkOut) - new Date(session.checkIn)) / 60000);
+  session.status = 'closed';
+};
+
+/**
+ * Pair each person's punches into sessions, one day at a time (shifts don't cross midnight)
+ * Records without a punch_type predate explicit punches and alternate in, out, in...
+ * A check-in still open at the end of a past day is a missing check-out; a check-out
+ * with nothing open is a missing check-in. Neither counts towards worked time.
+ * @param {Array} records - Attendance records ({ id, user_id, matched_name, created_at, punch_type, manual, note })
+ * @param {string} timeZone - Split days in this IANA timezone; empty for this device's
+ * @returns {Array} - Sessions, newest day first, then by name and check-in time
+ */
+export const pairSessions = (records, timeZone = '') => {
+  const todayKey = toZonedParts(new Date(), timeZone).dateKey;
+
+  const byPersonDay = new Map();
+  records.forEach(record => {
+    const key = `${record.user_id}|${toZonedParts(record.created_at, timeZone).dateKey}`;
+    if (!byPersonDay.has(key)) byPersonDay.set(key, []);
+    byPersonDay.get(key).push(record);
+  });
+
+  const sessions = [];
+  byPersonDay.forEach((punches, key) => {
+    const date = key.slice(key.indexOf('|') + 1);
+    let open = null;
+
+    punches
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .forEach(record => {
+        const isOut = record.punch_type ? record.punch_type === 'out' : open !== null;
+
+        if (isOut && open) {
+          closeWith(open, record);
+          open = null;
+        } else if (isOut) {
+          const orphan = newSession(record, date);
+          orphan.checkOut = record.created_at;
+          orphan.checkOutId = record.id;
+          orphan.status = 'missing_in';
+          sessions.push(orphan);
+        } else {
+          if (open) open.status = 'missing_out';
+          open = newSession(record, date);
+          open.checkIn = record.created_at;
+          open.checkInId = record.id;
+          sessions.push(open);
+        }
+      });
+
+    if (open && date < todayKey) open.status = 'missing_out';
+  });
+
+  const sortTime = (session) => session.checkIn || session.checkOut;
+  return sessions.sort((a, b) =>
+    b.date.localeCompare(a.date)
+    || (a.name || '').localeCompare(b.name || '')
+    || new Date(sortTime(a)) - new Date(sortTime(b))
+  );
+};
+
+/**
+ * Worked minutes per person across closed sessions
+ * @returns {Array} - [{ userId, name, minutes, sessions, flagged }], most hours first
+ */
+export const totalWorked = (sessions) => {
+  const totals = new Map();
+  sessions.forEach(session => {
+    if (!totals.has(session.userId)) {
+      totals.set(session.userId, { userId: session.userId, name: session.name, minutes: 0, sessions: 0, flagged: 0 });
+    }
+    const total = totals.get(session.userId);
+    if (session.status === 'closed') {
+      total.minutes += session.minutes;
+      total.sessions++;
+    } else if (session.status !== 'open') {
+      total.flagged++;
+    }
+  });
+  return Array.from(totals.values()).sort((a, b) => b.minutes - a.minutes);
+};
@@ -0,0 +1,207 @@
+import { api } from './api';
+import { toZonedParts, eachDate } from './attendanceAnalytics';
+
+/**
+ * Shift Schedule
+ * Classifies check-ins and days as on time, late, early leave, absent or holiday
+ * against the shifts admins define
+ */
+
+export const DAY_STATUS_LABELS = {
+  on_time: 'On time',
+  late: 'Late',
+  early_leave: 'Left early',
+  absent: 'Absent',
+  holiday: 'Holiday',
+  off: 'Day off',
+  unscheduled: 'No shift'
+};
+
+export const EMPTY_SHIFT = {
+  name: '',
+  startTime: '09:00',
+  endTime: '17:00',
+  graceMinutes: 5,
+  weekdays: [1, 2, 3, 4, 5],
+  userIds: [],
+  groups: [],
+  isDefault: false
+};
+
+const SCHEDULE_CACHE_MS = 5 * 60 * 1000;
+
+let schedulePromise = null;
+let scheduleLoadedAt = 0;
+
+/**
+ * Shifts, holidays and per-person assignments, cached for a few minutes
+ * @param {boolean} force - Skip the cache (e.g. after editing a shift)
+ */
+export const loadSchedule = (force = false) => {
+  if (!force && schedulePromise && Date.now() - scheduleLoadedAt < SCHEDULE_CACHE_MS) {
+    return schedulePromise;
+  }
+
+  scheduleLoadedAt = Date.now();
+  schedulePromise = api.getSchedule()
+    .then(res => ({
+      shifts: res.data.shifts || [],
+      holidays: res.data.holidays || [],
+      assignments: res.data.assignments || {}
+    }))
+    .catch(err => {
+      schedulePromise = null;
+      throw err;
+    });
+  return schedulePromise;
+};
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesOfDay = (date, timeZone) => toZonedParts(date, timeZone).minutes;
+
+/**
+ * Check a shift before saving; shifts must start and end on the same day
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateShift = (shift) => {
+  if (!shift.name.trim()) return 'Shift name is required';
+  if (timeToMinutes(shift.endTime) <= timeToMinutes(shift.startTime)) return 'Shift must end after it starts';
+  if (shift.weekdays.length === 0) return 'Pick at least one weekday';
+  if (!(shift.graceMinutes >= 0 && shift.graceMinutes <= 120)) return 'Grace period must be between 0 and 120 minutes';
+  return null;
+};
+
+/**
+ * The shift a user works, or null when they have none
+ */
+export const shiftForUser = (schedule, userId) => {
+  const shiftId = schedule.assignments[userId];
+  return schedule.shifts.find(shift => shift.id === shiftId)
+    || schedule.shifts.find(shift => shift.isDefault)
+    || null;
+};
+
+// Holiday, day off or no shift: the day isn't judged on arrival and leave times
+const nonWorkingStatus = (schedule, shift, date) => {
+  const holiday = schedule.holidays.find(h => h.date === date);
+  if (holiday) return { status: 'holiday', holiday: holiday.name };
+  if (!shift) return { status: 'unscheduled' };
+  if (!shift.weekdays.includes(new Date(`${date}T00:00`).getDay())) return { status: 'off' };
+  return null;
+};
+
+const judgeArrival = (shift, minutes) => {
+  const minutesLate = minutes - timeToMinutes(shift.startTime);
+  return minutesLate > shift.graceMinutes
+    ? { status: 'late', minutesLate, minutesEarly: 0 }
+    : { status: 'on_time', minutesLate: 0, minutesEarly: 0 };
+};
+
+const judgeDeparture = (shift, minutes) => {
+  const minutesEarly = timeToMinutes(shift.endTime) - minutes;
+  return minutesEarly > shift.graceMinutes ? minutesEarly : 0;
+};
+
+/**
+ * Classify a single check-in against the user's shift
+ * An 'in' punch is judged as arriving and an 'out' punch as leaving. Without a punch type,
+ * a check-in in the first half of the shift counts as arriving, in the second half as leaving.
+ * @param {string} timeZone - Judge the shift in this IANA timezone; empty for this device's
+ * @returns {Object} - { status, minutesLate, minutesEarly, shift, holiday }
+ */
+export const classifyCheckIn = (schedule, userId, checkedInAt, punchType = null, timeZone = '') => {
+  const { dateKey, minutes } = toZonedParts(checkedInAt, timeZone);
+  const shift = shiftForUser(schedule, userId);
+  const other = nonWorkingStatus(schedule, shift, dateKey);
+  if (other) return { ...other, minutesLate: 0, minutesEarly: 0, shift };
+
+  const midpoint = (timeToMinutes(shift.startTime) + timeToMinutes(shift.endTime)) / 2;
+
+  const isArrival = punchType ? punchType === 'in' : minutes < midpoint;
+
+  if (isArrival) {
+    return { ...judgeArrival(shift, minutes), shift };
+  }
+  const minutesEarly = judgeDeparture(shift, minutes);
+  return { status: minutesEarly > 0 ? 'early_leave' : 'on_time', minutesLate: 0, minutesEarly, shift };
+};
+
+/**
+ * Classify a whole day for one person from all their check-ins that day
+ * The first check-in is the arrival; the last one, if there are several, is when they left.
+ * Late wins over early leave for the status; both amounts are returned.
+ * @returns {Object} - { status, minutesLate, minutesEarly, firstCheckIn, lastCheckIn, shift, holiday }
+ */
+export const classifyDay = (schedule, userId, date, checkIns, timeZone = '') => {
+  const shift = shiftForUser(schedule, userId);
+  const times = checkIns.map(c => new Date(c)).sort((a, b) => a - b);
+  const firstCheckIn = times[0] || null;
+  const lastCheckIn = times.length > 1 ? times[times.length - 1] : null;
+  const base = { minutesLate: 0, minutesEarly: 0, firstCheckIn, lastCheckIn, shift };
+
+  const other = nonWorkingStatus(schedule, shift, date);
+  if (other) return { ...base, ...other };
+  if (!firstCheckIn) return { ...base, status: 'absent' };
+
+  const arrival = judgeArrival(shift, minutesOfDay(firstCheckIn, timeZone));
+  const minutesEarly = lastCheckIn ? judgeDeparture(shift, minutesOfDay(lastCheckIn, timeZone)) : 0;
+
+  return {
+    ...base,
+    status: arrival.status === 'late' ? 'late' : minutesEarly > 0 ? 'early_leave' : 'on_time',
+    minutesLate: arrival.minutesLate,
+    minutesEarly
+  };
+};
+
+/**
+ * Classify every day in a range for every active person, including days with no check-in
+ * Days after today are left out.
+ * @param {Array} records - Attendance records ({ user_id, matched_name, created_at })
+ * @param {Array} people - Registered people ({ user_id, name, active })
+ * @param {string} timeZone - Group days and judge shifts in this IANA timezone; empty for this device's
+ * @returns {Array} - [{ date, userId, name, ...classifyDay() }], by date then name
+ */
+export const classifyDays = (schedule, records, people, startDate, endDate, timeZone = '') => {
+  const todayKey = toZonedParts(new Date(), timeZone).dateKey;
+  const dates = eachDate(startDate, endDate).filter(date => date <= todayKey);
+
+  const checkInsByPersonDay = new Map();
+  records.forEach(record => {
+    const key = `${record.user_id}|${toZonedParts(record.created_at, timeZone).dateKey}`;
+    if (!checkInsByPersonDay.has(key)) checkInsByPersonDay.set(key, []);
+    checkInsByPersonDay.get(key).push(record.created_at);
+  });
+
+  const activePeople = people
+    .filter(person => person.active !== false)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return dates.flatMap(date => activePeople.map(person => ({
+    date,
+    userId: person.user_id,
+    name: person.name,
+    ...classifyDay(schedule, person.user_id, date, checkInsByPersonDay.get(`${person.user_id}|${date}`) || [], timeZone)
+  })));
+};
+
+/**
+ * Short human description, e.g. "12 min late" or "Left 30 min early"
+ */
+export const describeClassification = (classification) => {
+  const parts = [];
+  if (classification.minutesLate > 0) parts.push(`${classification.minutesLate} min late`);
+  if (classification.minutesEarly > 0) parts.push(`left ${classification.minutesEarly} min early`);
+  if (parts.length > 0) {
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  if (classification.status === 'holiday' && classification.holiday) {
+    return `Holiday (${classification.holiday})`;
+  }
+  return DAY_STATUS_LABELS[classification.status];
+};
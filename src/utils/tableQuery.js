@@ -0,0 +1,77 @@
+/**
+ * Table Query
+ * Paging, sorting and filter state for the admin tables, kept in the URL query string
+ */
+
+export const PAGE_SIZES = [25, 50, 100, 500, 1000];
+
+export const TABLE_QUERY_DEFAULTS = {
+  page: 1,
+  pageSize: 50,
+  sort: 'created_at',
+  order: 'desc',
+  search: '',
+  startDate: '',
+  endDate: '',
+  userId: ''
+};
+
+// Short names keep shared links readable
+const URL_KEYS = {
+  page: 'page',
+  pageSize: 'size',
+  sort: 'sort',
+  order: 'order',
+  search: 'q',
+  startDate: 'from',
+  endDate: 'to',
+  userId: 'user'
+};
+
+/**
+ * Read the table query from URL search params, falling back to the defaults
+ */
+export const readTableQuery = (searchParams) => {
+  const query = { ...TABLE_QUERY_DEFAULTS };
+
+  Object.entries(URL_KEYS).forEach(([key, param]) => {
+    const value = searchParams.get(param);
+    if (value !== null) query[key] = value;
+  });
+
+  query.page = Math.max(1, parseInt(query.page, 10) || 1);
+  query.pageSize = PAGE_SIZES.includes(Number(query.pageSize)) ? Number(query.pageSize) : TABLE_QUERY_DEFAULTS.pageSize;
+  query.order = query.order === 'asc' ? 'asc' : 'desc';
+  return query;
+};
+
+/**
+ * Apply changes to the table query and return the new URL search params
+ * Anything other than a page change goes back to the first page.
+ * Params that aren't part of the table query (e.g. the active tab) are kept.
+ */
+export const writeTableQuery = (searchParams, changes) => {
+  const next = { ...readTableQuery(searchParams), ...changes };
+  if (!('page' in changes)) next.page = 1;
+
+  const params = new URLSearchParams(searchParams);
+  Object.entries(URL_KEYS).forEach(([key, param]) => {
+    if (next[key] === TABLE_QUERY_DEFAULTS[key] || next[key] === '' || next[key] === null) {
+      params.delete(param);
+    } else {
+      params.set(param, next[key]);
+    }
+  });
+  return params;
+};
+
+/**
+ * Request params for the paginated list endpoints; empty filters are left out
+ */
+export const toApiParams = (query) => {
+  const params = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) params[key] = value;
+  });
+  return params;
+};
@@ -0,0 +1,121 @@
+import { createZip } from './zip';
+
+/**
+ * XLSX
+ * Writes real Excel workbooks (Office Open XML) without a spreadsheet library.
+ * Numbers are stored as numbers and everything else as text, so dates never get reformatted.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Control characters other than tab, newline and carriage return are not allowed in XML
+const XML_ALLOWED_CONTROLS = ['\t', '\n', '\r'];
+
+const escapeXML = (value) => [...String(value)]
+  .filter(c => c.charCodeAt(0) >= 0x20 || XML_ALLOWED_CONTROLS.includes(c))
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXML = (value, ref, style = 0) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+};
+
+const sheetXML = ({ headers, rows }) => {
+  const widths = headers.map((header, c) => Math.min(50, Math.max(
+    String(header).length,
+    ...rows.slice(0, 200).map(row => String(row[c] ?? '').length)
+  ) + 2));
+
+  const rowXML = (values, r, style) =>
+    `<row r="${r + 1}">${values.map((value, c) => cellXML(value, `${columnName(c)}${r + 1}`, style)).join('')}</row>`;
+
+  return XML_HEADER
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0">'
+    + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+    + '</sheetView></sheetViews>'
+    + `<cols>${widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    + '<sheetData>'
+    + rowXML(headers, 0, 1)
+    + rows.map((row, r) => rowXML(row, r + 1, 0)).join('')
+    + '</sheetData></worksheet>';
+};
+
+// Excel rejects sheet names over 31 characters or containing []:*?/\
+const sheetName = (name, index) => (String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31)) || `Sheet${index + 1}`;
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array} sheets - [{ name, headers, rows }]; the header row is bold and frozen
+ * @returns {Blob}
+ */
+export const createXlsx = (sheets) => {
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: XML_HEADER
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: XML_HEADER
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: XML_HEADER
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets>'
+        + sheets.map((sheet, i) => `<sheet name="${escapeXML(sheetName(sheet.name, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: XML_HEADER
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      // Style 0 is the default, style 1 is bold for the header row
+      name: 'xl/styles.xml',
+      data: XML_HEADER
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXML(sheet) }))
+  ];
+
+  return new Blob([createZip(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
@@ -0,0 +1,165 @@
+/**
+ * ZIP
+ * Minimal ZIP archive writer (stored, uncompressed entries), enough for XLSX files,
+ * and a reader for uploaded archives (stored or deflated entries)
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields used in ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array} files - [{ name, data }], data as a string (written as UTF-8) or Uint8Array
+ * @returns {Blob} - application/zip
+ */
+export const createZip = (files) => {
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = textEncoder.encode(file.name);
+    const data = typeof file.data === 'string' ? textEncoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);   // Local file header signature
+    local.setUint16(4, 20, true);           // Version needed
+    local.setUint16(6, 0x0800, true);       // UTF-8 names
+    local.setUint16(8, 0, true);            // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);   // Central directory signature
+    entry.setUint16(4, 20, true);           // Version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);      // Where the local header starts
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);       // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
+
+// The end of central directory record sits in the last 22 bytes plus up to 64 KB of comment
+const findEndOfCentralDirectory = (view) => {
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) return i;
+  }
+  return -1;
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack compressed ZIP files');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * List the files in a ZIP archive
+ * Entries are unpacked only when read(), so large archives don't have to fit in memory twice.
+ * Folders and macOS metadata (__MACOSX, ._ files) are left out.
+ * @param {Blob} file - The uploaded archive
+ * @returns {Array} - [{ name, path, size, read() -> Promise<Blob> }]
+ */
+export const readZip = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+
+  const end = findEndOfCentralDirectory(view);
+  if (end < 0) throw new Error(`${file.name} is not a ZIP file`);
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error(`${file.name} is damaged`);
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = textDecoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const name = path.split('/').pop();
+    if (path.endsWith('/') || path.startsWith('__MACOSX/') || name.startsWith('._')) continue;
+
+    entries.push({
+      name,
+      path,
+      size,
+      read: async () => {
+        // The local header can carry a different extra field length than the central directory
+        const dataStart = localOffset + 30
+          + view.getUint16(localOffset + 26, true)
+          + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+        if (method === 0) return new Blob([data]);
+        if (method === 8) return new Blob([await inflateRaw(data)]);
+        throw new Error(`${path} uses an unsupported compression method`);
+      }
+    });
+  }
+  return entries;
+};
@@ -0,0 +1,116 @@
+import * as faceapi from 'face-api.js';
+import { createDetectorOptions, loadNets } from '../utils/detectorConfig';
+
+/**
+ * Face Detection Worker
+ * Runs the face-api.js pipeline off the main thread.
+ *
+ * Messages in:  { id, type: 'load', modelUrl, nets }
+ *               { id, type: 'detect', frame: ImageBitmap, options: { all, landmarks, descriptor }, config }
+ * Messages out: { id, result } or { id, error }
+ */
+
+// face-api.js only knows browser and Node environments; describe the worker's own
+// (frames arrive as ImageBitmaps and are handed to the nets as tensors)
+class Unavailable {}
+
+faceapi.env.setEnv({
+  Canvas: OffscreenCanvas,
+  CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+  Image: Unavailable,
+  ImageData,
+  Video: Unavailable,
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => {
+    throw new Error('Image elements are not available in the face worker');
+  },
+  fetch: (...args) => fetch(...args),
+  readFile: () => {
+    throw new Error('File access is not available in the face worker');
+  }
+});
+
+let frameCanvas = null;
+
+/**
+ * Turn a transferred frame into a tensor the nets accept
+ */
+const frameToTensor = (frame) => {
+  if (!frameCanvas || frameCanvas.width !== frame.width || frameCanvas.height !== frame.height) {
+    frameCanvas = new OffscreenCanvas(frame.width, frame.height);
+  }
+  const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(frame, 0, 0);
+  frame.close();
+  return faceapi.tf.browser.fromPixels(ctx.getImageData(0, 0, frameCanvas.width, frameCanvas.height));
+};
+
+/**
+ * Plain, transferable copy of one result
+ * Landmarks go back as positions relative to the frame, as FaceLandmarks68 expects them
+ */
+const serialize = (result, width, height) => {
+  const detection = result.detection || result;
+  const { x, y, width: w, height: h } = detection.box;
+
+  return {
+    box: { x, y, width: w, height: h },
+    score: detection.score,
+    landmarks: result.landmarks
+      ? result.landmarks.positions.map(pt => [pt.x / width, pt.y / height])
+      : null,
+    descriptor: result.descriptor ? Float32Array.from(result.descriptor) : null
+  };
+};
+
+const load = async (modelUrl, nets) => {
+  await loadNets(nets, modelUrl);
+  return { backend: faceapi.tf.getBackend() };
+};
+
+const detect = async (frame, { all = false, landmarks = false, descriptor = false }, config) => {
+  const { width, height } = frame;
+  const tensor = frameToTensor(frame);
+
+  try {
+    const detectorOptions = createDetectorOptions(config);
+    let task = all
+      ? faceapi.detectAllFaces(tensor, detectorOptions)
+      : faceapi.detectSingleFace(tensor, detectorOptions);
+
+    if (landmarks || descriptor) {
+      task = task.withFaceLandmarks();
+    }
+    if (descriptor) {
+      task = all ? task.withFaceDescriptors() : task.withFaceDescriptor();
+    }
+
+    const results = await task;
+    const list = all ? results : results ? [results] : [];
+    return list.map(result => serialize(result, width, height));
+  } finally {
+    tensor.dispose();
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+
+  try {
+    let result;
+    if (type === 'load') {
+      result = await load(data.modelUrl, data.nets);
+    } else if (type === 'detect') {
+      result = await detect(data.frame, data.options, data.config);
+    } else {
+      throw new Error(`Unknown face worker request: ${type}`);
+    }
+
+    const transfer = Array.isArray(result)
+      ? result.filter(face => face.descriptor).map(face => face.descriptor.buffer)
+      : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -1,9 +1,83 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * List every file under a directory, relative to it, with forward slashes
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), relative)
+      : [relative];
+  });
+}
+
+/**
+ * Model files face-api.js actually loads: each weights manifest plus the shards it lists
+ */
+function listModelFiles(outDir) {
+  const modelsDir = path.join(outDir, 'models');
+  if (!fs.existsSync(modelsDir)) return [];
+
+  return fs.readdirSync(modelsDir)
+    .filter(name => name.endsWith('-weights_manifest.json'))
+    .flatMap(name => {
+      const manifest = JSON.parse(fs.readFileSync(path.join(modelsDir, name), 'utf8'));
+      const shards = manifest.flatMap(group => group.paths);
+      shards
+        .filter(shard => !fs.existsSync(path.join(modelsDir, shard)))
+        .forEach(shard => console.warn(`[sw] Missing model shard models/${shard} - run download-models.sh`));
+      return [name, ...shards].map(file => `models/${file}`);
+    })
+    .filter(file => fs.existsSync(path.join(outDir, file)));
+}
+
+/**
+ * Emit dist/sw.js from src/sw.js with a precache list of the built app shell
+ * and model weights, versioned by a hash of their contents
+ */
+function serviceWorkerPlugin() {
+  let root;
+  let outDir;
+
+  return {
+    name: 'face-attendance-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root;
+      outDir = path.resolve(root, config.build.outDir);
+    },
+    closeBundle() {
+      const shell = listFiles(outDir).filter(file =>
+        !file.startsWith('models/') && file !== 'sw.js' && !file.endsWith('.map')
+      );
+      const files = [...shell, ...listModelFiles(outDir)].sort();
+
+      const hash = createHash('sha256');
+      files.forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(outDir, file)));
+      });
+      const version = hash.digest('hex').slice(0, 12);
+
+      const source = fs.readFileSync(path.resolve(root, 'src/sw.js'), 'utf8')
+        .replace('__PRECACHE_MANIFEST__', JSON.stringify(files.map(file => `/${file}`), null, 2))
+        .replace('__CACHE_VERSION__', JSON.stringify(version));
+
+      fs.writeFileSync(path.join(outDir, 'sw.js'), source);
+      console.log(`[sw] Precaching ${files.length} files, version ${version}`);
+    }
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin()],
   server: {
     port: 5173,
   }
-});
\ No newline at end of file
+});